@@ -15,10 +15,11 @@
 /**
  * @typedef CacheDataFormat
  * @property {Object} cache
- * @property {string} cache.body
+ * @property {string|Buffer} cache.body A Buffer when the cached content-type is binary
  * @property {Object} cache.headers
  * @property {number} cache.expires
  * @property {string} cache.statusCode
+ * @property {{compression: string}} [cache.bodyStream] Set when the body was left in storage to be read as a stream
  */
 
 /*
@@ -32,15 +33,164 @@ const crypto = require("crypto"); // included by aws so don't need to add to pac
 const objHash = require('object-hash');
 const moment = require('moment-timezone');
 
+/* for compressing cached bodies */
+const zlib = require("zlib");
+
+/* for streaming large cached bodies */
+const { Readable, pipeline } = require("stream");
+
+/* for local storage adapters */
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Retries calls to DynamoDb and S3 that fail because of throttling or a
+ * service (5xx) error using exponential backoff with jitter, so a burst of
+ * throttling on the cache table is not treated as a cache miss or failed
+ * write. Other errors (such as a failed condition or missing object) are
+ * not retried.
+ * 
+ * The delay before each retry is baseDelayInMilliseconds doubled for each
+ * attempt, up to maxDelayInMilliseconds. With "full" jitter a random delay
+ * between 0 and that is used, with "equal" jitter half is fixed and half is
+ * random, and with "none" it is used as is.
+ * 
+ * Each call that was retried emits a StoreRetry metric (see CacheMetrics).
+ */
+class RetryPolicy {
+
+	static JITTER = ["full", "equal", "none"];
+
+	static RETRYABLE_ERRORS = [
+		"ProvisionedThroughputExceededException", "ThrottlingException", "Throttling", "ThrottledException",
+		"RequestLimitExceeded", "RequestThrottled", "RequestThrottledException", "TooManyRequestsException",
+		"SlowDown", "InternalServerError", "InternalError", "ServiceUnavailable", "TimeoutError", "RequestTimeout",
+		"ECONNRESET", "ETIMEDOUT", "EPIPE"
+	];
+
+	#maxAttempts = 3;
+	#baseDelayInMilliseconds = 50;
+	#maxDelayInMilliseconds = 1000;
+	#jitter = "full";
+
+	/**
+	 * @param {Object} options
+	 * @param {number} options.maxAttempts Attempts, including the first. 1 disables retries. Default: 3
+	 * @param {number} options.baseDelayInMilliseconds Delay before the first retry, doubled for each one after. Default: 50
+	 * @param {number} options.maxDelayInMilliseconds Longest delay before a retry. Default: 1000
+	 * @param {string} options.jitter "full", "equal", or "none". Default: "full"
+	 */
+	constructor ({ maxAttempts = 3, baseDelayInMilliseconds = 50, maxDelayInMilliseconds = 1000, jitter = "full" } = {}) {
+		this.#maxAttempts = Math.max(1, parseInt(maxAttempts, 10) || 1);
+		this.#baseDelayInMilliseconds = Math.max(0, parseInt(baseDelayInMilliseconds, 10) || 0);
+		this.#maxDelayInMilliseconds = Math.max(this.#baseDelayInMilliseconds, parseInt(maxDelayInMilliseconds, 10) || 0);
+		this.#jitter = ( RetryPolicy.JITTER.includes(String(jitter).toLowerCase()) ) ? String(jitter).toLowerCase() : "full";
+	};
+
+	/**
+	 * Create the options for each store from the retry parameter passed to
+	 * Cache.init(). Settings for dynamoDb or s3 are used in place of those
+	 * shared by both.
+	 * @param {Object} retry Such as { maxAttempts: 5, s3: { maxAttempts: 2 } }
+	 * @returns {{dynamoDb: Object, s3: Object}}
+	 */
+	static parseOptions (retry) {
+		if ( retry === null || typeof retry !== "object" ) { return { dynamoDb: {}, s3: {} }; }
+		const { dynamoDb = {}, s3 = {}, ...shared } = retry;
+		return {
+			dynamoDb: Object.assign({}, shared, dynamoDb),
+			s3: Object.assign({}, shared, s3)
+		};
+	};
+
+	/**
+	 * @returns {{maxAttempts: number, baseDelayInMilliseconds: number, maxDelayInMilliseconds: number, jitter: string}}
+	 */
+	info() {
+		return {
+			maxAttempts: this.#maxAttempts,
+			baseDelayInMilliseconds: this.#baseDelayInMilliseconds,
+			maxDelayInMilliseconds: this.#maxDelayInMilliseconds,
+			jitter: this.#jitter
+		};
+	};
+
+	/**
+	 * Is the error from the AWS SDK (V2 or V3) one that may succeed if tried again?
+	 * @param {Error} error 
+	 * @returns {boolean}
+	 */
+	static isRetryable (error) {
+		if ( error === null || typeof error !== "object" ) { return false; }
+		if ( error.retryable === true || error.$retryable ) { return true; }
+		if ( RetryPolicy.RETRYABLE_ERRORS.includes(error.name) || RetryPolicy.RETRYABLE_ERRORS.includes(error.code) ) { return true; }
+		const statusCode = error.$metadata?.httpStatusCode || error.statusCode || 0;
+		return ( statusCode === 429 || statusCode >= 500 );
+	};
+
+	/**
+	 * @param {number} attempt The attempt that failed (1 is the first)
+	 * @returns {number} Milliseconds to wait before the next attempt
+	 */
+	delay (attempt) {
+		const delay = Math.min(this.#maxDelayInMilliseconds, this.#baseDelayInMilliseconds * (2 ** (attempt - 1)));
+		switch (this.#jitter) {
+			case "none":
+				return delay;
+			case "equal":
+				return Math.round(delay / 2 + Math.random() * delay / 2);
+			default:
+				return Math.round(Math.random() * delay);
+		}
+	};
+
+	/**
+	 * Call fn, retrying if it rejects with a retryable error
+	 * @param {string} operation Used in logs and metrics, such as "DynamoDb.put"
+	 * @param {Function} fn async () => result
+	 * @returns {Promise<*>} The result of fn. Rejects with the last error if all attempts fail
+	 */
+	async run (operation, fn) {
+
+		for (let attempt = 1; ; attempt++) {
+			try {
+				const result = await fn();
+				if ( attempt > 1 ) { this.#report(operation, attempt, true); }
+				return result;
+			} catch (error) {
+				if ( attempt >= this.#maxAttempts || !RetryPolicy.isRetryable(error) ) {
+					if ( attempt > 1 ) { this.#report(operation, attempt, false); }
+					throw error;
+				}
+				const delay = this.delay(attempt);
+				tools.DebugAndLog.warn(`${operation} attempt ${attempt} of ${this.#maxAttempts} failed (${error?.name || error?.code}). Retrying in ${delay}ms`);
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+	};
+
+	/**
+	 * @param {string} operation 
+	 * @param {number} attempts 
+	 * @param {boolean} success 
+	 */
+	#report (operation, attempts, success) {
+		tools.DebugAndLog.debug(`${operation} ${(success ? "succeeded" : "failed")} after ${attempts} attempts`);
+		CacheData.emitMetrics({}, { StoreRetry: attempts - 1 }, null, { operation: operation, attempts: attempts, success: success });
+	};
+};
+
 /**
  * Basic S3 read/write for cache data. No cache logic,
  * only handles the storage format and retrieval.
- * Logic is handled by CacheData.
+ * Logic is handled by CacheData and DynamoDbS3Storage.
  */
 class S3Cache {
 
 	static #bucket = null;
 	static #objPath = "cache/";
+	static #retryPolicy = new RetryPolicy();
 
 	constructor () {
 	};
@@ -61,13 +211,23 @@ class S3Cache {
 		return this.#objPath;
 	};
 
+	/**
+	 * 
+	 * @returns {RetryPolicy} The retry policy used for calls to S3
+	 */
+	static getRetryPolicy() {
+		return this.#retryPolicy;
+	};
+
 	/**
 	 * Initialize the S3 bucket for storing cached data.
 	 * @param {string} bucket The bucket name for storing cached data
+	 * @param {RetryPolicy} retryPolicy Retry policy for calls to S3. Default: null (3 attempts)
 	 */
-	static init(bucket) {
+	static init(bucket, retryPolicy = null) {
 		if ( S3Cache.getBucket() === null) {
 			this.#bucket = bucket;
+			if ( retryPolicy instanceof RetryPolicy ) { this.#retryPolicy = retryPolicy; }
 		} else {
 			tools.DebugAndLog.error("S3Cache already initialized. Ignoring call to S3Cache.init()");
 		}
@@ -127,7 +287,7 @@ class S3Cache {
 					ResponseContentType:'application/json'
 				};
 
-				const result = await tools.AWS.s3.get(params);
+				const result = await S3Cache.#retryPolicy.run("S3.get", () => tools.AWS.s3.get(params));
 
 				tools.DebugAndLog.debug(`Success getting object from S3 ${objFullLocation}`);
 
@@ -168,7 +328,7 @@ class S3Cache {
 					ContentType: 'application/json'
 				};
 
-				let response = await tools.AWS.s3.put(params);
+				let response = await S3Cache.#retryPolicy.run("S3.put", () => tools.AWS.s3.put(params));
 
 				tools.DebugAndLog.debug(`Put object to S3 ${objFullLocation}`, response);
 
@@ -181,16 +341,195 @@ class S3Cache {
 		});
 
 	};
+
+	/**
+	 * Delete cache data from S3 for given idHash
+	 * @param {string} idHash ID of data to delete
+	 * @returns {Promise<boolean>} Whether or not the delete was successful
+	 */
+	static async delete (idHash) {
+
+		const objKey = `${S3Cache.getPath()}${idHash}.json`;
+		const objFullLocation = `${S3Cache.getBucket()}/${objKey}`;
+		tools.DebugAndLog.debug(`Deleting object from S3: ${objFullLocation}`);
+
+		return new Promise( async (resolve, reject) => {
+
+			try {
+				const params = {
+					Bucket: S3Cache.getBucket(),
+					Key: objKey
+				};
+
+				let response = await S3Cache.#retryPolicy.run("S3.delete", () => tools.AWS.s3.delete(params));
+
+				tools.DebugAndLog.debug(`Deleted object from S3 ${objFullLocation}`, response);
+
+				resolve(true);
+
+			} catch (error) {
+				tools.DebugAndLog.error(`Error deleting object from S3. (${objFullLocation}) ${error.message}`, error.stack);
+				reject(false)
+			};
+		});
+
+	};
+
+	/**
+	 * Write a body to S3 as its own raw object rather than as part of the
+	 * JSON cache record.
+	 * @param {string} idHash ID of the body to write
+	 * @param {Buffer} body The body as stored (compressed bodies are stored compressed)
+	 * @param {{contentType: string, contentEncoding: string}} options Metadata for the object
+	 * @returns {Promise<boolean>} Whether or not the write was successful
+	 */
+	static async writeBody (idHash, body, { contentType = null, contentEncoding = null } = {}) {
+
+		const objKey = `${S3Cache.getPath()}${idHash}.body`;
+		const objFullLocation = `${S3Cache.getBucket()}/${objKey}`;
+		tools.DebugAndLog.debug(`Putting body object to S3: ${objFullLocation}`);
+
+		return new Promise( async (resolve, reject) => {
+
+			try {
+				const params = {
+					Bucket: S3Cache.getBucket(),
+					Key: objKey,
+					Body: body,
+					ContentType: ( contentType !== null ) ? contentType : 'application/octet-stream'
+				};
+
+				if ( contentEncoding !== null ) { params.ContentEncoding = contentEncoding; }
+
+				let response = await S3Cache.#retryPolicy.run("S3.put", () => tools.AWS.s3.put(params));
+
+				tools.DebugAndLog.debug(`Put body object to S3 ${objFullLocation}`, response);
+
+				resolve(true);
+
+			} catch (error) {
+				tools.DebugAndLog.error(`Error putting body object to S3. (${objFullLocation}) ${error.message}`, error.stack);
+				reject(false)
+			};
+		});
+
+	};
+
+	/**
+	 * Get a body written by writeBody() as a stream. The body is not
+	 * buffered in memory.
+	 * @param {string} idHash ID of the body to read
+	 * @returns {Promise<Readable>} The body as stored
+	 */
+	static async readBodyStream (idHash) {
+
+		return new Promise(async (resolve, reject) => {
+
+			const objKey = `${S3Cache.getPath()}${idHash}.body`;
+			const objFullLocation = `${S3Cache.getBucket()}/${objKey}`;
+			tools.DebugAndLog.debug(`Getting body object from S3: ${objFullLocation}`);
+
+			try {
+
+				const result = await S3Cache.#retryPolicy.run("S3.get", () => tools.AWS.s3.get({ Bucket: S3Cache.getBucket(), Key: objKey }));
+
+				tools.DebugAndLog.debug(`Success getting body object from S3 ${objFullLocation}`);
+
+				// AWS SDK V2 returns a Buffer, V3 returns a stream
+				resolve( ( result.Body instanceof Buffer ) ? Readable.from([result.Body]) : result.Body );
+
+			} catch (error) {
+				tools.DebugAndLog.error(`Error getting body object from S3 (${objFullLocation}): ${error.message}`, error.stack);
+				reject(error);
+			}
+
+		});
+
+	};
+
+	/**
+	 * Delete a body written by writeBody()
+	 * @param {string} idHash ID of the body to delete
+	 * @returns {Promise<boolean>} Whether or not the delete was successful
+	 */
+	static async deleteBody (idHash) {
+
+		const objKey = `${S3Cache.getPath()}${idHash}.body`;
+		const objFullLocation = `${S3Cache.getBucket()}/${objKey}`;
+		tools.DebugAndLog.debug(`Deleting body object from S3: ${objFullLocation}`);
+
+		return new Promise( async (resolve, reject) => {
+
+			try {
+				let response = await S3Cache.#retryPolicy.run("S3.delete", () => tools.AWS.s3.delete({ Bucket: S3Cache.getBucket(), Key: objKey }));
+
+				tools.DebugAndLog.debug(`Deleted body object from S3 ${objFullLocation}`, response);
+
+				resolve(true);
+
+			} catch (error) {
+				tools.DebugAndLog.error(`Error deleting body object from S3. (${objFullLocation}) ${error.message}`, error.stack);
+				reject(false)
+			};
+		});
+
+	};
+
+	/**
+	 * List the cache records (.json) and bodies (.body) stored in S3
+	 * @param {string} startToken The nextToken returned by the previous call, or null to start at the beginning
+	 * @returns {Promise<{objects: Array<{key: string, idHash: string, type: string, size: number, lastModified: number}>, nextToken: string}>} One page of objects (lastModified is a timestamp in seconds) and the token for the next page (null if there are no more)
+	 */
+	static async list (startToken = null) {
+
+		return new Promise( async (resolve, reject) => {
+
+			try {
+				const params = {
+					Bucket: S3Cache.getBucket(),
+					Prefix: S3Cache.getPath()
+				};
+
+				if ( startToken !== null ) { params.ContinuationToken = startToken; }
+
+				tools.DebugAndLog.debug(`Listing objects in S3: ${S3Cache.getBucket()}/${S3Cache.getPath()}`);
+
+				const result = await S3Cache.#retryPolicy.run("S3.list", () => tools.AWS.s3.list(params));
+
+				const objects = ( Array.isArray(result.Contents) ? result.Contents : [] ).map( (obj) => {
+					const match = obj.Key.slice(S3Cache.getPath().length).match(/^([^/]+)\.(json|body)$/);
+					return {
+						key: obj.Key,
+						idHash: ( match !== null ) ? match[1] : null,
+						type: ( match !== null ) ? match[2] : null,
+						size: obj.Size || 0,
+						lastModified: CacheData.convertTimestampFromMilliToSeconds(new Date(obj.LastModified).getTime())
+					};
+				});
+
+				resolve({
+					objects: objects,
+					nextToken: ( result.IsTruncated === true && typeof result.NextContinuationToken === "string" ) ? result.NextContinuationToken : null
+				});
+
+			} catch (error) {
+				tools.DebugAndLog.error(`Error listing objects in S3 (${S3Cache.getBucket()}/${S3Cache.getPath()}) ${error.message}`, error.stack);
+				reject({ objects: [], nextToken: null });
+			};
+		});
+
+	};
 };
 
 /**
  * Basic DynamoDb read/write for cache data. No cache logic,
  * only handles the storage format and retrieval.
- * Logic is handled by CacheData.
+ * Logic is handled by CacheData and DynamoDbS3Storage.
  */
 class DynamoDbCache {
 
 	static #table = null;
+	static #retryPolicy = new RetryPolicy();
 
 	constructor () {
 	};
@@ -198,10 +537,12 @@ class DynamoDbCache {
 	/**
 	 * Initialize the DynamoDb settings for storing cached data
 	 * @param {string} table The table name to store cached data
+	 * @param {RetryPolicy} retryPolicy Retry policy for calls to DynamoDb. Default: null (3 attempts)
 	 */
-	static init(table) {
+	static init(table, retryPolicy = null) {
 		if ( this.#table === null ) {
 			this.#table = table;
+			if ( retryPolicy instanceof RetryPolicy ) { this.#retryPolicy = retryPolicy; }
 		} else {
 			tools.DebugAndLog.error("DynamoDbCache already initialized. Ignoring call to DynamoDbCache.init()");
 		}
@@ -215,6 +556,14 @@ class DynamoDbCache {
 		return this.#table;
 	};
 
+	/**
+	 * 
+	 * @returns {RetryPolicy} The retry policy used for calls to DynamoDb
+	 */
+	static getRetryPolicy() {
+		return this.#retryPolicy;
+	};
+
 	/**
 	 * Read cache data from DynamoDb for given idHash
 	 * @param {string} idHash The id of the cached content to retrieve
@@ -236,12 +585,13 @@ class DynamoDbCache {
 					},
 					ExpressionAttributeNames: {
 						"#expires": "expires",
-						"#data": "data"
+						"#data": "data",
+						"#tags": "tags"
 					},
-					ProjectionExpression: "id_hash, #data, #expires"
+					ProjectionExpression: "id_hash, #data, #expires, purge_ts, host_id, path_id, #tags"
 				};
 			
-				result = await tools.AWS.dynamo.get(params);
+				result = await this.#retryPolicy.run("DynamoDb.get", () => tools.AWS.dynamo.get(params));
 
 				tools.DebugAndLog.debug(`Query success from DynamoDb for id_hash: ${idHash}`);
 
@@ -273,7 +623,7 @@ class DynamoDbCache {
 					TableName: this.#table
 				};
 
-				let response = await tools.AWS.dynamo.put(params);
+				let response = await this.#retryPolicy.run("DynamoDb.put", () => tools.AWS.dynamo.put(params));
 
 				tools.DebugAndLog.debug(`Write to DynamoDb for id_hash: ${item.id_hash}`, response);
 
@@ -287,1128 +637,3908 @@ class DynamoDbCache {
 
 	};
 
-};
+	/**
+	 * Read only the expiration and info of a cache record from DynamoDb
+	 * (the body and headers are not returned)
+	 * @param {string} idHash The id of the cached content to check
+	 * @returns {Promise<object>} Cached record without data.body and data.headers
+	 */
+	static async head (idHash) {
 
-/**
- * Accesses cached data stored in DynamoDb and S3. CacheData is a static 
- * object that manages expiration calculations, accessing and storing data. 
- * This class is used by the publicly exposed class Cache
- */
-class CacheData {
+		return new Promise(async (resolve, reject) => {
 
-	static PRIVATE = "private";
-	static PUBLIC = "public";
+			tools.DebugAndLog.debug(`Getting record info from DynamoDb for id_hash: ${idHash}`)
+			let result = {};
 
-	static PLAIN_ENCODING = "utf8";
-	static CRYPT_ENCODING = "hex";
+			try {
+				let params = {
+					TableName: this.#table,
+					Key: {
+						"id_hash": idHash
+					},
+					ExpressionAttributeNames: {
+						"#expires": "expires",
+						"#data": "data",
+						"#info": "info"
+					},
+					ProjectionExpression: "id_hash, #expires, purge_ts, #data.#info"
+				};
 
-	static #secureDataAlgorithm = null;
-	static #secureDataKey = null;
-	static #dynamoDbMaxCacheSize_kb = 10;
-	static #purgeExpiredCacheEntriesAfterXHours = 24;
-	static #timeZoneForInterval = "UTC";
-	static #offsetInMinutes = 0;
+				result = await this.#retryPolicy.run("DynamoDb.get", () => tools.AWS.dynamo.get(params));
+
+				tools.DebugAndLog.debug(`Query success from DynamoDb for id_hash: ${idHash}`);
+
+				resolve(result);
+			} catch (error) {
+				tools.DebugAndLog.error(`Unable to perform DynamoDb query. (${idHash}) ${error.message}`, error.stack);
+				reject(result);
+			};
+
+		});
 
-	constructor() {
 	};
 
 	/**
-	 * 
-	 * @param {Object} parameters
-	 * @param {string} parameters.dynamoDbTable
-	 * @param {string} parameters.s3Bucket
-	 * @param {string} parameters.secureDataAlgorithm
-	 * @param {string|Buffer|tools.Secret|tools.CachedSSMParameter|tools.CachedSecret} parameters.secureDataKey
-	 * @param {number} parameters.DynamoDbMaxCacheSize_kb
-	 * @param {number} parameters.purgeExpiredCacheEntriesAfterXHours
-	 * @param {string} parameters.timeZoneForInterval
+	 * Delete a cache record from DynamoDb
+	 * @param {string} idHash The id of the cached content to delete
+	 * @param {number} purgedBefore Only delete the record if its purge_ts is before this timestamp (in seconds). Default: null (always delete)
+	 * @returns {Promise<boolean>} Whether or not the delete was successful. false if purgedBefore was given and the record was not deleted
 	 */
-	static init(parameters) {
+	static async delete (idHash, purgedBefore = null) {
 
-		// if we don't have the key set, we don't have anything set
-		if ( this.#secureDataKey === null ) {
+		return new Promise( async (resolve, reject) => {
 
-			// TODO: Throw error if data is missing
+			try {
 
-			DynamoDbCache.init(parameters.dynamoDbTable);
-			S3Cache.init(parameters.s3Bucket);
+				tools.DebugAndLog.debug(`Deleting record from DynamoDb for id_hash: ${idHash}`)
 
-			// set other values
-			this.#secureDataAlgorithm = parameters.secureDataAlgorithm;
-			this.#secureDataKey = parameters.secureDataKey;
+				let params = {
+					Key: {
+						"id_hash": idHash
+					},
+					TableName: this.#table
+				};
 
-			if ("DynamoDbMaxCacheSize_kb" in parameters ) { this.#dynamoDbMaxCacheSize_kb = parameters.DynamoDbMaxCacheSize_kb; }
-			if ("purgeExpiredCacheEntriesAfterXHours" in parameters ) { this.#purgeExpiredCacheEntriesAfterXHours = parameters.purgeExpiredCacheEntriesAfterXHours; }
-			if ("timeZoneForInterval" in parameters ) { this.#timeZoneForInterval = parameters.timeZoneForInterval; }
+				// the record may have been written again since it was found to be expired
+				if ( purgedBefore !== null ) {
+					params.ConditionExpression = "purge_ts < :before";
+					params.ExpressionAttributeValues = { ":before": purgedBefore };
+				}
 
-			this._setOffsetInMinutes();
+				let response = await this.#retryPolicy.run("DynamoDb.delete", () => tools.AWS.dynamo.delete(params));
 
-		} else {
-			tools.DebugAndLog.warn("CacheData already initialized. Ignoring call to CacheData.init()");
-		}
+				tools.DebugAndLog.debug(`Delete from DynamoDb for id_hash: ${idHash}`, response);
+
+				resolve(true);
+
+			} catch (error) {
+				if ( purgedBefore !== null && ( error?.name === "ConditionalCheckFailedException" || error?.code === "ConditionalCheckFailedException" ) ) {
+					tools.DebugAndLog.debug(`Record for id_hash: ${idHash} is no longer expired. Not deleted`);
+					resolve(false);
+				} else {
+					tools.DebugAndLog.error(`Delete from DynamoDb failed for id_hash: ${idHash} ${error.message}`, error.stack);
+					reject(false)
+				}
+			};
+		});
 
 	};
 
 	/**
-	 * Similar to init, but runs during execution time to refresh environment variables that may have changed since init.
-	 * Calling .prime() without an await can help get runtime refreshes started.
-	 * You can safely call .prime() again with an await to make sure it has completed just before you need it.
-	 * @returns {Promise<boolean>}
+	 * Find the id_hash of records past their purge_ts that have not yet been
+	 * removed by the DynamoDb TTL (which may take a couple of days, or may
+	 * not be enabled on the table)
+	 * @param {number} purgedBefore Timestamp in seconds
+	 * @param {object} startKey The nextKey returned by the previous call, or null to start at the beginning
+	 * @returns {Promise<{idHashes: Array<string>, nextKey: object}>} One page of id_hashes and the key to retrieve the next page (null if there are no more)
 	 */
-	static async prime() {
-		return new Promise(async (resolve, reject) => {
+	static async listExpired (purgedBefore, startKey = null) {
+
+		return new Promise( async (resolve, reject) => {
+
 			try {
-				let primeTasks = [];
 
-				if (CacheData.getSecureDataKeyType() === 'CachedParameterSecret') {
-					primeTasks.push( this.#secureDataKey.prime());
-				}
+				let params = {
+					TableName: this.#table,
+					ProjectionExpression: "id_hash",
+					FilterExpression: "purge_ts < :before",
+					ExpressionAttributeValues: { ":before": purgedBefore }
+				};
 
-				await Promise.all(primeTasks);
+				if ( startKey !== null ) { params.ExclusiveStartKey = startKey; }
+
+				tools.DebugAndLog.debug(`Listing records in DynamoDb purged before ${purgedBefore}`);
+
+				const result = await this.#retryPolicy.run("DynamoDb.scan", () => tools.AWS.dynamo.scan(params));
+
+				resolve({
+					idHashes: ( Array.isArray(result.Items) ) ? result.Items.map( (i) => i.id_hash ) : [],
+					nextKey: ( "LastEvaluatedKey" in result && typeof result.LastEvaluatedKey !== "undefined" ) ? result.LastEvaluatedKey : null
+				});
 
-				resolve(true);
 			} catch (error) {
-				tools.DebugAndLog.error(`CacheData.prime() failed ${error.message}`, error.stack);
-				reject(false);
-			}
+				tools.DebugAndLog.error(`List expired records in DynamoDb failed ${error.message}`, error.stack);
+				reject({ idHashes: [], nextKey: null });
+			};
 		});
-	}
 
-	/**
-	 * Used in the init() method, based on the timeZoneForInterval and current
-	 * date, set the offset in minutes (offset from UTC taking into account
-	 * daylight savings time for that time zone)
-	 */
-	static _setOffsetInMinutes() {
-		this.#offsetInMinutes = ( -1 * moment.tz.zone(this.getTimeZoneForInterval()).utcOffset(Date.now())); // invert by *-1 because of POSIX
 	};
 
 	/**
-	 * 
-	 * @returns {number} The offset in minutes taking into account whether or not daylight savings is in effect AND observed
+	 * Find the id_hash of cache records matching a host id, path id, and/or
+	 * tag. If an index is given and the filter has a hostId the index is
+	 * queried, otherwise the table is scanned.
+	 * @param {{hostId: string, pathId: string, tag: string}} filter Records must match every property given
+	 * @param {object} startKey The nextKey returned by the previous call, or null to start at the beginning
+	 * @param {string} indexName Name of a global secondary index with a partition key of host_id and sort key of path_id
+	 * @returns {Promise<{idHashes: Array<string>, nextKey: object}>} One page of matching id_hashes and the key to retrieve the next page (null if there are no more)
 	 */
-	static getOffsetInMinutes() {
-		return this.#offsetInMinutes;
-	};
+	static async list (filter, startKey = null, indexName = null) {
 
-	/**
-	 * https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
-	 * @returns {string} Returns the TZ database name assigned to the time zone
-	 */
-	static getTimeZoneForInterval() {
-		return this.#timeZoneForInterval;
-	};
+		return new Promise( async (resolve, reject) => {
 
-	/**
-	 * Get information about the cache settings
-	 * @returns {{
-	 * 		dynamoDbTable: string, 
-	 * 		s3Bucket: string,
-	 * 		secureDataAlgorithm: string,
-	 * 		secureDataKey: string,
-	 * 		DynamoDbMaxCacheSize_kb: number,
-	 * 		purgeExpiredCacheEntriesAfterXHours: number,
-	 * 		timeZoneForInterval: string,
-	 * 		offsetInMinutes: number
-	 * }}
-	 */
-	static info() {
+			try {
 
-		return {
-			dynamoDbTable: DynamoDbCache.info(),
-			s3Bucket: S3Cache.info(),
-			secureDataAlgorithm: this.#secureDataAlgorithm,
-			secureDataKey: `************** [${CacheData.getSecureDataKeyType()}]`,
-			DynamoDbMaxCacheSize_kb: this.#dynamoDbMaxCacheSize_kb,
-			purgeExpiredCacheEntriesAfterXHours: this.#purgeExpiredCacheEntriesAfterXHours,
-			timeZoneForInterval: CacheData.getTimeZoneForInterval(),
-			offsetInMinutes: CacheData.getOffsetInMinutes()
-		};
+				const conditions = [];
+				const keyConditions = [];
+				const values = {};
+				const useIndex = ( indexName !== null && typeof filter.hostId === "string" );
 
-	};
+				if ( typeof filter.hostId === "string" ) { values[":host"] = filter.hostId; (useIndex ? keyConditions : conditions).push("host_id = :host"); }
+				if ( typeof filter.pathId === "string" ) { values[":path"] = filter.pathId; (useIndex ? keyConditions : conditions).push("path_id = :path"); }
+				if ( typeof filter.tag === "string" ) { values[":tag"] = filter.tag; conditions.push("contains(#tags, :tag)"); }
 
-	/**
-	 * Format the cache object for returning to main program
-	 * @param {number} expires 
-	 * @param {Object} body 
-	 * @param {Object} headers 
-	 * @param {string} statusCode 
-	 * @returns {CacheDataFormat} Formatted cache object
-	 */
-	static format(expires = null, body = null, headers = null, statusCode = null) {
-		return { "cache": { body: body, headers: headers, expires: expires, statusCode: statusCode } };
-	};
+				let params = {
+					TableName: this.#table,
+					ProjectionExpression: "id_hash"
+				};
 
-	/**
-	 * 
-	 * @param {string} idHash 
-	 * @param {Object} item 
-	 * @param {number} syncedNow 
-	 * @param {number} syncedLater 
-	 * @returns {Promise<{ body: string, headers: Object, expires: number, statusCode: string }>}
-	 */
-	static async _process(idHash, item, syncedNow, syncedLater) {
-		
-		return new Promise(async (resolve, reject) => {
+				if ( Object.keys(values).length > 0 ) { params.ExpressionAttributeValues = values; }
+				if ( conditions.length > 0 ) { params.FilterExpression = conditions.join(" AND "); }
+				if ( typeof filter.tag === "string" ) { params.ExpressionAttributeNames = { "#tags": "tags" }; }
+				if ( startKey !== null ) { params.ExclusiveStartKey = startKey; }
 
-			try {
-					
-				// Is this a pointer to data in S3?
-				if ("data" in item && "info" in item.data && "objInS3" in item.data.info && item.data.info.objInS3 === true) {
-					tools.DebugAndLog.debug(`Item is in S3. Fetching... (${idHash})`);
-					item = await S3Cache.read(idHash); // The data is stored in S3 so get it
-					tools.DebugAndLog.debug(`Item returned from S3 replaces pointer to S3 (${idHash})`, item);
-					// NOTE: if this fails and returns null it will be handled as any item === null which is to say that body will be null
-				}
-				
-				let body = null;
-				let headers = null;
-				let expires = syncedLater;
-				let statusCode = null;
+				tools.DebugAndLog.debug(`Listing records in DynamoDb using ${(useIndex ? `query on ${indexName}` : "scan")}`, filter);
 
-				if (item !== null) {
-					tools.DebugAndLog.debug(`Process data from cache (${idHash})`);
-					body = item.data.body; // set the cached body data (this is what we will be the body of the response)
+				let result = null;
 
-					headers = item.data.headers;
-					expires = item.expires;
-					statusCode = item.data.statusCode;
-					
-					// if the body is encrypted (because classification is private) decrypt it
-					if ( item.data.info.classification === CacheData.PRIVATE ) {
-						try {
-							tools.DebugAndLog.debug(`Policy for (${idHash}) data is classified as PRIVATE. Decrypting body...`);
-							await CacheData.prime();
-							body = this._decrypt(body);
-						} catch (error) {
-							// Decryption failed
-							body = null;
-							expires = syncedNow;
-							headers = null;
-							statusCode = "500";
-							tools.DebugAndLog.error(`Unable to decrypt cache. Ignoring it. (${idHash}) ${error.message}`, error.stack);
-						}
-					}               
+				if ( useIndex ) {
+					params.IndexName = indexName;
+					params.KeyConditionExpression = keyConditions.join(" AND ");
+					result = await this.#retryPolicy.run("DynamoDb.query", () => tools.AWS.dynamo.query(params));
+				} else {
+					result = await this.#retryPolicy.run("DynamoDb.scan", () => tools.AWS.dynamo.scan(params));
 				}
 
-				resolve({ body: body, headers: headers, expires: expires, statusCode: statusCode });
+				resolve({
+					idHashes: ( Array.isArray(result.Items) ) ? result.Items.map( (i) => i.id_hash ) : [],
+					nextKey: ( "LastEvaluatedKey" in result && typeof result.LastEvaluatedKey !== "undefined" ) ? result.LastEvaluatedKey : null
+				});
+
 			} catch (error) {
-				tools.DebugAndLog.error(`Error getting data from cache. (${idHash}) ${error.message}`, error.stack);
-				reject( {body: null, expires: syncedNow, headers: null, statusCode: "500"} );
-			}
-				
+				tools.DebugAndLog.error(`List records in DynamoDb failed ${error.message}`, error.stack);
+				reject({ idHashes: [], nextKey: null });
+			};
 		});
+
 	};
 
 	/**
-	 * 
-	 * @param {string} idHash 
-	 * @param {number} syncedLater 
-	 * @returns {Promise<CacheDataFormat>} 
+	 * The id_hash used to store a refresh lock in the cache table
+	 * @param {string} idHash The id of the cached content being locked
+	 * @returns {string}
 	 */
-	static async read(idHash, syncedLater) {
+	static lockId (idHash) {
+		return `lock:${idHash}`;
+	};
 
-		return new Promise(async (resolve, reject) => {
+	/**
+	 * Acquire a refresh lock (lease) for an idHash using a conditional write.
+	 * The write only succeeds if there is no lock, or the existing lock has expired.
+	 * If the write is retried, an earlier attempt may have written the lock
+	 * before failing, so a failed condition on a retry checks the owner.
+	 * @param {string} idHash The id of the cached content to lock
+	 * @param {string} owner A unique id for the holder of the lock
+	 * @param {number} expires Timestamp in seconds when the lock expires
+	 * @returns {Promise<boolean>} true if the lock was acquired, false if another owner holds it
+	 */
+	static async acquireLock (idHash, owner, expires) {
 
-			let cache = this.format(syncedLater);
+		return new Promise( async (resolve, reject) => {
+
+			const now = CacheData.convertTimestampFromMilliToSeconds(Date.now());
+			let attempts = 0;
 
 			try {
-				
-				const result = await DynamoDbCache.read(idHash);
 
-				/* if we have a cached object, provide it for evaluation */
-				/* NOTE: AWS-SDK seems to provide a hidden Item that is undefined? toString and stringify doesn't show it, 
-				but "Item" in result will be true. So we will do extensive testing to make compatible with both v2 and v3 */
-				if ( "Item" in result && typeof result.Item !== "undefined" && result.Item !== null ) { 
-					// hand the item over for processing
-					const cachedCopy = await this._process(idHash, result.Item);
-					cache = this.format(cachedCopy.expires, cachedCopy.body, cachedCopy.headers, cachedCopy.statusCode);
-					tools.DebugAndLog.debug(`Cached Item Processed: ${idHash}`);
-				} else {
-					tools.DebugAndLog.debug(`No cache found for ${idHash}`);
-				}
+				tools.DebugAndLog.debug(`Acquiring refresh lock in DynamoDb for id_hash: ${idHash}`)
+
+				let params = {
+					Item: {
+						id_hash: DynamoDbCache.lockId(idHash),
+						lock_owner: owner,
+						expires: expires,
+						purge_ts: expires + 3600
+					},
+					TableName: this.#table,
+					ConditionExpression: "attribute_not_exists(id_hash) OR #expires < :now",
+					ExpressionAttributeNames: {
+						"#expires": "expires"
+					},
+					ExpressionAttributeValues: {
+						":now": now
+					}
+				};
+
+				await this.#retryPolicy.run("DynamoDb.put", () => { attempts++; return tools.AWS.dynamo.put(params); });
+
+				resolve(true);
 
-				resolve(cache);
 			} catch (error) {
-				tools.DebugAndLog.error(`CacheData.read(${idHash}) failed ${error.message}`, error.stack);
-				reject(cache);
+				if ( error?.name === "ConditionalCheckFailedException" || error?.code === "ConditionalCheckFailedException" ) {
+					if ( attempts > 1 && await this.#lockOwner(idHash) === owner ) {
+						tools.DebugAndLog.debug(`Refresh lock for id_hash: ${idHash} was acquired by an earlier attempt`);
+						resolve(true);
+						return;
+					}
+					tools.DebugAndLog.debug(`Refresh lock already held for id_hash: ${idHash}`);
+					resolve(false);
+				} else {
+					tools.DebugAndLog.error(`Acquire refresh lock in DynamoDb failed for id_hash: ${idHash} ${error.message}`, error.stack);
+					reject(false);
+				}
 			};
-			
 		});
+
 	};
 
 	/**
-	 * 
-	 * @param {string} idHash ID of data to write
-	 * @param {number} syncedNow 
-	 * @param {string} body 
-	 * @param {Object} headers 
-	 * @param {string} host 
-	 * @param {string} path 
-	 * @param {number} expires 
-	 * @param {number} statusCode 
-	 * @param {boolean} encrypt 
-	 * @returns {CacheDataFormat}
+	 * Read the owner of a refresh lock
+	 * @param {string} idHash The id of the cached content that was locked
+	 * @returns {Promise<string|null>} The owner, or null if there is no lock or it could not be read
 	 */
-	static write (idHash, syncedNow, body, headers, host, path, expires, statusCode, encrypt = true) {
-
-		let cacheData = null;
-	
+	static async #lockOwner (idHash) {
 		try {
+			let params = {
+				TableName: this.#table,
+				Key: {
+					"id_hash": DynamoDbCache.lockId(idHash)
+				},
+				ConsistentRead: true
+			};
 
-			tools.DebugAndLog.debug(`Updating Cache for ${idHash} now:${syncedNow} | host:${host} | path:${path} | expires:${expires} | statusCode:${statusCode} | encrypt:${encrypt} ... `);
+			const result = await this.#retryPolicy.run("DynamoDb.get", () => tools.AWS.dynamo.get(params));
+			return result?.Item?.lock_owner ?? null;
+		} catch (error) {
+			tools.DebugAndLog.warn(`Unable to read refresh lock owner from DynamoDb for id_hash: ${idHash} ${error?.message}`);
+			return null;
+		}
+	};
 
-			if( isNaN(expires) || expires < syncedNow ) {
-				expires = syncedNow + 300;
-			}
+	/**
+	 * Release a refresh lock. Only the owner of the lock can release it.
+	 * @param {string} idHash The id of the cached content that was locked
+	 * @param {string} owner The unique id used to acquire the lock
+	 * @returns {Promise<boolean>} Whether or not the lock was released
+	 */
+	static async releaseLock (idHash, owner) {
 
-			// lowercase all headers
-			headers = CacheData.lowerCaseKeys(headers);
+		return new Promise( async (resolve, reject) => {
 
-			// set etag
-			if ( !("etag" in headers) ) {
-				headers.etag = CacheData.generateEtag(idHash, body);
-			}
+			try {
 
-			// set last modified
-			if ( !("last-modified" in headers) ) {
-				headers['last-modified'] = CacheData.generateInternetFormattedDate(syncedNow);
-			}
+				tools.DebugAndLog.debug(`Releasing refresh lock in DynamoDb for id_hash: ${idHash}`)
 
-			// set expires in header
-			if ( !("expires" in headers) ) {
-				headers['expires'] = CacheData.generateInternetFormattedDate(expires);
-			}
-	
-			cacheData = CacheData.format(expires, body, headers, statusCode);
+				let params = {
+					Key: {
+						"id_hash": DynamoDbCache.lockId(idHash)
+					},
+					TableName: this.#table,
+					ConditionExpression: "lock_owner = :owner",
+					ExpressionAttributeValues: {
+						":owner": owner
+					}
+				};
 
-			const bodySize_kb = this.calculateKBytes(body);
-			let bodyToStore = body;
+				await this.#retryPolicy.run("DynamoDb.delete", () => tools.AWS.dynamo.delete(params));
 
-			// if the endpoint policy is classified as private, encrypt
-			if ( encrypt ) {
-				tools.DebugAndLog.debug(`Policy for (${idHash}) data is classified as PRIVATE. Encrypting body...`);
-				bodyToStore = this._encrypt(body);
-			}
+				resolve(true);
 
-			// create the (preliminary) cache record
-			let item = {
-				id_hash: idHash,
-				expires: expires,
-				purge_ts: (syncedNow + (this.#purgeExpiredCacheEntriesAfterXHours * 3600)),
-				data: { 
-					info: { 
-						expires: headers.expires,
-						host: host,
-						path: path,
-						classification: (encrypt ? CacheData.PRIVATE : CacheData.PUBLIC),
-						size_kb: bodySize_kb,
-						objInS3: false
-					},
-					headers: headers,
-					body: bodyToStore,
-					statusCode: statusCode
+			} catch (error) {
+				if ( error?.name === "ConditionalCheckFailedException" || error?.code === "ConditionalCheckFailedException" ) {
+					tools.DebugAndLog.debug(`Refresh lock for id_hash: ${idHash} is held by another owner or has expired`);
+					resolve(false);
+				} else {
+					tools.DebugAndLog.error(`Release refresh lock in DynamoDb failed for id_hash: ${idHash} ${error.message}`, error.stack);
+					reject(false);
 				}
 			};
+		});
 
-			/*
-			DynamoDb has a limit of 400KB per item so we want to make sure
-			the Item does not take up that much space. Also, we want 
-			DynamoDb to run efficiently so it is best to only store smaller 
-			items there and move larger items into S3.
+	};
 
-			Any items larger than the max size we set will be stored over 
-			in S3.
+};
 
-			What is the max size? It can be set in the Lambda Environment
-			Variables and discovering the proper balance will take some trials.
-			We don't want to constantly be calling S3, but we also don't want
-			to make DynamoDb too heavy either.
+/**
+ * Storage adapter contract used by CacheData to persist cache records.
+ * 
+ * CacheData builds the cache record (id_hash, expires, purge_ts, and data)
+ * and hands it over to the storage adapter. The adapter only needs to store
+ * and retrieve the record as-is. No cache logic (expiration, encryption,
+ * etc.) is performed by the adapter.
+ * 
+ * Extend this class to create your own adapter and pass an instance of it
+ * to Cache.init() using the storage parameter.
+ * 
+ * @example
+ * class MyStorage extends cache.CacheStorage {
+ * 	async read(idHash) { ... } // resolves to the cache record or null
+ * 	async write(item) { ... } // resolves to true or false
+ * 	async delete(idHash) { ... } // resolves to true or false
+ * 	async head(idHash) { ... } // resolves to { id_hash, expires, purge_ts, info } or null
+ * }
+ * 
+ * Cache.init({ ..., storage: new MyStorage() });
+ */
+class CacheStorage {
 
-			(In summary: Max Item size in DynamoDb is 400KB, and storing too many large
-			items can have a performance impact. However constantly calling
-			S3 also will have a performance impact.)
-			*/
+	constructor () {
+	};
 
-			// do the size check
-			if (bodySize_kb > this.#dynamoDbMaxCacheSize_kb) {
-				// over max size limit set in Lambda Environment Variables
-				S3Cache.write(idHash, JSON.stringify(item) );
-				// update the Item we will pass to DynamoDb
-				let preview = (typeof item.data.body === "string") ? item.data.body.slice(0,100)+"..." : "[---ENCRYPTED---]";
-				item.data.body = "ID: "+idHash+" PREVIEW: "+preview;
-				item.data.info.objInS3 = true; 
-			}
-			
-			DynamoDbCache.write(item); // we don't wait for a response 
+	/**
+	 * Information about the storage adapter
+	 * @returns {object} An object describing the storage adapter
+	 */
+	info() {
+		return { type: this.constructor.name };
+	};
 
-		} catch (error) {
-			tools.DebugAndLog.error(`CacheData.write for ${idHash} FAILED now:${syncedNow} | host:${host} | path:${path} | expires:${expires} | statusCode:${statusCode} | encrypt:${encrypt} failed. ${error.message}`, error.stack);
-			cacheData = CacheData.format(0);
-		};
+	/**
+	 * Read a cache record
+	 * @param {string} idHash The id of the cached content to retrieve
+	 * @returns {Promise<object|null>} The cache record, or null if it does not exist. Rejects on storage error
+	 */
+	async read (idHash) {
+		throw new Error(`${this.constructor.name}.read() is not implemented`);
+	};
 
-		return cacheData;
+	/**
+	 * Write a cache record. Any existing record with the same id_hash is replaced.
+	 * @param {object} item The cache record to write
+	 * @returns {Promise<boolean>} Whether or not the write was successful
+	 */
+	async write (item) {
+		throw new Error(`${this.constructor.name}.write() is not implemented`);
+	};
 
+	/**
+	 * Delete a cache record
+	 * @param {string} idHash The id of the cached content to delete
+	 * @returns {Promise<boolean>} Whether or not the delete was successful
+	 */
+	async delete (idHash) {
+		throw new Error(`${this.constructor.name}.delete() is not implemented`);
 	};
 
-	/* 
-	***********************************************************************
-	Encryption Functions
-	-----------------------------------------------------------------------
-	
-	Encrypt and Decrypt data classified as private
-	
-	Even though we can set up DynamoDB to encrypt data when at rest, we
-	don't want data classified as private to be viewed or exported from the
-	AWS console
+	/**
+	 * Read the expiration and info of a cache record without the body or headers
+	 * @param {string} idHash The id of the cached content to check
+	 * @returns {Promise<{id_hash: string, expires: number, purge_ts: number, info: object}|null>} The record summary, or null if it does not exist. Rejects on storage error
+	 */
+	async head (idHash) {
+		throw new Error(`${this.constructor.name}.head() is not implemented`);
+	};
 
-	-----------------------------------------------------------------------
-	
-	Adapted from
-	https://codeforgeek.com/encrypt-and-decrypt-data-in-node-js/
-	
-	and
-	https://nodejs.org/api/crypto.html
+	/**
+	 * List the id_hash of cache records that match the filter. Used by
+	 * Cache.purge(). Optional. Storage that does not support listing cannot
+	 * be purged in bulk.
+	 * @param {{hostId: string, pathId: string, tag: string}} filter Records must match every property given
+	 * @param {*} startKey The nextKey returned by the previous call, or null to start at the beginning
+	 * @returns {Promise<{idHashes: Array<string>, nextKey: *}>} One page of matching id_hashes and the key for the next page (null if there are no more). Rejects on storage error
+	 */
+	async list (filter, startKey = null) {
+		throw new Error(`${this.constructor.name}.list() is not implemented`);
+	};
 
-	************************************************************************
-	*/
+	/**
+	 * Acquire a short lived refresh lock (lease) so that only one process
+	 * refreshes an idHash at a time. Optional. Storage that does not support
+	 * locking always grants the lock.
+	 * @param {string} idHash The id of the cached content to lock
+	 * @param {string} owner A unique id for the holder of the lock
+	 * @param {number} expires Timestamp in seconds when the lock expires if not released
+	 * @returns {Promise<boolean>} true if the lock was acquired, false if another owner holds it
+	 */
+	async acquireLock (idHash, owner, expires) {
+		return true;
+	};
 
 	/**
-	 * Returns the type of secureDataKey
-	 * 
-	 * @returns {string} 'buffer', 'string', 'CachedParameterSecret'
+	 * Release a refresh lock. Only the owner of the lock can release it. Optional.
+	 * @param {string} idHash The id of the cached content that was locked
+	 * @param {string} owner The unique id used to acquire the lock
+	 * @returns {Promise<boolean>} Whether or not the lock was released
 	 */
-	static getSecureDataKeyType() {
-		// look at type of parameters.secureDataKey as it can be a string, Buffer, or object.
-		let dataKeyType = typeof this.#secureDataKey;
-		if ( Buffer.isBuffer(this.#secureDataKey)) { dataKeyType = 'buffer'; }
-		if ( dataKeyType === 'object' && this.#secureDataKey instanceof tools.CachedParameterSecret ) { dataKeyType = 'CachedParameterSecret'; }
-		return dataKeyType;
-	}
+	async releaseLock (idHash, owner) {
+		return true;
+	};
 
 	/**
-	 * Obtain the secureDataKey as a Buffer for encryption/decryption.
-	 *
-	 * @returns {Buffer|null} The Data key as a buffer in the format specified by CacheData.CRYPT_ENCODING
+	 * Store a large body apart from its cache record so that it can later be
+	 * read as a stream. Optional. Storage that does not support raw bodies
+	 * resolves to false and the body is kept in the record. When the body was
+	 * stored, delete() must also remove it.
+	 * @param {string} idHash The id of the cached content the body belongs to
+	 * @param {Buffer} body The body as stored (compressed bodies are stored compressed)
+	 * @param {{contentType: string, contentEncoding: string}} options Metadata for the body
+	 * @returns {Promise<boolean>} true if the body was stored apart from the record
 	 */
-	static getSecureDataKey() {
+	async writeBody (idHash, body, options = {}) {
+		return false;
+	};
 
-		let buff = null;
+	/**
+	 * Read a body stored by writeBody() as a stream
+	 * @param {string} idHash The id of the cached content the body belongs to
+	 * @returns {Promise<Readable>} The body as stored. Rejects if it does not exist or on storage error
+	 */
+	async readBodyStream (idHash) {
+		throw new Error(`${this.constructor.name}.readBodyStream() is not implemented`);
+	};
 
-		try {
+	/**
+	 * Remove data left behind in storage, such as bodies and records that
+	 * are no longer referenced or are past their purge_ts. Optional. Storage
+	 * that does not leave data behind resolves to an empty report.
+	 * @param {Object} options
+	 * @param {number} options.olderThan Only remove data last written before this timestamp (in seconds)
+	 * @param {boolean} options.dryRun Count what would be removed without removing it
+	 * @param {number} options.timeBudgetInMilliseconds Stop after this many milliseconds and report complete as false. Default: 0 (no limit)
+	 * @returns {Promise<{dryRun: boolean, complete: boolean, checkedObjects: number, orphanedObjects: number, deletedObjects: number, expiredItems: number, deletedItems: number, orphanedBytes: number, reclaimedBytes: number, failed: number}>}
+	 */
+	async collectGarbage ({ olderThan, dryRun = false, timeBudgetInMilliseconds = 0 } = {}) {
+		return {
+			dryRun: dryRun,
+			complete: true,
+			checkedObjects: 0,
+			orphanedObjects: 0,
+			deletedObjects: 0,
+			expiredItems: 0,
+			deletedItems: 0,
+			orphanedBytes: 0,
+			reclaimedBytes: 0,
+			failed: 0
+		};
+	};
 
-			// The secureDataKey can be stored several different ways
-			switch (CacheData.getSecureDataKeyType()) {
-				case 'buffer':
-					buff = this.#secureDataKey;
-					break;
-				case 'string':
-					buff = Buffer.from(this.#secureDataKey, this.CRYPT_ENCODING);
-					break;
-				case 'CachedParameterSecret':
-					// it may be null
-					const key = this.#secureDataKey.sync_getValue();
-					buff = ( key === null ) ? null : Buffer.from( key, this.CRYPT_ENCODING);
-					break;
-				default:
-					break;
-			}
+	/**
+	 * Check a full cache record against a list() filter
+	 * @param {object} item A cache record
+	 * @param {{hostId: string, pathId: string, tag: string}} filter Records must match every property given
+	 * @returns {boolean}
+	 */
+	static matches (item, filter) {
+		if ( item === null || typeof item !== "object" ) { return false; }
+		if ( typeof filter.hostId === "string" && item.host_id !== filter.hostId ) { return false; }
+		if ( typeof filter.pathId === "string" && item.path_id !== filter.pathId ) { return false; }
+		if ( typeof filter.tag === "string" && !( Array.isArray(item.tags) && item.tags.includes(filter.tag) ) ) { return false; }
+		return true;
+	};
 
-		} catch (error) {
-			tools.DebugAndLog.error(`CacheData.getSecureDataKey() failed ${error.message}`, error.stack);
-		}
+	/**
+	 * Create the summary returned by head() from a full cache record
+	 * @param {object} item A cache record
+	 * @returns {{id_hash: string, expires: number, purge_ts: number, info: object}|null}
+	 */
+	static summarize (item) {
+		if ( item === null || typeof item !== "object" ) { return null; }
+		return {
+			id_hash: item.id_hash,
+			expires: item.expires,
+			purge_ts: item.purge_ts,
+			info: ( item.data?.info ) ? item.data.info : {}
+		};
+	};
+};
 
-		return buff;
+/**
+ * The default storage adapter. Cache records are stored in DynamoDb and
+ * records larger than dynamoDbMaxCacheSize_kb are moved over to S3 with
+ * a pointer left in DynamoDb.
+ */
+class DynamoDbS3Storage extends CacheStorage {
+
+	#dynamoDbMaxCacheSize_kb = 10;
+	#purgeIndexName = null;
 
+	/**
+	 * DynamoDbCache and S3Cache must be initialized with the table and bucket
+	 * before use. Cache.init() does this for you.
+	 * @param {Object} options
+	 * @param {number} options.dynamoDbMaxCacheSize_kb Records with a body larger than this will be stored in S3. Default: 10
+	 * @param {string} options.purgeIndexName Global secondary index (partition key host_id, sort key path_id) used by list() when purging by hostId. Default: null (scan the table)
+	 */
+	constructor ({ dynamoDbMaxCacheSize_kb = 10, purgeIndexName = null } = {}) {
+		super();
+		this.#dynamoDbMaxCacheSize_kb = dynamoDbMaxCacheSize_kb;
+		this.#purgeIndexName = purgeIndexName;
 	};
 
 	/**
-	 * 
-	 * @param {string} text Data to encrypt
-	 * @returns {string} Encrypted data
+	 * @returns {{type: string, dynamoDbTable: string, s3Bucket: {bucket: string, path: string}, dynamoDbMaxCacheSize_kb: number, purgeIndexName: string}}
 	 */
-	static _encrypt (text) {
+	info() {
+		return {
+			type: "dynamodb-s3",
+			dynamoDbTable: DynamoDbCache.info(),
+			s3Bucket: S3Cache.info(),
+			dynamoDbMaxCacheSize_kb: this.#dynamoDbMaxCacheSize_kb,
+			purgeIndexName: this.#purgeIndexName
+		};
+	};
 
-		const dataKey = this.getSecureDataKey();
+	/**
+	 * Read the record from DynamoDb. If the record is a pointer to S3 then the
+	 * full record is retrieved from S3.
+	 * @param {string} idHash The id of the cached content to retrieve
+	 * @returns {Promise<object|null>} The cache record, or null if it does not exist
+	 */
+	async read (idHash) {
 
-		tools.DebugAndLog.debug(`Encrypting cache using ${this.#secureDataAlgorithm} with secureDataKey [${CacheData.getSecureDataKeyType()}]  ... `);
+		const result = await DynamoDbCache.read(idHash);
 
-		// can't encrypt null, so we'll substitute (and in _decrypt() reverse the sub)
-		if (text === null) { text = "{{{null}}}"; }
+		/* NOTE: AWS-SDK seems to provide a hidden Item that is undefined? toString and stringify doesn't show it, 
+		but "Item" in result will be true. So we will do extensive testing to make compatible with both v2 and v3 */
+		if ( !("Item" in result) || typeof result.Item === "undefined" || result.Item === null ) {
+			return null;
+		}
 
-		let iv = crypto.randomBytes(16);
-		let cipher = crypto.createCipheriv(this.#secureDataAlgorithm, Buffer.from(dataKey), iv);
+		let item = result.Item;
 
-		let encrypted = cipher.update(text, this.PLAIN_ENCODING, this.CRYPT_ENCODING);
-		encrypted += cipher.final(this.CRYPT_ENCODING);
+		// Is this a pointer to data in S3?
+		if (item.data?.info?.objInS3 === true) {
+			tools.DebugAndLog.debug(`Item is in S3. Fetching... (${idHash})`);
+			item = await S3Cache.read(idHash); // The data is stored in S3 so get it
+			tools.DebugAndLog.debug(`Item returned from S3 replaces pointer to S3 (${idHash})`, item);
+		}
 
-		return { iv: iv.toString(this.CRYPT_ENCODING), encryptedData: encrypted };
+		return item;
 	};
-	
+
 	/**
-	 * 
-	 * @param {string} data Data to decrypt
-	 * @returns {string} Decrypted data
+	 * Write the record to DynamoDb. If the body is larger than
+	 * dynamoDbMaxCacheSize_kb the full record is written to S3 and a pointer
+	 * with a preview of the body is written to DynamoDb.
+	 * @param {object} item The cache record to write
+	 * @returns {Promise<boolean>} Whether or not the write was successful
 	 */
-	static _decrypt (data) {
-		
-		const dataKey = this.getSecureDataKey();
+	async write (item) {
 
-		tools.DebugAndLog.debug(`Decrypting cache using ${this.#secureDataAlgorithm} with secureDataKey [${CacheData.getSecureDataKeyType()}]  ... `);
+		/*
+		DynamoDb has a limit of 400KB per item so we want to make sure
+		the Item does not take up that much space. Also, we want 
+		DynamoDb to run efficiently so it is best to only store smaller 
+		items there and move larger items into S3.
 
-		let plainEncoding = ("plainEncoding" in data) ? data.plainEncoding : this.PLAIN_ENCODING;
-		let cryptEncoding = ("cryptEncoding" in data) ? data.cryptEncoding : this.CRYPT_ENCODING;
+		Any items larger than the max size we set will be stored over 
+		in S3.
 
-		let iv = Buffer.from(data.iv, cryptEncoding);
-		let decipher = crypto.createDecipheriv(this.#secureDataAlgorithm, Buffer.from(dataKey), iv);
+		What is the max size? It can be set in the Lambda Environment
+		Variables and discovering the proper balance will take some trials.
+		We don't want to constantly be calling S3, but we also don't want
+		to make DynamoDb too heavy either.
 
-		let decrypted = decipher.update(data.encryptedData, cryptEncoding, plainEncoding);
-		decrypted += decipher.final(plainEncoding);
+		(In summary: Max Item size in DynamoDb is 400KB, and storing too many large
+		items can have a performance impact. However constantly calling
+		S3 also will have a performance impact.)
+		*/
 
-		// reverse the substitute for null that _encrypt() used
-		if ( decrypted === "{{{null}}}") { decrypted = null; }
+		const writes = [];
 
-		return decrypted;
+		try {
+			// do the size check
+			// compressed bodies are stored at their compressed size
+			const storedSize_kb = ( "compressed_kb" in item.data.info ) ? item.data.info.compressed_kb : item.data.info.size_kb;
+
+			// a raw body was already written to S3 by writeBody() so only the record remains
+			if (item.data.info.rawBody !== true && storedSize_kb > this.#dynamoDbMaxCacheSize_kb) {
+				// over max size limit set in Lambda Environment Variables
+				writes.push(S3Cache.write(item.id_hash, JSON.stringify(item) ));
+				// create the pointer Item we will pass to DynamoDb
+				item = structuredClone(item);
+				let preview = (typeof item.data.body !== "string") ? "[---ENCRYPTED---]" : ( "compression" in item.data.info ) ? "[---COMPRESSED---]" : item.data.body.slice(0,100)+"...";
+				item.data.body = "ID: "+item.id_hash+" PREVIEW: "+preview;
+				item.data.info.objInS3 = true; 
+				CacheData.emitMetrics({ hostId: item.host_id, pathId: item.path_id }, { S3Offload: 1 }, null, { idHash: item.id_hash, size_kb: item.data.info.size_kb });
+			}
+
+			writes.push(DynamoDbCache.write(item));
+
+			await Promise.all(writes);
+			return true;
+		} catch (error) {
+			// S3Cache and DynamoDbCache already logged the error
+			return false;
+		}
 	};
 
-	// utility functions
 	/**
-	 * Generate an eTag hash
-	 * 
-	 * This is very basic as there is no specification for doing this.
-	 * All an eTag needs to be is a unique hash for a particular request.
-	 * We already have a unique ID for the request, so it's not like we
-	 * need to make sure the content matches (or does not match) any content
-	 * throughout the rest of the world. We are just doing a quick check
-	 * at this exact endpoint. So we pair the idHash (this exact endpoint)
-	 * with it's content.
-	 * @param {string} idHash The id of the endpoint
-	 * @param {string} content The string to generate an eTag for
-	 * @returns {string} 10 character ETag hash
+	 * Delete the record from DynamoDb along with any S3 object it points to
+	 * @param {string} idHash The id of the cached content to delete
+	 * @returns {Promise<boolean>} Whether or not the delete was successful
 	 */
-	static generateEtag (idHash, content) {
-		const hasher = crypto.createHash('sha1');
-		hasher.update(idHash+content);
-		return hasher.digest('hex').slice(0, 10); // we'll only take 10 characters
-		// again, we aren't comparing the hash to the rest of the world
+	async delete (idHash) {
+		try {
+			const record = await this.head(idHash);
+			const deletes = [ DynamoDbCache.delete(idHash) ];
+			if ( record?.info?.objInS3 === true ) { deletes.push(S3Cache.delete(idHash)); }
+			if ( record?.info?.rawBody === true ) { deletes.push(S3Cache.deleteBody(idHash)); }
+			await Promise.all(deletes);
+			return true;
+		} catch (error) {
+			// S3Cache and DynamoDbCache already logged the error
+			return false;
+		}
 	};
 
 	/**
-	 * Generate an internet formatted date such as those used in headers.
-	 * 
-	 * Example: "Wed, 28 Jul 2021 12:24:11 GMT"
-	 * 
-	 * The timestamp passed is expected to be in seconds. If it is in
-	 * milliseconds then inMilliSeconds parameter needs to be set to
-	 * true.
-	 * @param {number} timestamp If in milliseconds, inMilliseconds parameter MUST be set to true
-	 * @param {boolean} inMilliSeconds Set to true if timestamp passed is in milliseconds. Default is false
-	 * @returns {string} An internet formatted date such as Wed, 28 Jul 2021 12:24:11 GMT
+	 * Write the body to S3 as its own object. If the write fails the body
+	 * is kept in the record instead.
+	 * @param {string} idHash 
+	 * @param {Buffer} body 
+	 * @param {{contentType: string, contentEncoding: string}} options 
+	 * @returns {Promise<boolean>}
 	 */
-	static generateInternetFormattedDate (timestamp, inMilliSeconds = false) {
-
-		if ( !inMilliSeconds ) {
-			timestamp = CacheData.convertTimestampFromSecondsToMilli(timestamp);
+	async writeBody (idHash, body, options = {}) {
+		try {
+			return await S3Cache.writeBody(idHash, body, options);
+		} catch (error) {
+			// S3Cache already logged the error
+			return false;
 		}
-
-		return new Date(timestamp).toUTCString();
 	};
 
 	/**
-	 * Returns an object with lowercase keys. Note that if after
-	 * lowercasing the keys there is a collision one will be
-	 * over-written.
-	 * Can be used for headers, response, or more.
-	 * @param {Object} objectWithKeys 
-	 * @returns {Object} Same object but with lowercase keys
+	 * @param {string} idHash 
+	 * @returns {Promise<Readable>}
 	 */
-	static lowerCaseKeys (objectWithKeys) {
-		let objectWithLowerCaseKeys = {};
-		if ( objectWithKeys !== null ) {
-			let keys = Object.keys(objectWithKeys); 
-			// move each value from objectWithKeys to objectWithLowerCaseKeys
-			keys.forEach( function( k ) { 
-				objectWithLowerCaseKeys[k.toLowerCase()] = objectWithKeys[k]; 
-			});            
-		}
-		return objectWithLowerCaseKeys;
-	}
+	async readBodyStream (idHash) {
+		return S3Cache.readBodyStream(idHash);
+	};
 
 	/**
-	 * Calculate the number of Kilobytes in memory a String takes up.
-	 * This function first calculates the number of bytes in the String using
-	 * Buffer.byteLength() and then converts it to KB = (bytes / 1024)
-	 * @param {string} aString A string to calculate on
-	 * @param {string} encode What character encoding should be used? Default is "utf8"
-	 * @returns {number} String size in estimated KB
+	 * @param {string} idHash The id of the cached content to check
+	 * @returns {Promise<{id_hash: string, expires: number, purge_ts: number, info: object}|null>}
 	 */
-	static calculateKBytes ( aString, encode = CacheData.PLAIN_ENCODING ) {
-		let kbytes = 0;		
-	
-		if ( aString !== null ) {
-			//https://www.jacklmoore.com/notes/rounding-in-javascript/
-
-			kbytes = Number(Math.round((Buffer.byteLength(aString, encode) / 1024)+'e3')+'e-3');  ; // size in KB (rounded to 3 decimals)
-			// 3 decimals is good as 1 byte = .0009KB (rounded to .001) and 5bytes = .0048KB (rounded to .005)
-			// Otherwise .0009KB would be rounded to .00 and .0048 rounded to .00			
-		}
+	async head (idHash) {
+		const result = await DynamoDbCache.head(idHash);
+		return ( "Item" in result && typeof result.Item !== "undefined" ) ? CacheStorage.summarize(result.Item) : null;
+	};
 
-		return kbytes;
+	/**
+	 * List matching records from DynamoDb. The purge index is queried when
+	 * the filter has a hostId, otherwise the table is scanned.
+	 * @param {{hostId: string, pathId: string, tag: string}} filter 
+	 * @param {object} startKey 
+	 * @returns {Promise<{idHashes: Array<string>, nextKey: object}>}
+	 */
+	async list (filter, startKey = null) {
+		return DynamoDbCache.list(filter, startKey, this.#purgeIndexName);
 	};
 
 	/**
-	 * We can set times and expirations on intervals, such as every
-	 * 15 seconds (mm:00, mm:15, mm:30, mm:45), every half hour 
-	 * (hh:00:00, hh:30:00), every hour (T00:00:00, T01:00:00), etc.
-	 * In some cases such as every 2 hours, the interval is calculated
-	 * from midnight in the timezone specified in timeZoneForInterval 
-	 * Spans of days (such as every two days (48 hours) or every three
-	 * days (72 hours) are calculated from midnight of the UNIX epoch
-	 * (January 1, 1970).
-	 * 
-	 * When a timezone is set in timeZoneForInterval, then there is
-	 * a slight adjustment made so that the interval lines up with
-	 * midnight of the "local" time. For example, if an organization
-	 * is primarily located in the Central Time Zone (or their 
-	 * nightly batch jobs occur at GMT-05:00) then timeZoneForInterval
-	 * may be set to "America/Chicago" so that midnight in 
-	 * "America/Chicago" may be used for calculations. That keeps
-	 * every 4 hours on hours 00, 04, 08, 12, 16, etc.
-	 * @param {number} intervalInSeconds 
-	 * @param {number} timestampInSeconds 
-	 * @returns {number} Next interval in seconds
+	 * Delete S3 objects that are no longer referenced by a live DynamoDb
+	 * record, then records past their purge_ts that the DynamoDb TTL has
+	 * not removed yet. S3 objects are referenced when the record has not
+	 * passed its purge_ts and has objInS3 (.json) or rawBody (.body) set.
+	 * Objects written after olderThan are kept so a write in progress is
+	 * not mistaken for an orphan.
+	 * @param {Object} options
+	 * @param {number} options.olderThan 
+	 * @param {boolean} options.dryRun 
+	 * @param {number} options.timeBudgetInMilliseconds 
+	 * @returns {Promise<object>}
 	 */
-	static nextIntervalInSeconds(intervalInSeconds, timestampInSeconds = 0 ) {
+	async collectGarbage ({ olderThan, dryRun = false, timeBudgetInMilliseconds = 0 } = {}) {
 
-		// if no timestamp given, the default timestamp is now()
-		if ( timestampInSeconds === 0 ) {
-			timestampInSeconds = CacheData.convertTimestampFromMilliToSeconds(Date.now());
-		}
+		const report = await super.collectGarbage({ dryRun });
+		const timer = new tools.Timer("timerCacheCollectGarbage", true);
+		const budget = parseInt(timeBudgetInMilliseconds, 10) || 0;
+		const outOfTime = () => ( budget > 0 && timer.elapsed() >= budget );
+		const now = CacheData.convertTimestampFromMilliToSeconds(Date.now());
 
-		/* We do an offset conversion by adjusting the timestamp to a "local"
-		time. This is purely for calculations and is not used as a "date".
-		*/
+		const collectObject = async (obj) => {
+			report.checkedObjects++;
 
-		// Add in offset so we can calculate from midnight local time
-		let offset = (CacheData.getOffsetInMinutes() * 60 ); // convert to seconds
-		timestampInSeconds += offset;
+			if ( obj.idHash === null || obj.lastModified >= olderThan ) { return; }
 
-		// convert the seconds into a date
-		let date = new Date( CacheData.convertTimestampFromSecondsToMilli(timestampInSeconds) );
+			const record = await this.head(obj.idHash);
+			const referenced = ( record !== null && record.purge_ts > now && ( ( obj.type === "json" ) ? record.info?.objInS3 === true : record.info?.rawBody === true ) );
 
-		// https://stackoverflow.com/questions/10789384/round-a-date-to-the-nearest-5-minutes-in-javascript
-		let coeff = CacheData.convertTimestampFromSecondsToMilli(intervalInSeconds);
-		let rounded = new Date(Math.ceil(date.getTime() / coeff) * coeff);
-		let nextInSeconds = CacheData.convertTimestampFromMilliToSeconds(rounded.getTime());
+			if ( referenced ) { return; }
 
-		// revert the offset so we are looking at UTC
-		nextInSeconds -= offset;
+			report.orphanedObjects++;
+			report.orphanedBytes += obj.size;
 
-		return nextInSeconds;
-	};
+			if ( dryRun ) {
+				tools.DebugAndLog.debug(`Orphaned S3 object (dry run): ${obj.key}`);
+				return;
+			}
 
-	/**
-	 * If no parameter is passed, Date.now() is used.
-	 * @param {number} timestampInMillseconds The timestamp in milliseconds to convert to seconds
-	 * @returns {number} The timestamp in seconds
-	 */
-	static convertTimestampFromMilliToSeconds (timestampInMillseconds = 0) {
-		if (timestampInMillseconds === 0) { timestampInMillseconds = Date.now().getTime(); }
-		return Math.ceil(timestampInMillseconds / 1000);
-	};
+			await ( ( obj.type === "json" ) ? S3Cache.delete(obj.idHash) : S3Cache.deleteBody(obj.idHash) );
+			report.deletedObjects++;
+			report.reclaimedBytes += obj.size;
+		};
 
-	/**
-	 * If no parameter is passed, Date.now() is used.
-	 * @param {number} timestampInSeconds 
-	 * @returns {number} Timestamp in milliseconds
-	 */
-	static convertTimestampFromSecondsToMilli (timestampInSeconds = 0) {
-		let timestampInMilli = 0;
+		try {
+			let startToken = null;
 
-		if (timestampInSeconds === 0) { 
-			timestampInMilli = Date.now().getTime(); 
-		} else {
-			timestampInMilli = timestampInSeconds * 1000;
-		}
+			do {
+				const page = await S3Cache.list(startToken);
 
-		return timestampInMilli;
-	};
+				// a few at a time so we don't flood storage with requests
+				for (let i = 0; i < page.objects.length; i += 25) {
+					const results = await Promise.allSettled(page.objects.slice(i, i + 25).map(collectObject));
+					report.failed += results.filter( (r) => r.status === "rejected" ).length;
+				}
 
-};
+				startToken = page.nextToken;
+			} while ( startToken !== null && !outOfTime() );
 
+			// expired records are only removed once all the S3 objects were checked
+			let startKey = null;
 
+			if ( startToken === null ) {
+				do {
+					const page = await DynamoDbCache.listExpired(now, startKey);
+					report.expiredItems += page.idHashes.length;
 
+					if ( !dryRun ) {
+						for (let i = 0; i < page.idHashes.length; i += 25) {
+							const results = await Promise.allSettled(page.idHashes.slice(i, i + 25).map( (idHash) => DynamoDbCache.delete(idHash, now) ));
+							results.forEach( (r) => { if ( r.status === "rejected" ) { report.failed++; } else if ( r.value === true ) { report.deletedItems++; } } );
+						}
+					}
 
-/**
- * The Cache object handles reads and writes from the cache. 
- * It also acts as a proxy between the app and CacheData which is a private class.
- * This is the actual data object our application can work with and is returned
- * from CachableDataAccess.
- * 
- * Before using it must be initialized
- * 
- * Cache.init({parameters});
- * 
- * Then you can create new objects:
- * 
- * const cacheObject = new Cache({id}, {parameters});
- */
-class Cache {
+					startKey = page.nextKey;
+				} while ( startKey !== null && !outOfTime() );
+			}
 
-	static PUBLIC = CacheData.PUBLIC;
-	static PRIVATE = CacheData.PRIVATE;
+			report.complete = ( startToken === null && startKey === null );
 
-	static CRYPT_ENCODING = CacheData.CRYPT_ENCODING;
-	static PLAIN_ENCODING = CacheData.PLAIN_ENCODING;
+		} catch (error) {
+			// S3Cache and DynamoDbCache already logged the error
+			report.complete = false;
+			report.failed++;
+		}
 
-	static STATUS_NO_CACHE = "original";
-	static STATUS_EXPIRED = "original:cache-expired";
-	static STATUS_CACHE_SAME = "cache:original-same-as-cache";
-	static STATUS_CACHE = "cache";
-	static STATUS_CACHE_ERROR = "error:cache"
-	static STATUS_ORIGINAL_NOT_MODIFIED = "cache:original-not-modified";
-	static STATUS_ORIGINAL_ERROR = "error:original";
-	static STATUS_FORCED = "original:cache-update-forced";
+		timer.stop();
 
-	static #idHashAlgorithm = null;
-	static #useToolsHash = false;
+		return report;
+	};
 
-	#syncedNowTimestampInSeconds = 0; // consistent time base for calculations
-	#syncedLaterTimestampInSeconds = 0; // default expiration if not adjusted
-	#idHash = "";
-	#status = null;
-	#errorCode = 0;
-	#store = null;
+	/**
+	 * Acquire a refresh lock using a conditional write to the cache table.
+	 * If DynamoDb cannot be reached the lock is granted so that the cache
+	 * can still be refreshed.
+	 * @param {string} idHash 
+	 * @param {string} owner 
+	 * @param {number} expires 
+	 * @returns {Promise<boolean>}
+	 */
+	async acquireLock (idHash, owner, expires) {
+		try {
+			return await DynamoDbCache.acquireLock(idHash, owner, expires);
+		} catch (error) {
+			return true;
+		}
+	};
 
-	#overrideOriginHeaderExpiration = false;
-	#defaultExpirationInSeconds = 60;
-	#defaultExpirationExtensionOnErrorInSeconds = 3600;
-	#expirationIsOnInterval = false;
-	#headersToRetain = [];
+	async releaseLock (idHash, owner) {
+		try {
+			return await DynamoDbCache.releaseLock(idHash, owner);
+		} catch (error) {
+			return false;
+		}
+	};
+};
 
-	#hostId = "notset";
-	#pathId = "notset";
-	#encrypt = true;
+/**
+ * Stores cache records in the memory of the running process. Records do not
+ * survive past the life of the process (or Lambda execution environment) and
+ * are not shared between processes. Useful for local development and tests.
+ * 
+ * Records past their purge_ts are removed when accessed, similar to the 
+ * DynamoDb TTL.
+ */
+class MemoryStorage extends CacheStorage {
+
+	#items = new Map();
+	#bodies = new Map();
+	#locks = new Map();
+
+	constructor () {
+		super();
+	};
 
 	/**
-	 * Create a new Cache object
-	 * @param {object} connection An object that contains data location and connection details. Typically a connection object. It may be of any format with any keys as long as they can uniquely identify this cashed object from others
-	 * @param {object} cacheProfile An object with some or all of the available parameter settings listed above.
-	 * @param {boolean} cacheProfile.overrideOriginHeaderExpiration Will we ignore and replace the expires header from origin or will we create our own? Defalue: false
-	 * @param {number} cacheProfile.defaultExpirationInSeconds In seconds, how long is the default expiration? Default: 60 (60 seconds)
-	 * @param {number} cacheProfile.defaultExpirationExtensionOnErrorInSeconds In seconds, if there is an error, how long until the error expires from cache? Default: 3600 (5 minutes)
-	 * @param {boolean} cacheProfile.expirationIsOnInterval Does the cache expires timer reset on first request, or is the expires set to the clock? (ex. every 10 seconds, every hour, etc) Default: false
-	 * @param {Array|string} cacheProfile.headersToRetain Array or comma deliminated string of header keys to keep from the original source to cache and pass to client. Note that there are certain headers such as content type that are always retained. Default: [] (none)
-	 * @param {string} cacheProfile.hostId Used for logging. Does not need to be a valid internet host. Any identifier is valid. Default: "notset"
-	 * @param {string} cacheProfile.pathId Used for logging. Does not need to be a valid internet path. Should not contain sensitive information. For example, /record/user/488322 should just be /record/user/ to denote a user record was accessed. Default: "notset"
-	 * @param {boolean} cacheProfile.encrypt When at rest is the data encrypted? This also corresponds to "public" (encrypted: false) or "private" (encrypted: true) in the cache-control header. Default: true
+	 * @returns {{type: string, items: number}}
 	 */
-	constructor(connection, cacheProfile = null) {
+	info() {
+		return {
+			type: "memory",
+			items: this.#items.size
+		};
+	};
 
-		// set cacheProfile first - these come from files and fields, so we need to cast them
-		if (cacheProfile !== null) {
+	/**
+	 * Get the record and remove it if it is past its purge_ts
+	 * @param {string} idHash 
+	 * @returns {object|null}
+	 */
+	#get (idHash) {
+		let item = this.#items.get(idHash) || null;
+		if ( item !== null && item.purge_ts <= CacheData.convertTimestampFromMilliToSeconds(Date.now()) ) {
+			this.#items.delete(idHash);
+			this.#bodies.delete(idHash);
+			item = null;
+		}
+		return item;
+	};
 
-			// There is some documentation and template code that uses different names for these cacheProfile - offda - sorry - chadkluck 2023-08-04
-			// https://github.com/chadkluck/npm-chadkluck-cache-data/issues/71
-			if ( "expiresIsOnInterval" in cacheProfile ) { this.#expirationIsOnInterval = Cache.bool(cacheProfile.expiresIsOnInterval); } // we'll accept this for backwards compatibility - chadkluck 2023-08-05
-			if ( "expirationIsOnInterval" in cacheProfile ) { this.#expirationIsOnInterval = Cache.bool(cacheProfile.expirationIsOnInterval); }
+	async read (idHash) {
+		const item = this.#get(idHash);
+		return ( item !== null ) ? structuredClone(item) : null;
+	};
 
-			if ( "defaultExpiresInSeconds" in cacheProfile ) { this.#defaultExpirationInSeconds = parseInt(cacheProfile.defaultExpiresInSeconds, 10); } // we'll accept this for backwards compatibility - chadkluck 2023-08-05
-			if ( "defaultExpirationInSeconds" in cacheProfile ) { this.#defaultExpirationInSeconds = parseInt(cacheProfile.defaultExpirationInSeconds, 10); }
+	async write (item) {
+		this.#items.set(item.id_hash, structuredClone(item));
+		return true;
+	};
 
-			// Host and Path can be confusing as these aren't actually used in the cache, but are used for logging - chadkluck 2023-08-05
-			if ( "host" in cacheProfile ) { this.#hostId = cacheProfile.host; } // we'll accept host for backwards compatibility - chadkluck 2023-08-05
-			if ( "hostId" in cacheProfile ) { this.#hostId = cacheProfile.hostId; } // changed from host to hostId chadkluck 2023-08-05
-			if ( "path" in cacheProfile ) { this.#pathId = cacheProfile.path; } // we'll accept path for backwards compatibility - chadkluck 2023-08-05
-			if ( "pathId" in cacheProfile ) { this.#pathId = cacheProfile.pathId; } // changed from path to pathId chadkluck 2023-08-05
+	async delete (idHash) {
+		this.#items.delete(idHash);
+		this.#bodies.delete(idHash);
+		return true;
+	};
 
-			// Documentation uses a better term of Override rather than ignore - chadkluck 2023-08-05
-			if ( "ignoreOriginHeaderExpires" in cacheProfile ) { this.#overrideOriginHeaderExpiration = Cache.bool(cacheProfile.ignoreOriginHeaderExpires); } // we'll accept this for backwards compatibility - chadkluck 2023-08-05
-			if ( "ignoreOriginHeaderExpiration" in cacheProfile ) { this.#overrideOriginHeaderExpiration = Cache.bool(cacheProfile.ignoreOriginHeaderExpiration); } // we'll accept this for backwards compatibility - chadkluck 2023-08-05
-			if ( "overrideOriginHeaderExpiration" in cacheProfile ) { this.#overrideOriginHeaderExpiration = Cache.bool(cacheProfile.overrideOriginHeaderExpiration); }
-			
-			// We are using expiration rather than expires - chadkluck 2023-08-05
-			if ( "defaultExpiresExtensionOnErrorInSeconds" in cacheProfile ) { this.#defaultExpirationExtensionOnErrorInSeconds = parseInt(cacheProfile.defaultExpiresExtensionOnErrorInSeconds, 10); }
-			if ( "defaultExpirationExtensionOnErrorInSeconds" in cacheProfile ) { this.#defaultExpirationExtensionOnErrorInSeconds = parseInt(cacheProfile.defaultExpirationExtensionOnErrorInSeconds, 10); }
+	async writeBody (idHash, body, options = {}) {
+		this.#bodies.set(idHash, Buffer.from(body));
+		return true;
+	};
 
-			// set cacheProfile using the accepted property names
-			if ( "headersToRetain" in cacheProfile ) { this.#headersToRetain = this.#parseHeadersToRetain(cacheProfile.headersToRetain); }
-			if ( "encrypt" in cacheProfile ) { this.#encrypt = Cache.bool(cacheProfile.encrypt); }
+	async readBodyStream (idHash) {
+		const body = this.#bodies.get(idHash);
+		if ( body === undefined ) { throw new Error(`No body stored for ${idHash}`); }
+		return Readable.from([body]);
+	};
+
+	async head (idHash) {
+		return structuredClone(CacheStorage.summarize(this.#get(idHash)));
+	};
 
+	async list (filter, startKey = null) {
+		const idHashes = [];
+		for (const idHash of [...this.#items.keys()]) {
+			if ( CacheStorage.matches(this.#get(idHash), filter) ) { idHashes.push(idHash); }
 		}
-		
-		// now set cache info
-		this.#idHash = Cache.generateIdHash(connection);
-		this.#syncedNowTimestampInSeconds = CacheData.convertTimestampFromMilliToSeconds(Date.now());
-		this.#syncedLaterTimestampInSeconds = this.#syncedNowTimestampInSeconds + this.#defaultExpirationInSeconds; // now + default cache time
+		return { idHashes, nextKey: null };
+	};
 
+	async acquireLock (idHash, owner, expires) {
+		const lock = this.#locks.get(idHash);
+		if ( lock !== undefined && lock.owner !== owner && lock.expires >= CacheData.convertTimestampFromMilliToSeconds(Date.now()) ) {
+			return false;
+		}
+		this.#locks.set(idHash, { owner, expires });
+		return true;
+	};
+
+	async releaseLock (idHash, owner) {
+		if ( this.#locks.get(idHash)?.owner !== owner ) { return false; }
+		this.#locks.delete(idHash);
+		return true;
 	};
 
 	/**
-	 * Initialize all data common to all Cache objects. 
-	 * Needs to be used at the application boot, 
-	 * NOT per request or after new Cache().
-	 * Environment variables can be used to set the S3 bucket, DynamoDb location, etc.
-	 * Use Cache.info() to check init values.
-	 * 
-	 * Sample param object:
-	 * @example
-	 * cache.Cache.init({
-	 *		dynamoDbTable: process.env.CACHE_DATA_DYNAMO_DB_TABLE,
-	 *		s3Bucket: process.env.CACHE_DATA_S3_BUCKET,
-	 *		secureDataAlgorithm: process.env.CACHE_DATA_SECURE_DATA_ALGORITHM,
-	 *		secureDataKey: Buffer.from(params.app.crypt_secureDataKey, cache.Cache.CRYPT_ENCODING),
-	 *		idHashAlgorithm: process.env.CACHE_DATA_ID_HASH_ALGORITHM, // sha1, sha256, sha512, etc.
-	 *		DynamoDbMaxCacheSize_kb: parseInt(process.env.CACHE_DATA_DYNAMO_DB_MAX_CACHE_SIZE_KB, 10),
-	 *		purgeExpiredCacheEntriesAfterXHours: parseInt(process.env.CACHE_DATA_PURGE_EXPIRED_CACHE_ENTRIES_AFTER_X_HRS, 10),
-	 * 		timeZoneForInterval: process.env.CACHE_DATA_TIME_ZONE_FOR_INTERVAL // if caching on interval, we need a timezone to account for calculating hours, days, and weeks. List: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
-	 *	});
-	 * 
-	 * @param {Object} parameters
-	 * @param {string} parameters.dynamoDbTable
-	 * @param {string} parameters.s3Bucket
-	 * @param {string} parameters.secureDataAlgorithm
-	 * @param {string} parameters.secureDataKey
-	 * @param {number} parameters.DynamoDbMaxCacheSize_kb
-	 * @param {number} parameters.purgeExpiredCacheEntriesAfterXHours
-	 * @param {string} parameters.timeZoneForInterval
+	 * Remove all records (and locks) from memory
 	 */
-	static init(parameters) {
-		if ( "idHashAlgorithm" in parameters ) { this.#idHashAlgorithm = parameters.idHashAlgorithm; } else { tools.DebugAndLog.error("parameters.idHashAlgorithm not set in Cache.init()")};
-		if ("useToolsHash" in parameters ) { this.#useToolsHash = Boolean(parameters.useToolsHash); }
-		
-		CacheData.init(parameters);
+	clear () {
+		this.#items.clear();
+		this.#bodies.clear();
+		this.#locks.clear();
 	};
+};
+
+/**
+ * Stores each cache record as a JSON file in a local directory. Records
+ * survive restarts of the process and may be shared by processes on the same
+ * machine. Useful for local development and integration tests.
+ * 
+ * Records past their purge_ts are removed when accessed, similar to the 
+ * DynamoDb TTL.
+ */
+class FileSystemStorage extends CacheStorage {
+
+	#directory = null;
 
 	/**
-	 * Returns all the common information such as hash algorithm, s3 bucket, 
-	 * dynamo db location, etc.
-	 * @returns {{
-	 * 		idHashAlgorithm: string,
-	 * 		dynamoDbTable: string, 
-	 * 		s3Bucket: string,
-	 * 		secureDataAlgorithm: string,
-	 * 		secureDataKey: string,
-	 * 		DynamoDbMaxCacheSize_kb: number,
-	 * 		purgeExpiredCacheEntriesAfterXHours: number,
-	 * 		timeZoneForInterval: string,
-	 * 		offsetInMinutes: number
-	 * }}
+	 * @param {Object} options
+	 * @param {string} options.directory The directory to store cache records in. It will be created if it does not exist. Default: cache-data directory in the OS temp directory
 	 */
-	static info() {
-		return Object.assign({ idHashAlgorithm: this.#idHashAlgorithm }, CacheData.info()); // merge into 1 object and return
+	constructor ({ directory = null } = {}) {
+		super();
+		this.#directory = ( directory !== null ) ? directory : path.join(os.tmpdir(), "cache-data");
 	};
 
 	/**
-	 * 
-	 * @returns {object} Test data of nextIntervalInSeconds method
+	 * @returns {{type: string, directory: string}}
 	 */
-	static testInterval () {
-		let ts = CacheData.convertTimestampFromMilliToSeconds(Date.now());
-		return { 
-			"info": Cache.info(),
-			"tests": {
-				"start":  (new Date( CacheData.convertTimestampFromSecondsToMilli(ts))),
-				"sec_15": (new Date(Cache.nextIntervalInSeconds(15, ts)*1000)),
-				"sec_30": (new Date(Cache.nextIntervalInSeconds(30, ts)*1000)),
-				"sec_60": (new Date(Cache.nextIntervalInSeconds(60, ts)*1000)),
-				"min_05": (new Date(Cache.nextIntervalInSeconds(5*60, ts)*1000)),
-				"min_10": (new Date(Cache.nextIntervalInSeconds(10*60, ts)*1000)),
-				"min_15": (new Date(Cache.nextIntervalInSeconds(15*60, ts)*1000)),
-				"min_30": (new Date(Cache.nextIntervalInSeconds(30*60, ts)*1000)),
-				"min_60": (new Date(Cache.nextIntervalInSeconds(60*60, ts)*1000)),
-				"hrs_02": (new Date(Cache.nextIntervalInSeconds(2*60*60, ts)*1000)),
-				"hrs_03": (new Date(Cache.nextIntervalInSeconds(3*60*60, ts)*1000)),
-				"hrs_04": (new Date(Cache.nextIntervalInSeconds(4*60*60, ts)*1000)),
-				"hrs_05": (new Date(Cache.nextIntervalInSeconds(5*60*60, ts)*1000)),
-				"hrs_06": (new Date(Cache.nextIntervalInSeconds(6*60*60, ts)*1000)),
-				"hrs_08": (new Date(Cache.nextIntervalInSeconds(8*60*60, ts)*1000)),
-				"hrs_12": (new Date(Cache.nextIntervalInSeconds(12*60*60, ts)*1000)),
-				"hrs_24": (new Date(Cache.nextIntervalInSeconds(24*60*60, ts)*1000)),
-				"hrs_48": (new Date(Cache.nextIntervalInSeconds(48*60*60, ts)*1000)),
-				"hrs_72": (new Date(Cache.nextIntervalInSeconds(72*60*60, ts)*1000)),
-				"hrs_96": (new Date(Cache.nextIntervalInSeconds(96*60*60, ts)*1000)),
-				"hrs_120": (new Date(Cache.nextIntervalInSeconds(120*60*60, ts)*1000))
-			}
+	info() {
+		return {
+			type: "filesystem",
+			directory: this.#directory
 		};
 	};
 
 	/**
-	 * When testing a variable as a boolean, 0, false, and null are false,
-	 * but the string "false" is true. Since we can be dealing with JSON data,
-	 * query parameters, and strings coded as "false" we want to include the
-	 * string "false" as false.
-	 * This function only adds "false" to the list of values already considered
-	 * false by JavaScript
-	 * @param {*} value A value you want to turn to boolean
-	 * @returns {boolean} Does the value equal false according to JavaScript evaluation rules?
+	 * The idHash is encoded so ids such as "../x" (Cache.invalidate() and
+	 * expire() accept any string) cannot reach outside the directory
+	 * @param {string} idHash 
+	 * @param {string} extension 
+	 * @returns {string}
 	 */
-	static bool (value) {
+	#path (idHash, extension) {
+		return path.join(this.#directory, `${encodeURIComponent(String(idHash))}.${extension}`);
+	};
 
-		if ( typeof value === 'string') { value = value.toLowerCase(); }
+	#file (idHash) {
+		return this.#path(idHash, "json");
+	};
 
-		// Boolean("false") is true so we need to code for it. As long as it is not "false", trust Boolean()
-		return  (( value !== "false") ? Boolean(value) : false ); 
+	#bodyFile (idHash) {
+		return this.#path(idHash, "body");
 	};
-	
+
 	/**
-	 * Generate an etag based on an id and content body
-	 * @param {string} idHash Hashed content identifier. For web pages this a hash of host, path, query, etc.
-	 * @param {string} content Content. usually body and static headers
-	 * @returns {string} An etag specific to that content and id
+	 * Get the record and remove it if it is past its purge_ts
+	 * @param {string} idHash 
+	 * @returns {Promise<object|null>}
 	 */
-	static generateEtag(idHash, content) {
-		return CacheData.generateEtag(idHash, content);
+	async #get (idHash) {
+		let item = null;
+
+		try {
+			item = JSON.parse(await fs.readFile(this.#file(idHash), "utf8"));
+		} catch (error) {
+			if ( error.code === "ENOENT" ) { return null; }
+			tools.DebugAndLog.error(`Error reading cache file (${this.#file(idHash)}): ${error.message}`, error.stack);
+			throw error;
+		}
+
+		if ( item.purge_ts <= CacheData.convertTimestampFromMilliToSeconds(Date.now()) ) {
+			await this.delete(idHash);
+			item = null;
+		}
+
+		return item;
 	};
 
-	/**
-	 * To make submitted key comparison easier against a standard set of keys,
-	 * lowercase keys in the object.
-	 * @param {object} objectWithKeys Object we want to lowercase keys on
-	 * @returns {object} Object with lowercase keys
-	 */
-	static lowerCaseKeys(objectWithKeys) {
-		return CacheData.lowerCaseKeys(objectWithKeys);
+	async read (idHash) {
+		return this.#get(idHash);
 	};
 
-	/**
-	 * Generate an internet formatted date such as those used in headers.
-	 * 
-	 * Example: "Wed, 28 Jul 2021 12:24:11 GMT"
-	 * 
-	 * @param {number} timestamp Unix timestamp in seconds or milliseconds. 
-	 * @param {boolean} inMilliseconds Set to true if timestamp is in milliseconds. Default is false.
-	 * @returns {string} Formatted date/time such as Wed, 28 Jul 2021 12:24:11 GMT
-	 */
-	static generateInternetFormattedDate(timestamp, inMilliseconds = false) {
-		return CacheData.generateInternetFormattedDate(timestamp, inMilliseconds);
+	async write (item) {
+		const file = this.#file(item.id_hash);
+		// write to a temp file first so that a reader never sees a partial record
+		const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+		try {
+			await fs.mkdir(this.#directory, { recursive: true });
+			await fs.writeFile(tmp, JSON.stringify(item), "utf8");
+			await fs.rename(tmp, file);
+			return true;
+		} catch (error) {
+			tools.DebugAndLog.error(`Error writing cache file (${file}): ${error.message}`, error.stack);
+			await fs.rm(tmp, { force: true }).catch(() => {});
+			return false;
+		}
 	};
 
-	/**
-	 * Uses object-hash to create a hash of an object passed to it
-	 * Object-hash respects object structures and arrays and performs a sort to
-	 * normalize objects so that objects with the same key/value structure are
-	 * identified as such. For example:
-	 * {host: "example.com", path: "/api"} === {path: "/api", host: "example.com"}
-	 * 
-	 * You can also pass in a string such as "MYID-03-88493" if your id is not
-	 * query based.
-	 * 
-	 * Note: Arrays are sorted alphabetically. So [1,2,3] will be same as 
-	 * [3,1,2] and ["A","B","C"] will be same as ["B","C","A"] so if the order
-	 * of the array matters it is recommended to perform a .join prior. This is 
-	 * so that:
-	 * 	{query: {types: "db,contact,guides"} } === {query: {types: "contact,guides,db"} }
-	 * 	example.com/?types=db,contact,guides === example.com/?types=contact,guides,db
-	 * 
-	 * You can pass in an object containing request header and query param 
-	 * represented as objects.
-	 * 
-	 * As an example, CacheableDataAccess() combines 3 of the parameter objects
-	 * passed to it.
-	 * query, connection, and cachePolicy are pased as an object by 
-	 * CacheableDataAccess() for Cache() to create a hashed id: 
-	 * { query: query, connection: connection, cachePolicy: cachePolicy };
-	 * 
-	 * Passing an array of objects such as:
-	 * [ query, connection, cachePolicy ]
-	 * also works. object-hash is REALLY cool and magical
-	 * 
-	 * Uses object-hash: https://www.npmjs.com/package/object-hash
-	 * Git: https://github.com/puleos/object-hash
-	 * 
-	 * Make sure it is installed in app/node_modules with an entry in app/package.json
-	 *   "dependencies": {
-	 * 		"object-hash": "^2.2.0"
-	 *   }
-	 * 
-	 * @param {Object|Array|string} idObject Object, Array, or string to hash. Object may contain a single value with a text string, or complex http request broken down into parts
-	 * @returns {string} A hash representing the object (Algorithm used is set in Cache object constructor)
-	 */
-	static generateIdHash(idObject) {
+	async delete (idHash) {
+		try {
+			await fs.rm(this.#file(idHash), { force: true });
+			await fs.rm(this.#bodyFile(idHash), { force: true });
+			return true;
+		} catch (error) {
+			tools.DebugAndLog.error(`Error deleting cache file (${this.#file(idHash)}): ${error.message}`, error.stack);
+			return false;
+		}
+	};
 
-		// Helper function to remove functions from an object
-		const removeFunctions = (obj) => {
-			const newObj = {};
-			for (const [key, value] of Object.entries(obj)) {
-				if (typeof value === 'function') {
-					continue; // skip functions
-				}
-				if (typeof value === 'object' && value !== null) {
-					newObj[key] = removeFunctions(value); // recursively handle nested objects
-				} else {
-					newObj[key] = value;
-				}
-			}
-			return newObj;
-		};
-	
-		// Create clean object without functions first
-		const cleanObject = removeFunctions(idObject);
-		
-		// Now safe to use structuredClone - deep clone idObject so we don't change the original
-		const clonedIdObject = structuredClone(cleanObject);
-			
-		// set salt to process.env.AWS_LAMBDA_FUNCTION_NAME if it exists, otherwise use ""
-		const salt = process.env?.AWS_LAMBDA_FUNCTION_NAME || "";
+	async head (idHash) {
+		return CacheStorage.summarize(await this.#get(idHash));
+	};
 
-		// remove connection.options from clonedIdObject
-		if ( clonedIdObject.connection?.options ) { delete clonedIdObject.connection.options; }
+	async writeBody (idHash, body, options = {}) {
+		const file = this.#bodyFile(idHash);
+		const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+		try {
+			await fs.mkdir(this.#directory, { recursive: true });
+			await fs.writeFile(tmp, body);
+			await fs.rename(tmp, file);
+			return true;
+		} catch (error) {
+			tools.DebugAndLog.error(`Error writing cache body file (${file}): ${error.message}`, error.stack);
+			await fs.rm(tmp, { force: true }).catch(() => {});
+			return false;
+		}
+	};
 
-		// use the built-in hashing from CacheData tools
-		if ( this.#useToolsHash ) { return tools.hashThisData(this.#idHashAlgorithm, clonedIdObject, {salt}); }
+	async readBodyStream (idHash) {
+		const handle = await fs.open(this.#bodyFile(idHash), "r");
+		return handle.createReadStream(); // the file handle is closed when the stream ends
+	};
 
-		// use the external package object-hash settings
-		const objHashSettings = {
-			algorithm: this.#idHashAlgorithm,
-			encoding: "hex", // default, but we'll list it here anyway as it is important for this use case
-			respectType: true, // default, but we'll list it here anyway as it is important for this use case
-			unorderedSets: true, // default, but we'll list it here anyway as it is important for this use case
-			unorderedObjects: true, // default, but we'll list it here anyway as it is important for this use case
-			unorderedArrays: true // default is false but we want true - would be a problem if array sequence mattered, but not in this use case
-		};
+	async list (filter, startKey = null) {
+		let files = [];
 
-		// there is no salt in object-hash, so we add it to a property that would be least likely to conflict
-		clonedIdObject.THIS_IS_SALT_FOR_CK_CACHE_DATA_ID_HASH = salt;
+		try {
+			files = await fs.readdir(this.#directory);
+		} catch (error) {
+			if ( error.code === "ENOENT" ) { return { idHashes: [], nextKey: null }; }
+			tools.DebugAndLog.error(`Error listing cache directory (${this.#directory}): ${error.message}`, error.stack);
+			throw error;
+		}
 
-		return objHash(clonedIdObject, objHashSettings);
+		const idHashes = [];
+		for (const file of files.filter( (f) => f.endsWith(".json") )) {
+			const idHash = decodeURIComponent(file.slice(0, -5));
+			if ( CacheStorage.matches(await this.#get(idHash), filter) ) { idHashes.push(idHash); }
+		}
+		return { idHashes, nextKey: null };
+	};
 
+	#lockFile (idHash) {
+		return this.#path(idHash, "lock");
 	};
 
 	/**
-	 * Converts an array to a string using a join. However, it is fluid in case
-	 * we might also be passed an id that is already a string.
-	 * @param {Array|string} identifierArrayOrString An array we wish to join together as an id. (also could be a string which we won't touch)
-	 * @param {string} glue The glue or delimiter to place between the array elements once it is in string form
-	 * @returns {string} The array in string form delimited by the glue.
+	 * The lock file is created exclusively so only one process can create it.
+	 * An expired lock file is removed and creation is attempted once more.
+	 * @param {string} idHash 
+	 * @param {string} owner 
+	 * @param {number} expires 
+	 * @returns {Promise<boolean>}
 	 */
-	static multipartId (identifierArrayOrString, glue = "-") {
-		let id = null;
-		if ( Array.isArray(identifierArrayOrString) || typeof identifierArrayOrString === 'string') {
-			id = ( Array.isArray(identifierArrayOrString) ) ? identifierArrayOrString.join(glue) : identifierArrayOrString;
+	async acquireLock (idHash, owner, expires) {
+		const file = this.#lockFile(idHash);
+
+		await fs.mkdir(this.#directory, { recursive: true });
+
+		for (let attempt = 0; attempt < 2; attempt++) {
+			try {
+				await fs.writeFile(file, JSON.stringify({ owner, expires }), { encoding: "utf8", flag: "wx" });
+				return true;
+			} catch (error) {
+				if ( error.code !== "EEXIST" ) {
+					tools.DebugAndLog.error(`Error creating lock file (${file}): ${error.message}`, error.stack);
+					return true; // don't prevent the refresh because of a local file error
+				}
+				const lock = await fs.readFile(file, "utf8").then(JSON.parse).catch(() => null);
+				if ( lock !== null && lock.expires >= CacheData.convertTimestampFromMilliToSeconds(Date.now()) ) {
+					return (lock.owner === owner);
+				}
+				await fs.rm(file, { force: true });
+			}
 		}
-		return id;
+
+		return false;
 	};
 
-	/**
-	 * Uses Date.parse() but returns seconds instead of milliseconds.
-	 * Takes a date string (such as "2011-10-10T14:48:00") and returns the number of seconds since January 1, 1970, 00:00:00 UTC
-	 * @param {string} date 
-	 * @returns {number} The date in seconds since January 1, 1970, 00:00:00 UTC
-	*/
-	static parseToSeconds(date) {
-		let timestampInSeconds = 0;
-		try {
-			timestampInSeconds = CacheData.convertTimestampFromMilliToSeconds( Date.parse(date) );
-		} catch (error) {
-			tools.DebugAndLog.error(`Cannot parse date/time: ${date} ${error.message}`, error.stack);
-		}
-		return timestampInSeconds;
+	async releaseLock (idHash, owner) {
+		const file = this.#lockFile(idHash);
+		const lock = await fs.readFile(file, "utf8").then(JSON.parse).catch(() => null);
+		if ( lock === null || lock.owner !== owner ) { return false; }
+		await fs.rm(file, { force: true });
+		return true;
+	};
+};
+
+/**
+ * Key wrapping provider contract used for envelope encryption.
+ * 
+ * When envelope encryption is enabled each private cache record is encrypted
+ * using its own random data key. The provider wraps (encrypts) the data key
+ * using a master key, and the wrapped key is stored with the record. Since
+ * only the small data keys are encrypted by the master key, the master key
+ * can be rotated by re-wrapping data keys rather than re-encrypting bodies.
+ * 
+ * Extend this class to use your own key management service and pass an
+ * instance of it to Cache.init() using the keyWrapProvider parameter.
+ * 
+ * @example
+ * class MyKeyWrapProvider extends cache.KeyWrapProvider {
+ * 	getKeyId() { ... } // the id of the master key used by wrap()
+ * 	async wrap(dataKey, context) { ... } // resolves to { wrappedKey, kid }
+ * 	async unwrap(wrappedKey, kid, context) { ... } // resolves to the data key as a Buffer
+ * }
+ */
+class KeyWrapProvider {
+
+	constructor () {
 	};
 
 	/**
-	 * We can set times and expirations on intervals, such as every
-	 * 15 seconds (mm:00, mm:15, mm:30, mm:45), every half hour 
-	 * (hh:00:00, hh:30:00), every hour (T00:00:00, T01:00:00), etc.
-	 * In some cases such as every 2 hours, the interval is calculated
-	 * from midnight in the timezone specified in timeZoneForInterval 
-	 * Spans of days (such as every two days (48 hours) or every three
-	 * days (72 hours) are calculated from midnight of the UNIX epoch
-	 * (January 1, 1970).
-	 * 
-	 * When a timezone is set in timeZoneForInterval, then there is
-	 * a slight adjustment made so that the interval lines up with
-	 * midnight of the "local" time. For example, if an organization
-	 * is primarily located in the Central Time Zone (or their 
-	 * nightly batch jobs occur at GMT-05:00) then timeZoneForInterval
-	 * may be set to "America/Chicago" so that midnight in 
-	 * "America/Chicago" may be used for calculations. That keeps
-	 * every 4 hours on hours 00, 04, 08, 12, 16, etc.
-	 * @param {number} intervalInSeconds 
-	 * @param {number} timestampInSeconds 
-	 * @returns {number} Next interval in seconds
+	 * Information about the provider
+	 * @returns {object}
 	 */
-	static nextIntervalInSeconds(intervalInSeconds, timestampInSeconds = 0) {
-		return CacheData.nextIntervalInSeconds(intervalInSeconds, timestampInSeconds);
+	info() {
+		return { type: this.constructor.name, keyId: this.getKeyId() };
 	};
 
-
 	/**
-	 * Calculate the number of Kilobytes in memory a String takes up.
-	 * This function first calculates the number of bytes in the String using
-	 * Buffer.byteLength() and then converts it to KB = (bytes / 1024)
-	 * @param {string} aString A string to calculate on
-	 * @param {string} encode What character encoding should be used? Default is "utf8"
-	 * @returns String size in estimated KB
+	 * The id of the master key currently used to wrap data keys
+	 * @returns {string}
 	 */
-	static calculateKBytes ( aString, encode = CacheData.PLAIN_ENCODING ) {
-		return CacheData.calculateKBytes( aString, encode);
+	getKeyId() {
+		throw new Error(`${this.constructor.name}.getKeyId() is not implemented`);
 	};
 
 	/**
-	 * Converts a comma delimited string or an array to an array with all
-	 * lowercase values. Can be used to pass a comma delimited string
-	 * for conversion to an array that will then be used as (lowercase) keys.
-	 * @param {string|Array} list 
-	 * @returns Array with lowercase values
+	 * Wrap (encrypt) a data key using the current master key
+	 * @param {Buffer} dataKey The data key to wrap
+	 * @param {{id_hash: string}} context The record the data key belongs to. Should be bound to the wrapped key if supported
+	 * @returns {Promise<{wrappedKey: string, kid: string}>} The wrapped key as a string, and the id of the master key used
 	 */
-	static convertToLowerCaseArray(list) {
-
-		// if it is an array, we'll convert to csv string
-		if (Array.isArray(list)) {
-			list = list.join(',');
-		}
-
-		// lowercase the string and then convert to an array
-		return list.toLowerCase().split(',');
+	async wrap (dataKey, context) {
+		throw new Error(`${this.constructor.name}.wrap() is not implemented`);
 	};
 
 	/**
-	 * Takes either a csv string or an Array. It will return an array
-	 * with lowercase values to be used as header keys
-	 * @param {string|Array} list 
-	 * @returns Array with lowercase values
+	 * Unwrap (decrypt) a data key
+	 * @param {string} wrappedKey The wrapped key returned by wrap()
+	 * @param {string} kid The id of the master key returned by wrap()
+	 * @param {{id_hash: string}} context The same context passed to wrap()
+	 * @returns {Promise<Buffer>} The data key
 	 */
-	#parseHeadersToRetain (list) {
-		return Cache.convertToLowerCaseArray(list);
+	async unwrap (wrappedKey, kid, context) {
+		throw new Error(`${this.constructor.name}.unwrap() is not implemented`);
 	};
+};
 
-	profile () {
-		return {
-			overrideOriginHeaderExpiration: this.#overrideOriginHeaderExpiration,
-			defaultExpirationInSeconds: this.#defaultExpirationInSeconds,
-			defaultExpirationExtensionOnErrorInSeconds: this.#defaultExpirationExtensionOnErrorInSeconds,
-			expirationIsOnInterval: this.#expirationIsOnInterval,
-			headersToRetain: this.#headersToRetain,
-			hostId: this.#hostId,
-			pathId: this.#pathId,
-			encrypt: this.#encrypt			
-		}
-	};
+/**
+ * Wraps data keys locally using aes-256-gcm and the secureDataKey (and
+ * previousSecureDataKeys) passed to Cache.init(). The id_hash is bound to the
+ * wrapped key as associated data. This is the default provider.
+ */
+class LocalKeyWrapProvider extends KeyWrapProvider {
 
-	/**
-	 * 
-	 * @returns {Promise<CacheDataFormat>}
-	 */
-	async read () {
+	static ALGORITHM = "aes-256-gcm";
 
-		return new Promise(async (resolve, reject) => {
+	constructor () {
+		super();
+	};
 
-			if ( this.#store !== null ) {
-				resolve(this.#store);
-			} else {
-				try {
-					this.#store = await CacheData.read(this.#idHash, this.#syncedLaterTimestampInSeconds);
-					this.#status = ( this.#store.cache.statusCode === null ) ? Cache.STATUS_NO_CACHE : Cache.STATUS_CACHE;
+	getKeyId() {
+		return CacheData.getSecureDataKeyId();
+	};
 
-					tools.DebugAndLog.debug(`Cache Read status: ${this.#status}`);
+	async wrap (dataKey, context) {
+		const kid = this.getKeyId();
+		const masterKey = CacheData.getSecureDataKey(kid);
+		if ( masterKey === null ) { throw new Error(`Unable to obtain secureDataKey "${kid}"`); }
 
-					resolve(this.#store);
-				} catch (error) {
-					this.#store = CacheData.format(this.#syncedLaterTimestampInSeconds);
-					this.#status = Cache.STATUS_CACHE_ERROR;
+		const iv = crypto.randomBytes(12);
+		const cipher = crypto.createCipheriv(LocalKeyWrapProvider.ALGORITHM, masterKey, iv, { authTagLength: 16 });
+		cipher.setAAD(Buffer.from(context.id_hash, "utf8"));
+		const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
 
-					tools.DebugAndLog.error(`Cache Read: Cannot read cached data for ${this.#idHash}: ${error.message}`, error.stack);
+		// iv, tag, and wrapped key are stored together
+		return { wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString("base64"), kid: kid };
+	};
+
+	async unwrap (wrappedKey, kid, context) {
+		const masterKey = CacheData.getSecureDataKey(kid);
+		if ( masterKey === null ) { throw new Error(`Unable to obtain secureDataKey "${kid}"`); }
+
+		const buffer = Buffer.from(wrappedKey, "base64");
+		const decipher = crypto.createDecipheriv(LocalKeyWrapProvider.ALGORITHM, masterKey, buffer.subarray(0, 12), { authTagLength: 16 });
+		decipher.setAuthTag(buffer.subarray(12, 28));
+		decipher.setAAD(Buffer.from(context.id_hash, "utf8"));
+		return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+	};
+};
+
+/**
+ * Wraps data keys using AWS Key Management Service (KMS). The id_hash is
+ * passed as the encryption context. The execution role needs kms:Encrypt and
+ * kms:Decrypt permissions for the key.
+ * 
+ * The KMS client is not included in tools.AWS so it is loaded when first
+ * used. It is available in the Lambda Node.js runtime, or a client may be
+ * passed in.
+ * 
+ * @example
+ * cache.Cache.init({ ...parameters, envelopeEncryption: true, keyWrapProvider: new cache.KmsKeyWrapProvider({ keyId: "alias/my-cache-key" }) });
+ */
+class KmsKeyWrapProvider extends KeyWrapProvider {
+
+	#keyId = null;
+	#client = null;
+
+	/**
+	 * @param {Object} options
+	 * @param {string} options.keyId The id, ARN, or alias of the KMS key used to wrap data keys
+	 * @param {object} options.client A KMSClient (AWS SDK V3) or KMS (AWS SDK V2) client. Default: created from the SDK version used by tools.AWS
+	 */
+	constructor ({ keyId, client = null } = {}) {
+		super();
+		this.#keyId = keyId;
+		this.#client = client;
+	};
+
+	getKeyId() {
+		return this.#keyId;
+	};
+
+	/**
+	 * Send a command to KMS using either SDK version
+	 * @param {string} command "Encrypt" or "Decrypt"
+	 * @param {object} params 
+	 * @returns {Promise<object>}
+	 */
+	async #send (command, params) {
+		if ( tools.AWS.SDK_V2 ) {
+			if ( this.#client === null ) { const { KMS } = require("aws-sdk"); this.#client = new KMS({ region: tools.AWS.REGION }); }
+			return ( command === "Encrypt" ) ? this.#client.encrypt(params).promise() : this.#client.decrypt(params).promise();
+		}
+		const kms = require("@aws-sdk/client-kms");
+		if ( this.#client === null ) { this.#client = new kms.KMSClient({ region: tools.AWS.REGION }); }
+		return this.#client.send( ( command === "Encrypt" ) ? new kms.EncryptCommand(params) : new kms.DecryptCommand(params) );
+	};
+
+	async wrap (dataKey, context) {
+		const response = await this.#send("Encrypt", { KeyId: this.#keyId, Plaintext: dataKey, EncryptionContext: { id_hash: context.id_hash } });
+		return { wrappedKey: Buffer.from(response.CiphertextBlob).toString("base64"), kid: this.#keyId };
+	};
+
+	async unwrap (wrappedKey, kid, context) {
+		const response = await this.#send("Decrypt", { KeyId: kid, CiphertextBlob: Buffer.from(wrappedKey, "base64"), EncryptionContext: { id_hash: context.id_hash } });
+		return Buffer.from(response.Plaintext);
+	};
+};
+
+/**
+ * A bounded, in-process, least recently used (LRU) cache of cache records
+ * keyed by id_hash. Used by CacheData in front of the storage adapter so that
+ * warm Lambda execution environments can skip the round trip to DynamoDb
+ * (and S3) for records that are still fresh.
+ * 
+ * Records are only served until they expire. After that the storage adapter
+ * is consulted so that we remain consistent with the record in DynamoDb.
+ * Records are stored as they would be in DynamoDb (private bodies remain
+ * encrypted).
+ */
+class MemoryCacheL1 {
+
+	#maxEntries = 0;
+	#maxBytes = 0;
+	#maxAgeInSeconds = 0;
+	#bytes = 0;
+	#hits = 0;
+	#misses = 0;
+	#items = new Map(); // Map keeps insertion order, so the first key is the least recently used
+
+	/**
+	 * @param {Object} options
+	 * @param {number} options.maxEntries Maximum number of records to keep. 0 disables the cache
+	 * @param {number} options.maxBytes Maximum number of bytes (estimated from the JSON size of the records) to keep
+	 * @param {number} options.maxAgeInSeconds Read a record from storage again after it has been in memory this long, even if it has not expired. 0 keeps it until it expires
+	 */
+	constructor ({ maxEntries = 0, maxBytes = 0, maxAgeInSeconds = 0 } = {}) {
+		this.#maxEntries = maxEntries;
+		this.#maxBytes = maxBytes;
+		this.#maxAgeInSeconds = maxAgeInSeconds;
+	};
+
+	/**
+	 * @returns {boolean} Whether or not the in-memory cache is in use
+	 */
+	isEnabled() {
+		return (this.#maxEntries > 0 && this.#maxBytes > 0);
+	};
+
+	/**
+	 * @returns {{maxEntries: number, maxBytes: number, maxAgeInSeconds: number, entries: number, bytes: number, hits: number, misses: number}}
+	 */
+	info() {
+		return {
+			maxEntries: this.#maxEntries,
+			maxBytes: this.#maxBytes,
+			maxAgeInSeconds: this.#maxAgeInSeconds,
+			entries: this.#items.size,
+			bytes: this.#bytes,
+			hits: this.#hits,
+			misses: this.#misses
+		};
+	};
+
+	/**
+	 * Get an unexpired record. Expired records, and records kept longer than
+	 * maxAgeInSeconds, are removed.
+	 * @param {string} idHash 
+	 * @returns {object|null} A copy of the cache record or null if not found, expired, or too old
+	 */
+	get (idHash) {
+		if ( !this.isEnabled() ) { return null; }
+
+		const entry = this.#items.get(idHash);
+
+		if ( entry === undefined ) {
+			this.#misses++;
+			return null;
+		}
+
+		const now = Date.now();
+		if ( CacheData.convertTimestampFromSecondsToMilli(entry.item.expires) <= now || ( this.#maxAgeInSeconds > 0 && entry.added + (this.#maxAgeInSeconds * 1000) <= now ) ) {
+			this.delete(idHash);
+			this.#misses++;
+			return null;
+		}
+
+		// move to the end as it is now the most recently used
+		this.#items.delete(idHash);
+		this.#items.set(idHash, entry);
+		this.#hits++;
+
+		return structuredClone(entry.item);
+	};
+
+	/**
+	 * Add or replace a record. Records that are expired or larger than
+	 * maxBytes are not kept.
+	 * @param {object} item The cache record
+	 */
+	set (item) {
+		if ( !this.isEnabled() ) { return; }
+
+		this.delete(item.id_hash);
+
+		if ( CacheData.convertTimestampFromSecondsToMilli(item.expires) <= Date.now() ) { return; }
+
+		const bytes = Buffer.byteLength(JSON.stringify(item), CacheData.PLAIN_ENCODING);
+		if ( bytes > this.#maxBytes ) { return; }
+
+		this.#items.set(item.id_hash, { item: structuredClone(item), bytes, added: Date.now() });
+		this.#bytes += bytes;
+
+		// evict the least recently used until we are within limits
+		for (const [key] of this.#items) {
+			if ( this.#items.size <= this.#maxEntries && this.#bytes <= this.#maxBytes ) { break; }
+			this.delete(key);
+		}
+	};
+
+	/**
+	 * Remove a record
+	 * @param {string} idHash 
+	 */
+	delete (idHash) {
+		const entry = this.#items.get(idHash);
+		if ( entry !== undefined ) {
+			this.#bytes -= entry.bytes;
+			this.#items.delete(idHash);
+		}
+	};
+
+	/**
+	 * Remove all records
+	 */
+	clear () {
+		this.#items.clear();
+		this.#bytes = 0;
+	};
+};
+
+/**
+ * Emits cache metrics as CloudWatch Embedded Metric Format (EMF) log entries
+ * through DebugAndLog.metric(). CloudWatch extracts the metrics from the log
+ * so dashboards and alarms can be created without log parsing queries.
+ * 
+ * Each getData() request produces one entry with a count for the result
+ * (CacheHit, CacheMiss, StaleServe, OriginError, NotModified) and the
+ * Latency in milliseconds. S3Offload is counted when a record is written to S3
+ * and WriteError when a record could not be written to storage. StoreRetry
+ * is the number of retries made by a call to DynamoDb or S3 (see RetryPolicy).
+ * CircuitOpen is counted when a request was not sent to the original source
+ * because its circuit breaker was open, and CircuitOpened when a circuit
+ * breaker opens (see CircuitBreaker).
+ * 
+ * https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html
+ */
+class CacheMetrics {
+
+	static COUNTS = ["CacheHit", "CacheMiss", "StaleServe", "OriginError", "NotModified", "S3Offload", "WriteError", "StoreRetry", "CircuitOpen", "CircuitOpened"];
+
+	#enabled = false;
+	#namespace = "CacheData";
+	#dimensions = [["hostId", "pathId"]];
+	#dimensionValues = {};
+
+	/**
+	 * @param {Object} options
+	 * @param {boolean} options.enabled Whether or not metrics are emitted. Default: false
+	 * @param {string} options.namespace CloudWatch metrics namespace. Default: CacheData
+	 * @param {Array<Array<string>>} options.dimensions Dimension sets. hostId, pathId, and status are provided by the cache. Default: [["hostId", "pathId"]]
+	 * @param {Object} options.dimensionValues Values for any other dimension names used in dimensions (such as { service: "my-api" })
+	 */
+	constructor ({ enabled = false, namespace = "CacheData", dimensions = [["hostId", "pathId"]], dimensionValues = {} } = {}) {
+		this.#enabled = Boolean(enabled);
+		this.#namespace = String(namespace);
+		this.#dimensions = ( Array.isArray(dimensions) ) ? dimensions.map( (set) => ( Array.isArray(set) ) ? set.map(String) : [String(set)] ) : [];
+		this.#dimensionValues = ( dimensionValues !== null && typeof dimensionValues === "object" ) ? dimensionValues : {};
+	};
+
+	/**
+	 * Create the options for the constructor from the metrics parameter passed to Cache.init()
+	 * @param {boolean|Object} metrics true to use the defaults, or an object with namespace, dimensions, and dimensionValues
+	 * @returns {Object}
+	 */
+	static parseOptions (metrics) {
+		if ( metrics === true || metrics === "true" ) { return { enabled: true }; }
+		if ( metrics !== null && typeof metrics === "object" ) { return Object.assign({ enabled: true }, metrics); }
+		return { enabled: false };
+	};
+
+	/**
+	 * @returns {boolean} Whether or not metrics are emitted
+	 */
+	isEnabled() {
+		return this.#enabled;
+	};
+
+	/**
+	 * @returns {{enabled: boolean, namespace: string, dimensions: Array<Array<string>>, dimensionValues: Object}}
+	 */
+	info() {
+		return {
+			enabled: this.#enabled,
+			namespace: this.#namespace,
+			dimensions: this.#dimensions,
+			dimensionValues: this.#dimensionValues
+		};
+	};
+
+	/**
+	 * Convert a Cache status into metric counts
+	 * @param {string} status The status from Cache.getStatus()
+	 * @returns {Object} The counts for the status
+	 */
+	static countsForStatus (status) {
+		const stale = ( status === Cache.STATUS_STALE_REVALIDATING || status === Cache.STATUS_REFRESH_IN_PROGRESS || status === Cache.STATUS_CIRCUIT_OPEN );
+		const hit = ( stale || status === Cache.STATUS_CACHE );
+		const counts = {
+			CacheHit: hit ? 1 : 0,
+			CacheMiss: hit ? 0 : 1,
+			StaleServe: stale ? 1 : 0,
+			OriginError: ( status === Cache.STATUS_ORIGINAL_ERROR ) ? 1 : 0,
+			NotModified: ( status === Cache.STATUS_ORIGINAL_NOT_MODIFIED ) ? 1 : 0
+		};
+		if ( status === Cache.STATUS_CIRCUIT_OPEN || status === Cache.STATUS_CIRCUIT_OPEN_ERROR ) { counts.CircuitOpen = 1; }
+		return counts;
+	};
+
+	/**
+	 * Emit an EMF log entry
+	 * @param {{hostId: string, pathId: string, status: string}} context Values for the dimensions provided by the cache
+	 * @param {Object} counts Count metrics by name
+	 * @param {number} latency Latency in milliseconds, or null if not measured
+	 * @param {Object} properties Additional properties to include in the log entry (not metrics or dimensions)
+	 */
+	emit (context, counts, latency = null, properties = {}) {
+
+		if ( !this.#enabled ) { return; }
+
+		try {
+			const values = Object.assign({}, this.#dimensionValues, context);
+			const dimensions = this.#dimensions.filter( (set) => set.every( (name) => name in values ) );
+
+			const metrics = Object.keys(counts).map( (name) => { return { Name: name, Unit: "Count" }; } );
+			if ( latency !== null ) { metrics.push({ Name: "Latency", Unit: "Milliseconds" }); }
+
+			const entry = Object.assign({}, properties, values, counts, {
+				_aws: {
+					Timestamp: Date.now(),
+					CloudWatchMetrics: [ { Namespace: this.#namespace, Dimensions: dimensions, Metrics: metrics } ]
+				}
+			});
+
+			if ( latency !== null ) { entry.Latency = latency; }
+
+			tools.DebugAndLog.metric(entry);
+		} catch (error) {
+			tools.DebugAndLog.error(`Unable to emit cache metrics ${error?.message}`, error?.stack);
+		}
+	};
+};
+
+/**
+ * Accesses cached data stored through a storage adapter (DynamoDb and S3 by
+ * default). CacheData is a static object that manages expiration
+ * calculations, accessing and storing data. 
+ * This class is used by the publicly exposed class Cache
+ */
+class CacheData {
+
+	static PRIVATE = "private";
+	static PUBLIC = "public";
+
+	static PLAIN_ENCODING = "utf8";
+	static CRYPT_ENCODING = "hex";
+
+	static COMPRESSION_NONE = "none";
+	static COMPRESSION_GZIP = "gzip";
+	static COMPRESSION_BROTLI = "br";
+	static COMPRESSED_ENCODING = "base64";
+	static BINARY_ENCODING = "base64";
+
+	static #secureDataAlgorithm = null;
+	static #legacySecureDataAlgorithm = null;
+	static #secureDataKey = null;
+	static #secureDataKeyId = "default";
+	static #previousSecureDataKeys = {};
+	static #reEncryptOnRead = false;
+	static #envelopeEncryption = false;
+	static #keyWrapProvider = null;
+	static #dataKeys = new Map(); // unwrapped data keys by idHash and wrapped key so we don't need to unwrap on every read
+	static #dynamoDbMaxCacheSize_kb = 10;
+	static #purgeExpiredCacheEntriesAfterXHours = 24;
+	static #timeZoneForInterval = "UTC";
+	static #offsetInMinutes = 0;
+	static #compression = CacheData.COMPRESSION_NONE;
+	static #compressionThreshold_kb = 1;
+	static #rawBodyThreshold_kb = 0;
+	static #storage = null;
+	static #memoryCache = new MemoryCacheL1();
+	static #metrics = new CacheMetrics();
+	static #pendingWrites = new Set(); // storage writes that have not completed (there may be more than one per idHash)
+	static #writes = new WeakMap(); // the storage write started for each cacheData returned by write()
+
+	constructor() {
+	};
+
+	/**
+	 * 
+	 * @param {Object} parameters
+	 * @param {string} parameters.dynamoDbTable
+	 * @param {string} parameters.s3Bucket
+	 * @param {string} parameters.secureDataAlgorithm
+	 * @param {string} parameters.legacySecureDataAlgorithm Algorithm used to decrypt records that were encrypted before the algorithm was stored with the record. Default: secureDataAlgorithm
+	 * @param {string|Buffer|tools.Secret|tools.CachedSSMParameter|tools.CachedSecret} parameters.secureDataKey
+	 * @param {string} parameters.secureDataKeyId Id of the secureDataKey, stored with encrypted data. Default: "default"
+	 * @param {Object<string, string|Buffer|tools.CachedSSMParameter|tools.CachedSecret>} parameters.previousSecureDataKeys Keys by id that may still be used to decrypt, but not encrypt, cached data
+	 * @param {boolean} parameters.reEncryptOnRead Re-encrypt cached data using secureDataKey when it was encrypted using a previous key. Default: false
+	 * @param {boolean} parameters.envelopeEncryption Encrypt each record using its own data key which is wrapped by the keyWrapProvider. Default: false
+	 * @param {KeyWrapProvider} parameters.keyWrapProvider Provider used to wrap data keys. Default: LocalKeyWrapProvider (uses secureDataKey)
+	 * @param {number} parameters.DynamoDbMaxCacheSize_kb
+	 * @param {number} parameters.purgeExpiredCacheEntriesAfterXHours
+	 * @param {string} parameters.timeZoneForInterval
+	 * @param {string|CacheStorage} parameters.storage "dynamodb" (default), "memory", "filesystem", or an instance of a class extending CacheStorage
+	 * @param {string} parameters.storageDirectory Directory used when storage is "filesystem"
+	 * @param {string} parameters.dynamoDbPurgeIndex Name of the DynamoDb global secondary index on host_id and path_id used by purge(). Default: null (scan)
+	 * @param {number} parameters.memoryCacheMaxEntries Maximum number of records to keep in the in-memory cache in front of storage. Default: 0 (disabled)
+	 * @param {number} parameters.memoryCacheMaxBytes Maximum number of bytes to keep in the in-memory cache. Default: 10485760 (10MB)
+	 * @param {number} parameters.memoryCacheMaxAgeInSeconds Read a record from storage again after it has been in memory this long. Limits how long invalidations made by other instances go unseen. 0 keeps it until it expires. Default: 60
+	 * @param {boolean|Object} parameters.metrics true, or an object with namespace, dimensions, and dimensionValues, to emit CloudWatch Embedded Metric Format metrics. Default: false
+	 * @param {string} parameters.compression "gzip", "br" (brotli), or "none". Compress bodies before they are encrypted and stored. Default: "none"
+	 * @param {number} parameters.compressionThreshold_kb Only compress bodies of at least this size. Default: 1
+	 * @param {number} parameters.rawBodyThreshold_kb Public bodies of at least this size (as stored) are written apart from the record by storage that supports it. Default: 0 (disabled)
+	 */
+	static init(parameters) {
+
+		// if we don't have the key set, we don't have anything set
+		if ( this.#secureDataKey === null ) {
+
+			// TODO: Throw error if data is missing
+
+			const retry = RetryPolicy.parseOptions(parameters.retry);
+			DynamoDbCache.init(parameters.dynamoDbTable, new RetryPolicy(retry.dynamoDb));
+			S3Cache.init(parameters.s3Bucket, new RetryPolicy(retry.s3));
+
+			// set other values
+			this.#secureDataAlgorithm = parameters.secureDataAlgorithm;
+			this.#legacySecureDataAlgorithm = ("legacySecureDataAlgorithm" in parameters && parameters.legacySecureDataAlgorithm) ? parameters.legacySecureDataAlgorithm : parameters.secureDataAlgorithm;
+			this.#secureDataKey = parameters.secureDataKey;
+			if ("secureDataKeyId" in parameters && parameters.secureDataKeyId ) { this.#secureDataKeyId = String(parameters.secureDataKeyId); }
+			if ("previousSecureDataKeys" in parameters && parameters.previousSecureDataKeys !== null && typeof parameters.previousSecureDataKeys === "object" ) { this.#previousSecureDataKeys = Object.assign({}, parameters.previousSecureDataKeys); }
+			if ("reEncryptOnRead" in parameters ) { this.#reEncryptOnRead = Boolean(parameters.reEncryptOnRead); }
+			if ("envelopeEncryption" in parameters ) { this.#envelopeEncryption = Boolean(parameters.envelopeEncryption); }
+			// a provider is always available so that records written using envelope encryption can be read even if it is turned off
+			this.#keyWrapProvider = ( parameters.keyWrapProvider instanceof KeyWrapProvider ) ? parameters.keyWrapProvider : new LocalKeyWrapProvider();
+
+			if ("DynamoDbMaxCacheSize_kb" in parameters ) { this.#dynamoDbMaxCacheSize_kb = parameters.DynamoDbMaxCacheSize_kb; }
+			if ("purgeExpiredCacheEntriesAfterXHours" in parameters ) { this.#purgeExpiredCacheEntriesAfterXHours = parameters.purgeExpiredCacheEntriesAfterXHours; }
+			if ("timeZoneForInterval" in parameters ) { this.#timeZoneForInterval = parameters.timeZoneForInterval; }
+			if ("compressionThreshold_kb" in parameters ) { this.#compressionThreshold_kb = Number(parameters.compressionThreshold_kb) || 0; }
+			if ("rawBodyThreshold_kb" in parameters ) { this.#rawBodyThreshold_kb = Number(parameters.rawBodyThreshold_kb) || 0; }
+			if ("compression" in parameters && parameters.compression !== null ) {
+				const compression = String(parameters.compression).toLowerCase();
+				if ( [CacheData.COMPRESSION_NONE, CacheData.COMPRESSION_GZIP, CacheData.COMPRESSION_BROTLI].includes(compression) ) {
+					this.#compression = compression;
+				} else {
+					tools.DebugAndLog.error(`CacheData.init(): Unknown compression "${parameters.compression}". Bodies will not be compressed`);
+				}
+			}
+
+			this.#storage = CacheData.#createStorage(parameters);
+
+			this.#memoryCache = new MemoryCacheL1({
+				maxEntries: ("memoryCacheMaxEntries" in parameters) ? parseInt(parameters.memoryCacheMaxEntries, 10) || 0 : 0,
+				maxBytes: ("memoryCacheMaxBytes" in parameters) ? parseInt(parameters.memoryCacheMaxBytes, 10) || 0 : 10485760,
+				maxAgeInSeconds: ("memoryCacheMaxAgeInSeconds" in parameters) ? Math.max(0, parseInt(parameters.memoryCacheMaxAgeInSeconds, 10) || 0) : 60
+			});
+
+			this.#metrics = new CacheMetrics(CacheMetrics.parseOptions(parameters.metrics));
+
+			this._setOffsetInMinutes();
+
+		} else {
+			tools.DebugAndLog.warn("CacheData already initialized. Ignoring call to CacheData.init()");
+		}
+
+	};
+
+	/**
+	 * Used in the init() method to create the storage adapter from the
+	 * storage parameter.
+	 * @param {Object} parameters The parameters passed to init()
+	 * @returns {CacheStorage} The storage adapter
+	 */
+	static #createStorage(parameters) {
+
+		const storage = ( "storage" in parameters && parameters.storage !== null ) ? parameters.storage : "dynamodb";
+
+		// an adapter was passed in
+		if ( typeof storage === "object" ) {
+			if ( ["read", "write", "delete", "head"].every( (m) => typeof storage[m] === "function") ) {
+				return storage;
+			}
+			tools.DebugAndLog.error("CacheData.init(): storage does not implement read(), write(), delete(), and head(). Using dynamodb");
+			return new DynamoDbS3Storage({ dynamoDbMaxCacheSize_kb: this.#dynamoDbMaxCacheSize_kb });
+		}
+
+		switch (String(storage).toLowerCase()) {
+			case "memory":
+				return new MemoryStorage();
+			case "filesystem":
+				return new FileSystemStorage({ directory: ("storageDirectory" in parameters) ? parameters.storageDirectory : null });
+			case "dynamodb":
+				return new DynamoDbS3Storage({ dynamoDbMaxCacheSize_kb: this.#dynamoDbMaxCacheSize_kb, purgeIndexName: ("dynamoDbPurgeIndex" in parameters) ? parameters.dynamoDbPurgeIndex : null });
+			default:
+				tools.DebugAndLog.error(`CacheData.init(): Unknown storage "${storage}". Using dynamodb`);
+				return new DynamoDbS3Storage({ dynamoDbMaxCacheSize_kb: this.#dynamoDbMaxCacheSize_kb });
+		}
+	};
+
+	/**
+	 * The storage adapter used to read and write cache records
+	 * @returns {CacheStorage}
+	 */
+	static getStorage() {
+		return this.#storage;
+	};
+
+	/**
+	 * Emit cache metrics if enabled in init()
+	 * @param {{hostId: string, pathId: string, status: string}} context Values for the dimensions provided by the cache
+	 * @param {Object} counts Count metrics by name
+	 * @param {number} latency Latency in milliseconds, or null
+	 * @param {Object} properties Additional properties for the log entry
+	 */
+	static emitMetrics(context, counts, latency = null, properties = {}) {
+		this.#metrics.emit(context, counts, latency, properties);
+	};
+
+	/**
+	 * Acquire a refresh lock for an idHash from the storage adapter.
+	 * Storage adapters that do not support locking always grant the lock.
+	 * @param {string} idHash The id of the cached content to lock
+	 * @param {string} owner A unique id for the holder of the lock
+	 * @param {number} expires Timestamp in seconds when the lock expires if not released
+	 * @returns {Promise<boolean>} true if the lock was acquired
+	 */
+	static async acquireRefreshLock(idHash, owner, expires) {
+		if ( typeof this.#storage.acquireLock !== "function" ) { return true; }
+		try {
+			return await this.#storage.acquireLock(idHash, owner, expires);
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.acquireRefreshLock(${idHash}) failed. Proceeding without lock. ${error?.message}`, error?.stack);
+			return true;
+		}
+	};
+
+	/**
+	 * Release a refresh lock acquired with acquireRefreshLock()
+	 * @param {string} idHash The id of the cached content that was locked
+	 * @param {string} owner The unique id used to acquire the lock
+	 * @returns {Promise<boolean>} Whether or not the lock was released
+	 */
+	static async releaseRefreshLock(idHash, owner) {
+		if ( typeof this.#storage.releaseLock !== "function" ) { return true; }
+		try {
+			return await this.#storage.releaseLock(idHash, owner);
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.releaseRefreshLock(${idHash}) failed. Lock will expire on its own. ${error?.message}`, error?.stack);
+			return false;
+		}
+	};
+
+	/**
+	 * The id_hash of the record holding the shared state of a circuit breaker
+	 * @param {string} key The circuit breaker key
+	 * @returns {string}
+	 */
+	static #circuitId(key) {
+		return `circuit:${crypto.createHash("sha256").update(key).digest("hex")}`;
+	};
+
+	/**
+	 * Read when a circuit breaker shared through storage is open until
+	 * @param {string} key The circuit breaker key
+	 * @returns {Promise<number>} Timestamp in seconds, or 0 if it is not open
+	 */
+	static async readCircuitState(key) {
+		try {
+			const record = await this.#storage.head(this.#circuitId(key));
+			return ( record !== null && record.expires > CacheData.convertTimestampFromMilliToSeconds(Date.now()) ) ? record.expires : 0;
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.readCircuitState(${key}) failed. ${error?.message}`, error?.stack);
+			return 0;
+		}
+	};
+
+	/**
+	 * Share when a circuit breaker is open until through storage
+	 * @param {string} key The circuit breaker key
+	 * @param {number} openUntil Timestamp in seconds. Use 0 when it closes
+	 * @returns {Promise<boolean>} Whether or not the write was successful
+	 */
+	static async writeCircuitState(key, openUntil) {
+		const now = CacheData.convertTimestampFromMilliToSeconds(Date.now());
+		const expires = ( openUntil > 0 ) ? openUntil : now - 1;
+		try {
+			return await this.#storage.write({
+				id_hash: this.#circuitId(key),
+				expires: expires,
+				purge_ts: expires + 3600,
+				data: { info: { circuit: key, size_kb: 0, objInS3: false }, headers: {}, body: "", statusCode: null }
+			});
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.writeCircuitState(${key}) failed. ${error?.message}`, error?.stack);
+			return false;
+		}
+	};
+
+	/**
+	 * Similar to init, but runs during execution time to refresh environment variables that may have changed since init.
+	 * Calling .prime() without an await can help get runtime refreshes started.
+	 * You can safely call .prime() again with an await to make sure it has completed just before you need it.
+	 * @returns {Promise<boolean>}
+	 */
+	static async prime() {
+		return new Promise(async (resolve, reject) => {
+			try {
+				let primeTasks = [];
+
+				for (const key of [this.#secureDataKey, ...Object.values(this.#previousSecureDataKeys)]) {
+					if (CacheData.getSecureDataKeyType(key) === 'CachedParameterSecret') {
+						primeTasks.push( key.prime());
+					}
+				}
+
+				await Promise.all(primeTasks);
+
+				resolve(true);
+			} catch (error) {
+				tools.DebugAndLog.error(`CacheData.prime() failed ${error.message}`, error.stack);
+				reject(false);
+			}
+		});
+	}
+
+	/**
+	 * Used in the init() method, based on the timeZoneForInterval and current
+	 * date, set the offset in minutes (offset from UTC taking into account
+	 * daylight savings time for that time zone)
+	 */
+	static _setOffsetInMinutes() {
+		this.#offsetInMinutes = ( -1 * moment.tz.zone(this.getTimeZoneForInterval()).utcOffset(Date.now())); // invert by *-1 because of POSIX
+	};
+
+	/**
+	 * 
+	 * @returns {number} The offset in minutes taking into account whether or not daylight savings is in effect AND observed
+	 */
+	static getOffsetInMinutes() {
+		return this.#offsetInMinutes;
+	};
+
+	/**
+	 * https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
+	 * @returns {string} Returns the TZ database name assigned to the time zone
+	 */
+	static getTimeZoneForInterval() {
+		return this.#timeZoneForInterval;
+	};
+
+	/**
+	 * Get information about the cache settings
+	 * @returns {{
+	 * 		dynamoDbTable: string, 
+	 * 		s3Bucket: string,
+	 * 		secureDataAlgorithm: string,
+	 * 		legacySecureDataAlgorithm: string,
+	 * 		secureDataKey: string,
+	 * 		secureDataKeyId: string,
+	 * 		previousSecureDataKeys: Array<string>,
+	 * 		reEncryptOnRead: boolean,
+	 * 		envelopeEncryption: {enabled: boolean, keyWrapProvider: object},
+	 * 		DynamoDbMaxCacheSize_kb: number,
+	 * 		purgeExpiredCacheEntriesAfterXHours: number,
+	 * 		timeZoneForInterval: string,
+	 * 		offsetInMinutes: number,
+	 * 		storage: object,
+	 * 		memoryCache: {maxEntries: number, maxBytes: number, entries: number, bytes: number, hits: number, misses: number},
+	 * 		metrics: {enabled: boolean, namespace: string, dimensions: Array<Array<string>>, dimensionValues: Object},
+	 * 		retry: {dynamoDb: object, s3: object},
+	 * 		compression: {algorithm: string, threshold_kb: number}
+	 * }}
+	 */
+	static info() {
+
+		return {
+			dynamoDbTable: DynamoDbCache.info(),
+			s3Bucket: S3Cache.info(),
+			secureDataAlgorithm: this.#secureDataAlgorithm,
+			legacySecureDataAlgorithm: this.#legacySecureDataAlgorithm,
+			secureDataKey: `************** [${CacheData.getSecureDataKeyType()}]`,
+			secureDataKeyId: this.#secureDataKeyId,
+			previousSecureDataKeys: Object.keys(this.#previousSecureDataKeys).map( (kid) => `${kid}: ************** [${CacheData.getSecureDataKeyType(this.#previousSecureDataKeys[kid])}]` ),
+			reEncryptOnRead: this.#reEncryptOnRead,
+			envelopeEncryption: { enabled: this.#envelopeEncryption, keyWrapProvider: ( this.#keyWrapProvider !== null ) ? this.#keyWrapProvider.info() : null },
+			DynamoDbMaxCacheSize_kb: this.#dynamoDbMaxCacheSize_kb,
+			purgeExpiredCacheEntriesAfterXHours: this.#purgeExpiredCacheEntriesAfterXHours,
+			timeZoneForInterval: CacheData.getTimeZoneForInterval(),
+			offsetInMinutes: CacheData.getOffsetInMinutes(),
+			storage: ( this.#storage !== null ) ? this.#storage.info() : null,
+			memoryCache: this.#memoryCache.info(),
+			metrics: this.#metrics.info(),
+			retry: { dynamoDb: DynamoDbCache.getRetryPolicy().info(), s3: S3Cache.getRetryPolicy().info() },
+			compression: { algorithm: this.#compression, threshold_kb: this.#compressionThreshold_kb },
+			rawBodyThreshold_kb: this.#rawBodyThreshold_kb
+		};
+
+	};
+
+	/**
+	 * Format the cache object for returning to main program
+	 * @param {number} expires 
+	 * @param {Object} body 
+	 * @param {Object} headers 
+	 * @param {string} statusCode 
+	 * @returns {CacheDataFormat} Formatted cache object
+	 */
+	static format(expires = null, body = null, headers = null, statusCode = null) {
+		return { "cache": { body: body, headers: headers, expires: expires, statusCode: statusCode } };
+	};
+
+	/**
+	 * 
+	 * @param {string} idHash 
+	 * @param {Object} item 
+	 * @param {number} syncedNow 
+	 * @param {number} syncedLater 
+	 * @returns {Promise<{ body: string, headers: Object, expires: number, statusCode: string }>}
+	 */
+	static async _process(idHash, item, syncedNow, syncedLater) {
+		
+		return new Promise(async (resolve, reject) => {
+
+			try {
+				
+				let body = null;
+				let headers = null;
+				let expires = syncedLater;
+				let statusCode = null;
+
+				if (item !== null) {
+					tools.DebugAndLog.debug(`Process data from cache (${idHash})`);
+					body = item.data.body; // set the cached body data (this is what we will be the body of the response)
+
+					headers = item.data.headers;
+					expires = item.expires;
+					statusCode = item.data.statusCode;
+					
+					// if the body is encrypted (because classification is private) decrypt it
+					if ( item.data.info.classification === CacheData.PRIVATE ) {
+						try {
+							tools.DebugAndLog.debug(`Policy for (${idHash}) data is classified as PRIVATE. Decrypting body...`);
+							await CacheData.prime();
+							const encrypted = body;
+							const dataKey = ( "dataKey" in encrypted ) ? await this.#unwrapDataKey(encrypted.dataKey, idHash) : null;
+							body = this._decrypt(encrypted, idHash, dataKey);
+							if ( this.#reEncryptOnRead ) { this.#reEncryptIfNeeded(idHash, item, body, dataKey); }
+						} catch (error) {
+							// Decryption failed
+							body = null;
+							expires = syncedNow;
+							headers = null;
+							statusCode = "500";
+							tools.DebugAndLog.error(`Unable to decrypt cache. Ignoring it. (${idHash}) ${error.message}`, error.stack);
+						}
+					}
+
+					// if the body was compressed before it was stored (and decryption did not fail), decompress it
+					if ( body !== null && typeof item.data.info.compression === "string" && item.data.info.compression !== CacheData.COMPRESSION_NONE ) {
+						try {
+							tools.DebugAndLog.debug(`Body for (${idHash}) is compressed using ${item.data.info.compression}. Decompressing...`);
+							body = this._decompress(body, item.data.info.compression);
+						} catch (error) {
+							body = null;
+							expires = syncedNow;
+							headers = null;
+							statusCode = "500";
+							tools.DebugAndLog.error(`Unable to decompress cache. Ignoring it. (${idHash}) ${error.message}`, error.stack);
+						}
+					}
+
+					// binary bodies are stored base64 encoded
+					if ( body !== null && item.data.info.binary === true ) {
+						body = Buffer.from(body, CacheData.BINARY_ENCODING);
+					}
+				}
+
+				resolve({ body: body, headers: headers, expires: expires, statusCode: statusCode });
+			} catch (error) {
+				tools.DebugAndLog.error(`Error getting data from cache. (${idHash}) ${error.message}`, error.stack);
+				reject( {body: null, expires: syncedNow, headers: null, statusCode: "500"} );
+			}
+				
+		});
+	};
+
+	/**
+	 * If the body of a cache record was encrypted using a previous key,
+	 * algorithm, or encryption mode, re-encrypt it using the current settings
+	 * and write it back to storage. Expiration is not changed. When only the
+	 * key that wrapped the data key has changed, the data key is re-wrapped
+	 * and the encrypted body is kept.
+	 * @param {string} idHash 
+	 * @param {object} item The cache record as read from storage
+	 * @param {string} text The decrypted body (still compressed if it was stored compressed)
+	 * @param {Buffer|null} dataKey The unwrapped data key if the body used envelope encryption
+	 */
+	static #reEncryptIfNeeded(idHash, item, text, dataKey) {
+
+		const encrypted = item.data.body;
+		const envelope = ( "dataKey" in encrypted );
+		const algorithm = ("algorithm" in encrypted) ? encrypted.algorithm : this.#legacySecureDataAlgorithm;
+		const kid = ("kid" in encrypted) ? encrypted.kid : "default";
+
+		const reEncrypt = ( algorithm !== this.#secureDataAlgorithm || envelope !== this.#envelopeEncryption || ( !envelope && kid !== this.#secureDataKeyId ) );
+		const reWrap = ( !reEncrypt && envelope && encrypted.dataKey.kid !== this.#keyWrapProvider.getKeyId() );
+
+		if ( !reEncrypt && !reWrap ) { return; }
+
+		tools.DebugAndLog.debug(`Re-${(reWrap ? "wrapping data key" : "encrypting")} cache for ${idHash} using secureDataKey ${(this.#envelopeEncryption ? this.#keyWrapProvider.getKeyId() : this.#secureDataKeyId)}`);
+
+		const updated = structuredClone(item);
+		let sealed = null;
+
+		try {
+			if ( reWrap ) {
+				delete updated.data.body.dataKey;
+				sealed = this.#wrapDataKey(updated, dataKey);
+			} else {
+				const newDataKey = ( this.#envelopeEncryption ) ? this.#generateDataKey() : null;
+				updated.data.body = this._encrypt(text, idHash, newDataKey);
+				sealed = ( newDataKey !== null ) ? this.#wrapDataKey(updated, newDataKey) : Promise.resolve(updated);
+			}
+		} catch (error) {
+			sealed = Promise.reject(error);
+		}
+
+		this.#trackWrite(item, sealed.then( (record) => {
+			this.#memoryCache.set(record);
+			return this.#storage.write(record);
+		}).catch( (error) => {
+			tools.DebugAndLog.error(`CacheData re-encrypt for ${idHash} failed. ${error?.message}`, error?.stack);
+			return false;
+		})); // we don't wait for a response, but flush() will
+	};
+
+	/**
+	 * Generate a random data key for envelope encryption
+	 * @returns {Buffer}
+	 */
+	static #generateDataKey() {
+		return crypto.randomBytes(crypto.getCipherInfo(this.#secureDataAlgorithm)?.keyLength || 32);
+	};
+
+	/**
+	 * Wrap the data key using the keyWrapProvider and store it with the
+	 * encrypted body of the record
+	 * @param {object} item The cache record with an encrypted body
+	 * @param {Buffer} dataKey The data key used to encrypt the body
+	 * @returns {Promise<object>} The cache record
+	 */
+	static async #wrapDataKey(item, dataKey) {
+		const wrapped = await this.#keyWrapProvider.wrap(dataKey, { id_hash: item.id_hash });
+		item.data.body.dataKey = { wrappedKey: wrapped.wrappedKey, kid: wrapped.kid };
+		this.#rememberDataKey(item.id_hash, wrapped.wrappedKey, dataKey);
+		return item;
+	};
+
+	/**
+	 * Unwrap the data key stored with an encrypted body
+	 * @param {{wrappedKey: string, kid: string}} envelope The dataKey stored with the encrypted body
+	 * @param {string} idHash 
+	 * @returns {Promise<Buffer>} The data key
+	 */
+	static async #unwrapDataKey(envelope, idHash) {
+		let dataKey = this.#dataKeys.get(`${idHash}:${envelope.wrappedKey}`);
+		if ( dataKey === undefined ) {
+			dataKey = await this.#keyWrapProvider.unwrap(envelope.wrappedKey, envelope.kid, { id_hash: idHash });
+			this.#rememberDataKey(idHash, envelope.wrappedKey, dataKey);
+		}
+		return dataKey;
+	};
+
+	/**
+	 * Keep up to 100 unwrapped data keys in memory. The idHash is part of the
+	 * key as the data key was wrapped using the idHash as context. A wrapped
+	 * key copied to another record must be unwrapped (and fail) again.
+	 * @param {string} idHash 
+	 * @param {string} wrappedKey 
+	 * @param {Buffer} dataKey 
+	 */
+	static #rememberDataKey(idHash, wrappedKey, dataKey) {
+		if ( this.#dataKeys.size >= 100 ) { this.#dataKeys.delete(this.#dataKeys.keys().next().value); }
+		this.#dataKeys.set(`${idHash}:${wrappedKey}`, dataKey);
+	};
+
+	/**
+	 * Remove a cache record from memory and storage (including any S3 object
+	 * it points to). Only the in-memory cache of this instance is cleared,
+	 * other instances read the record again after memoryCacheMaxAgeInSeconds.
+	 * @param {string} idHash ID of data to remove
+	 * @returns {Promise<boolean>} Whether or not the record was removed from storage
+	 */
+	static async invalidate(idHash) {
+
+		this.#memoryCache.delete(idHash);
+
+		try {
+			const result = await this.#storage.delete(idHash);
+			tools.DebugAndLog.debug(`Cache invalidated for ${idHash}: ${result}`);
+			return result;
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.invalidate(${idHash}) failed ${error?.message}`, error?.stack);
+			return false;
+		}
+	};
+
+	/**
+	 * Set the expiration of a cache record to now while keeping the body so
+	 * that it may still be used as a fallback (such as when the origin is in
+	 * error or returns 304 Not Modified). Only the in-memory cache of this
+	 * instance is cleared (see invalidate()).
+	 * @param {string} idHash ID of data to expire
+	 * @returns {Promise<boolean>} Whether or not the record existed and was updated
+	 */
+	static async expire(idHash) {
+
+		this.#memoryCache.delete(idHash);
+
+		try {
+			const item = await this.#storage.read(idHash);
+
+			if ( item === null ) {
+				tools.DebugAndLog.debug(`No cache found to expire for ${idHash}`);
+				return false;
+			}
+
+			// timestamps are rounded up to the next second, so step back one to make sure it is already expired
+			const now = CacheData.convertTimestampFromMilliToSeconds(Date.now()) - 1;
+
+			item.expires = now;
+			if ( item.data?.info ) { item.data.info.expires = CacheData.generateInternetFormattedDate(now); }
+			if ( item.data?.headers ) { item.data.headers.expires = CacheData.generateInternetFormattedDate(now); }
+
+			const result = await this.#storage.write(item);
+			tools.DebugAndLog.debug(`Cache expired for ${idHash}: ${result}`);
+			return result;
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.expire(${idHash}) failed ${error?.message}`, error?.stack);
+			return false;
+		}
+	};
+
+	/**
+	 * Remove all cache records matching the hostId, pathId, and/or tag from
+	 * memory and storage (including any S3 objects they point to). Matches
+	 * are retrieved a page at a time from the storage adapter's list().
+	 * As with invalidate(), only the in-memory cache of this instance is
+	 * cleared.
+	 * @param {{hostId: string, pathId: string, tag: string}} filter Records must match every property given. At least one is required
+	 * @returns {Promise<{matched: number, purged: number, failed: number}>} Counts of records found, removed, and that could not be removed
+	 */
+	static async purge(filter = {}) {
+
+		const result = { matched: 0, purged: 0, failed: 0 };
+
+		const criteria = {};
+		if ( typeof filter?.hostId === "string" && filter.hostId !== "" ) { criteria.hostId = filter.hostId; }
+		if ( typeof filter?.pathId === "string" && filter.pathId !== "" ) { criteria.pathId = filter.pathId; }
+		if ( typeof filter?.tag === "string" && filter.tag.trim() !== "" ) { criteria.tag = filter.tag.trim().toLowerCase(); }
+
+		if ( Object.keys(criteria).length === 0 ) {
+			tools.DebugAndLog.error("CacheData.purge() requires a hostId, pathId, or tag. Nothing purged");
+			return result;
+		}
+
+		if ( typeof this.#storage.list !== "function" ) {
+			tools.DebugAndLog.error(`CacheData.purge(): ${this.#storage.constructor.name} does not implement list(). Nothing purged`);
+			return result;
+		}
+
+		try {
+			let startKey = null;
+
+			do {
+				const page = await this.#storage.list(criteria, startKey);
+				result.matched += page.idHashes.length;
+
+				// delete a few at a time so we don't flood storage with requests
+				for (let i = 0; i < page.idHashes.length; i += 25) {
+					const deleted = await Promise.all(page.idHashes.slice(i, i + 25).map( (idHash) => this.invalidate(idHash) ));
+					deleted.forEach( (ok) => { if (ok) { result.purged++; } else { result.failed++; } } );
+				}
+
+				startKey = page.nextKey;
+			} while ( startKey !== null && typeof startKey !== "undefined" );
+
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.purge() failed after purging ${result.purged} records ${error?.message}`, error?.stack);
+		}
+
+		tools.DebugAndLog.debug("Cache purge complete", { filter: criteria, ...result });
+
+		return result;
+	};
+
+	/**
+	 * Remove data the storage adapter left behind (see
+	 * CacheStorage.collectGarbage()) that was last written more than
+	 * purgeExpiredCacheEntriesAfterXHours ago.
+	 * @param {{dryRun: boolean, timeBudgetInMilliseconds: number}} options
+	 * @returns {Promise<object>} The report from the storage adapter along with elapsed
+	 */
+	static async collectGarbage({ dryRun = false, timeBudgetInMilliseconds = 0 } = {}) {
+
+		const timer = new tools.Timer("timerCacheDataCollectGarbage", true);
+		const olderThan = this.convertTimestampFromMilliToSeconds(Date.now()) - (this.#purgeExpiredCacheEntriesAfterXHours * 3600);
+
+		// storage that does not extend CacheStorage may not implement collectGarbage()
+		const storage = ( typeof this.#storage.collectGarbage === "function" ) ? this.#storage : new CacheStorage();
+
+		let report = null;
+
+		try {
+			report = await storage.collectGarbage({ olderThan: olderThan, dryRun: dryRun === true, timeBudgetInMilliseconds: timeBudgetInMilliseconds });
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.collectGarbage(): ${storage.constructor.name} failed ${error?.message}`, error?.stack);
+			report = await (new CacheStorage()).collectGarbage({ dryRun: dryRun === true });
+			report.complete = false;
+			report.failed++;
+		}
+
+		timer.stop();
+		report.elapsed = timer.elapsed();
+
+		tools.DebugAndLog.log(`${( report.dryRun ) ? "dry run | " : ""}${report.orphanedObjects} orphaned objects (${report.orphanedBytes} bytes) | ${report.deletedObjects} deleted (${report.reclaimedBytes} bytes) | ${report.expiredItems} expired items | ${report.deletedItems} deleted | ${report.failed} failed | ${( report.complete ) ? "complete" : "incomplete"} | ${report.elapsed}`, "GC");
+
+		return report;
+	};
+
+	/**
+	 * 
+	 * @param {string} idHash 
+	 * @param {number} syncedLater 
+	 * @param {boolean} streamBody If the record is unexpired and its body is stored apart from it, leave the body in storage to be read using readBodyStream()
+	 * @returns {Promise<CacheDataFormat>} 
+	 */
+	static async read(idHash, syncedLater, streamBody = false) {
+
+		return new Promise(async (resolve, reject) => {
+
+			let cache = this.format(syncedLater);
+
+			try {
+				
+				// check the in-memory cache before going to storage
+				let item = this.#memoryCache.get(idHash);
+
+				if ( item !== null ) {
+					tools.DebugAndLog.debug(`Cache found in memory for ${idHash}`);
+				} else {
+					item = await this.#storage.read(idHash);
+					if ( item !== null ) { this.#memoryCache.set(item); }
+				}
+
+				// the body was stored apart from the record
+				let bodyStream = null;
+				if ( item !== null && item.data.info.rawBody === true ) {
+					if ( streamBody && item.expires > this.convertTimestampFromMilliToSeconds(Date.now()) ) {
+						bodyStream = { compression: ( typeof item.data.info.compression === "string" ) ? item.data.info.compression : CacheData.COMPRESSION_NONE };
+					} else {
+						item.data.body = await this.#readBody(item);
+						if ( item.data.body === null ) { item = null; } // treat it as not cached
+					}
+				}
+
+				/* if we have a cached object, provide it for evaluation */
+				if ( item !== null ) { 
+					// hand the item over for processing
+					const cachedCopy = await this._process(idHash, item);
+					cache = this.format(cachedCopy.expires, cachedCopy.body, cachedCopy.headers, cachedCopy.statusCode);
+					if ( bodyStream !== null ) { cache.cache.bodyStream = bodyStream; }
+					tools.DebugAndLog.debug(`Cached Item Processed: ${idHash}`);
+				} else {
+					tools.DebugAndLog.debug(`No cache found for ${idHash}`);
+				}
+
+				resolve(cache);
+			} catch (error) {
+				tools.DebugAndLog.error(`CacheData.read(${idHash}) failed ${error.message}`, error.stack);
+				reject(cache);
+			};
+			
+		});
+	};
+
+	/**
+	 * 
+	 * @param {string} idHash ID of data to write
+	 * @param {number} syncedNow 
+	 * @param {string|Buffer} body A Buffer for binary content, which is stored base64 encoded
+	 * @param {Object} headers 
+	 * @param {string} host 
+	 * @param {string} path 
+	 * @param {number} expires 
+	 * @param {number} statusCode 
+	 * @param {boolean} encrypt 
+	 * @param {Array<string>} tags Tags used to purge the record in bulk
+	 * @returns {CacheDataFormat} The storage write is started but not waited on (see getWrite())
+	 */
+	static write (idHash, syncedNow, body, headers, host, path, expires, statusCode, encrypt = true, tags = []) {
+
+		let cacheData = null;
+	
+		try {
+
+			tools.DebugAndLog.debug(`Updating Cache for ${idHash} now:${syncedNow} | host:${host} | path:${path} | expires:${expires} | statusCode:${statusCode} | encrypt:${encrypt} ... `);
+
+			if( isNaN(expires) || expires < syncedNow ) {
+				expires = syncedNow + 300;
+			}
+
+			// lowercase all headers
+			headers = CacheData.lowerCaseKeys(headers);
+
+			// set etag
+			if ( !("etag" in headers) ) {
+				headers.etag = CacheData.generateEtag(idHash, body);
+			}
+
+			// set last modified
+			if ( !("last-modified" in headers) ) {
+				headers['last-modified'] = CacheData.generateInternetFormattedDate(syncedNow);
+			}
+
+			// set expires in header
+			if ( !("expires" in headers) ) {
+				headers['expires'] = CacheData.generateInternetFormattedDate(expires);
+			}
+	
+			cacheData = CacheData.format(expires, body, headers, statusCode);
+
+			const bodySize_kb = this.calculateKBytes(body);
+			const binary = Buffer.isBuffer(body);
+			let bodyToStore = ( binary ) ? body.toString(CacheData.BINARY_ENCODING) : body;
+			let compression = CacheData.COMPRESSION_NONE;
+			let compressedSize_kb = bodySize_kb;
+
+			// compress before encrypting as encrypted data does not compress
+			if ( this.#compression !== CacheData.COMPRESSION_NONE && typeof body === "string" && bodySize_kb >= this.#compressionThreshold_kb ) {
+				const compressed = this._compress(body, this.#compression);
+				const compressed_kb = this.calculateKBytes(compressed);
+				// only keep it if it is actually smaller (in bytes, as multibyte characters take more than one)
+				if ( compressed_kb < bodySize_kb ) {
+					bodyToStore = compressed;
+					compression = this.#compression;
+					compressedSize_kb = compressed_kb;
+				}
+			}
+
+			// if the endpoint policy is classified as private, encrypt
+			let dataKey = null;
+			if ( encrypt ) {
+				tools.DebugAndLog.debug(`Policy for (${idHash}) data is classified as PRIVATE. Encrypting body...`);
+				if ( this.#envelopeEncryption ) { dataKey = this.#generateDataKey(); }
+				bodyToStore = this._encrypt(bodyToStore, idHash, dataKey);
+			}
+
+			// create the (preliminary) cache record
+			let item = {
+				id_hash: idHash,
+				expires: expires,
+				purge_ts: (syncedNow + (this.#purgeExpiredCacheEntriesAfterXHours * 3600)),
+				host_id: host, // top level attributes so they can be indexed and used for purging
+				path_id: path,
+				tags: tags,
+				data: { 
+					info: { 
+						expires: headers.expires,
+						host: host,
+						path: path,
+						classification: (encrypt ? CacheData.PRIVATE : CacheData.PUBLIC),
+						size_kb: bodySize_kb,
+						objInS3: false
+					},
+					headers: headers,
+					body: bodyToStore,
+					statusCode: statusCode
+				}
+			};
+
+			if ( compression !== CacheData.COMPRESSION_NONE ) {
+				item.data.info.compression = compression;
+				item.data.info.compressed_kb = compressedSize_kb;
+			}
+
+			if ( binary ) {
+				item.data.info.binary = true;
+			}
+
+			// large public bodies may be stored apart from the record so they can be streamed when read
+			const rawBody = ( !encrypt && this.#rawBodyThreshold_kb > 0 && typeof bodyToStore === "string" && compressedSize_kb >= this.#rawBodyThreshold_kb );
+
+			// the storage adapter handles where the item is stored (for DynamoDb, large items are moved to S3)
+			// we don't wait for a response, but the write is tracked so flush() can wait for it
+			let written = null;
+			if ( rawBody ) {
+				written = this.#trackWrite(item, this.#writeBody(item).then( (record) => {
+					this.#memoryCache.set(record);
+					return this.#storage.write(record);
+				}).catch( (error) => {
+					tools.DebugAndLog.error(`CacheData.write for ${idHash} body or storage write failed. ${error?.message}`, error?.stack);
+					return false;
+				}));
+			} else if ( dataKey === null ) {
+				this.#memoryCache.set(item);
+				written = this.#trackWrite(item, Promise.resolve(this.#storage.write(item)).catch( (error) => {
+					tools.DebugAndLog.error(`CacheData.write for ${idHash} storage write failed. ${error?.message}`, error?.stack);
+					return false;
+				}));
+			} else {
+				// the data key is wrapped first (the provider may need to call a key management service)
+				written = this.#trackWrite(item, this.#wrapDataKey(item, dataKey).then( (record) => {
+					this.#memoryCache.set(record);
+					return this.#storage.write(record);
+				}).catch( (error) => {
+					tools.DebugAndLog.error(`CacheData.write for ${idHash} data key wrap or storage write failed. ${error?.message}`, error?.stack);
+					return false;
+				}));
+			}
+
+			this.#writes.set(cacheData, written);
+
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.write for ${idHash} FAILED now:${syncedNow} | host:${host} | path:${path} | expires:${expires} | statusCode:${statusCode} | encrypt:${encrypt} failed. ${error.message}`, error.stack);
+			cacheData = CacheData.format(0);
+		};
+
+		return cacheData;
+
+	};
+
+	/**
+	 * Track a storage write so that flush() can wait for it and the Cache
+	 * object that made it can find out if it failed (see getWrite()).
+	 * Storage adapters resolve write() to true or false.
+	 * @param {object} item The cache record being written
+	 * @param {Promise<boolean>} promise The storage write
+	 * @returns {Promise<boolean>} Whether or not the write was successful
+	 */
+	static #trackWrite(item, promise) {
+
+		const idHash = item.id_hash;
+
+		const write = promise.then( (result) => {
+			if ( result === true ) { return true; }
+			tools.DebugAndLog.warn(`CacheData write for ${idHash} was not successful`);
+			this.emitMetrics({ hostId: item.host_id, pathId: item.path_id }, { WriteError: 1 }, null, { idHash: idHash });
+			return false;
+		}).finally( () => {
+			this.#pendingWrites.delete(write);
+		});
+
+		this.#pendingWrites.add(write);
+		return write;
+	};
+
+	/**
+	 * The storage write started by write(). Other writes to the same idHash
+	 * (such as a re-encrypt or a refresh) are tracked separately.
+	 * @param {CacheDataFormat} cacheData The object returned by write()
+	 * @returns {Promise<boolean>|null} Resolves to whether or not the write was successful, or null if write() did not start one
+	 */
+	static getWrite(cacheData) {
+		return this.#writes.get(cacheData) || null;
+	};
+
+	/**
+	 * Wait for pending storage writes to complete. Lambda freezes the
+	 * execution environment once the handler returns, and writes that
+	 * have not completed may be lost.
+	 * @param {number} timeoutInMilliseconds Stop waiting after this many milliseconds. Default: 0 (wait until complete)
+	 * @returns {Promise<{complete: boolean, written: number, failed: number, pending: number}>} Counts of the writes waited on
+	 */
+	static async flush(timeoutInMilliseconds = 0) {
+
+		const writes = [...this.#pendingWrites];
+		const report = { complete: true, written: 0, failed: 0, pending: 0 };
+
+		const counted = writes.map( (write) => write.then( (result) => { if ( result ) { report.written++; } else { report.failed++; } } ) );
+		const settled = Promise.all(counted).then(() => true);
+
+		let complete = true;
+
+		if ( timeoutInMilliseconds > 0 ) {
+			let timeout = null;
+			complete = await Promise.race([settled, new Promise((resolve) => { timeout = setTimeout(() => resolve(false), timeoutInMilliseconds); })]);
+			clearTimeout(timeout);
+		} else {
+			await settled;
+		}
+
+		report.complete = complete;
+		report.pending = writes.length - report.written - report.failed;
+
+		if ( !complete ) {
+			tools.DebugAndLog.warn(`CacheData.flush() timed out after ${timeoutInMilliseconds}ms with ${report.pending} writes pending`);
+		}
+
+		return report;
+	};
+
+	/**
+	 * Write the body of a record to storage apart from the record.
+	 * @param {object} item The cache record with its body
+	 * @returns {Promise<object>} The record to write. If the storage stored the body, the body is removed and info.rawBody is set, otherwise the record is unchanged
+	 */
+	static async #writeBody(item) {
+		const compression = item.data.info.compression;
+		const body = Buffer.from(item.data.body, this.#rawBodyEncoding(item));
+		const options = {
+			contentType: ( "content-type" in item.data.headers ) ? item.data.headers["content-type"] : null,
+			contentEncoding: ( typeof compression === "string" ) ? compression : null
+		};
+
+		if ( !(await this.#storage.writeBody(item.id_hash, body, options)) ) {
+			tools.DebugAndLog.debug(`Body for ${item.id_hash} was not stored apart from the record`);
+			return item;
+		}
+
+		return { ...item, data: { ...item.data, body: null, info: { ...item.data.info, rawBody: true } } };
+	};
+
+	/**
+	 * Compressed and binary bodies are base64 encoded in the record but are
+	 * stored as raw bytes when stored apart from the record.
+	 * @param {object} item The cache record
+	 * @returns {string} The encoding of the body in the record
+	 */
+	static #rawBodyEncoding(item) {
+		if ( typeof item.data.info.compression === "string" ) { return this.COMPRESSED_ENCODING; }
+		if ( item.data.info.binary === true ) { return this.BINARY_ENCODING; }
+		return this.PLAIN_ENCODING;
+	};
+
+	/**
+	 * Read the body of a record that was stored apart from the record into
+	 * memory, in the same format it would have been stored in the record.
+	 * @param {object} item The cache record with info.rawBody set
+	 * @returns {Promise<string|null>} The body, or null if it could not be read
+	 */
+	static async #readBody(item) {
+		try {
+			const chunks = [];
+			for await (const chunk of await this.#storage.readBodyStream(item.id_hash)) {
+				chunks.push(Buffer.from(chunk));
+			}
+			return Buffer.concat(chunks).toString(this.#rawBodyEncoding(item));
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData: Unable to read body for ${item.id_hash}. Ignoring cache. ${error?.message}`, error?.stack);
+			return null;
+		}
+	};
+
+	/**
+	 * Read the body of a record that was stored apart from the record as a
+	 * stream. The body is decompressed as it is read.
+	 * @param {string} idHash The id of the cached content
+	 * @param {string} compression The compression from the record info. Default: "none"
+	 * @returns {Promise<Readable>} The body
+	 */
+	static async readBodyStream(idHash, compression = CacheData.COMPRESSION_NONE) {
+		const stream = await this.#storage.readBodyStream(idHash);
+
+		if ( compression === CacheData.COMPRESSION_NONE ) {
+			return stream;
+		}
+
+		const decompress = ( compression === CacheData.COMPRESSION_BROTLI ) ? zlib.createBrotliDecompress() : zlib.createGunzip();
+		return pipeline(stream, decompress, (error) => {
+			if ( error ) { tools.DebugAndLog.error(`CacheData.readBodyStream(${idHash}) failed ${error.message}`, error.stack); }
+		});
+	};
+
+	/**
+	 * Compress a string body
+	 * @param {string} text The body to compress
+	 * @param {string} algorithm CacheData.COMPRESSION_GZIP or CacheData.COMPRESSION_BROTLI
+	 * @returns {string} The compressed body as a base64 string
+	 */
+	static _compress (text, algorithm) {
+		const buffer = Buffer.from(text, this.PLAIN_ENCODING);
+		const compressed = ( algorithm === CacheData.COMPRESSION_BROTLI ) ? zlib.brotliCompressSync(buffer) : zlib.gzipSync(buffer);
+		return compressed.toString(this.COMPRESSED_ENCODING);
+	};
+
+	/**
+	 * Decompress a body compressed by _compress()
+	 * @param {string} data The compressed body as a base64 string
+	 * @param {string} algorithm The algorithm stored in data.info.compression
+	 * @returns {string} The original body
+	 */
+	static _decompress (data, algorithm) {
+		const buffer = Buffer.from(data, this.COMPRESSED_ENCODING);
+		switch (algorithm) {
+			case CacheData.COMPRESSION_GZIP:
+				return zlib.gunzipSync(buffer).toString(this.PLAIN_ENCODING);
+			case CacheData.COMPRESSION_BROTLI:
+				return zlib.brotliDecompressSync(buffer).toString(this.PLAIN_ENCODING);
+			default:
+				throw new Error(`Unknown compression algorithm: ${algorithm}`);
+		}
+	};
+
+	/* 
+	***********************************************************************
+	Encryption Functions
+	-----------------------------------------------------------------------
+	
+	Encrypt and Decrypt data classified as private
+	
+	Even though we can set up DynamoDB to encrypt data when at rest, we
+	don't want data classified as private to be viewed or exported from the
+	AWS console
+
+	-----------------------------------------------------------------------
+	
+	Adapted from
+	https://codeforgeek.com/encrypt-and-decrypt-data-in-node-js/
+	
+	and
+	https://nodejs.org/api/crypto.html
+
+	************************************************************************
+	*/
+
+	/**
+	 * Returns the type of secureDataKey
+	 * 
+	 * @param {*} secureDataKey The key to check. Default: the current secureDataKey
+	 * @returns {string} 'buffer', 'string', 'CachedParameterSecret'
+	 */
+	static getSecureDataKeyType(secureDataKey = this.#secureDataKey) {
+		// look at type of parameters.secureDataKey as it can be a string, Buffer, or object.
+		let dataKeyType = typeof secureDataKey;
+		if ( Buffer.isBuffer(secureDataKey)) { dataKeyType = 'buffer'; }
+		if ( dataKeyType === 'object' && secureDataKey instanceof tools.CachedParameterSecret ) { dataKeyType = 'CachedParameterSecret'; }
+		return dataKeyType;
+	}
+
+	/**
+	 * The id of the current secureDataKey which is stored with data it encrypts
+	 * @returns {string}
+	 */
+	static getSecureDataKeyId() {
+		return this.#secureDataKeyId;
+	};
+
+	/**
+	 * Obtain the secureDataKey as a Buffer for encryption/decryption.
+	 *
+	 * @param {string} kid The id of the key. Default: the current secureDataKeyId
+	 * @returns {Buffer|null} The Data key as a buffer in the format specified by CacheData.CRYPT_ENCODING
+	 */
+	static getSecureDataKey(kid = this.#secureDataKeyId) {
+
+		let buff = null;
+
+		try {
+
+			let secureDataKey = null;
+
+			if ( kid === this.#secureDataKeyId ) {
+				secureDataKey = this.#secureDataKey;
+			} else if ( kid in this.#previousSecureDataKeys ) {
+				secureDataKey = this.#previousSecureDataKeys[kid];
+			} else {
+				throw new Error(`No secureDataKey with the id "${kid}" in secureDataKeyId or previousSecureDataKeys`);
+			}
+
+			// The secureDataKey can be stored several different ways
+			switch (CacheData.getSecureDataKeyType(secureDataKey)) {
+				case 'buffer':
+					buff = secureDataKey;
+					break;
+				case 'string':
+					buff = Buffer.from(secureDataKey, this.CRYPT_ENCODING);
+					break;
+				case 'CachedParameterSecret':
+					// it may be null
+					const key = secureDataKey.sync_getValue();
+					buff = ( key === null ) ? null : Buffer.from( key, this.CRYPT_ENCODING);
+					break;
+				default:
+					break;
+			}
+
+		} catch (error) {
+			tools.DebugAndLog.error(`CacheData.getSecureDataKey() failed ${error.message}`, error.stack);
+		}
+
+		return buff;
+
+	};
+
+	/**
+	 * Authenticated encryption (AEAD) algorithms produce an auth tag that is
+	 * verified on decryption so that tampering with the encrypted data is
+	 * detected. Supported: GCM modes (such as aes-256-gcm) and chacha20-poly1305
+	 * @param {string} algorithm 
+	 * @returns {boolean} Whether or not the algorithm is an AEAD algorithm
+	 */
+	static isAEAD (algorithm) {
+		return ( typeof algorithm === "string" && /(-gcm|^chacha20-poly1305)$/i.test(algorithm) );
+	};
+
+	/**
+	 * Create the cipher or decipher options for the algorithm
+	 * @param {string} algorithm 
+	 * @returns {object|undefined}
+	 */
+	static #cipherOptions (algorithm) {
+		return ( this.isAEAD(algorithm) ) ? { authTagLength: 16 } : undefined;
+	};
+
+	/**
+	 * Encrypt data using the secureDataAlgorithm and secureDataKey. The
+	 * algorithm is stored with the encrypted data. When using an AEAD
+	 * algorithm the auth tag is also stored, and the idHash is used as
+	 * associated data so the encrypted data cannot be moved to another record.
+	 * The id of the key (kid) is stored so the data can still be decrypted
+	 * after the key is rotated.
+	 * @param {string} text Data to encrypt
+	 * @param {string} idHash The id_hash of the record the data is stored in
+	 * @param {Buffer} envelopeKey A data key to use instead of the secureDataKey (envelope encryption). The kid is not stored as the data key is wrapped separately
+	 * @returns {{iv: string, encryptedData: string, algorithm: string, kid: string, tag: string}} Encrypted data (tag is only included for AEAD algorithms)
+	 */
+	static _encrypt (text, idHash = null, envelopeKey = null) {
+
+		const dataKey = ( envelopeKey !== null ) ? envelopeKey : this.getSecureDataKey();
+		const algorithm = this.#secureDataAlgorithm;
+
+		tools.DebugAndLog.debug(`Encrypting cache using ${algorithm} with secureDataKey ${this.#secureDataKeyId} [${CacheData.getSecureDataKeyType()}]  ... `);
+
+		// can't encrypt null, so we'll substitute (and in _decrypt() reverse the sub)
+		if (text === null) { text = "{{{null}}}"; }
+
+		let iv = crypto.randomBytes(crypto.getCipherInfo(algorithm)?.ivLength || 16);
+		let cipher = crypto.createCipheriv(algorithm, Buffer.from(dataKey), iv, this.#cipherOptions(algorithm));
+
+		if ( this.isAEAD(algorithm) && idHash !== null ) { cipher.setAAD(Buffer.from(idHash, this.PLAIN_ENCODING)); }
+
+		let encrypted = cipher.update(text, this.PLAIN_ENCODING, this.CRYPT_ENCODING);
+		encrypted += cipher.final(this.CRYPT_ENCODING);
+
+		let data = { iv: iv.toString(this.CRYPT_ENCODING), encryptedData: encrypted, algorithm: algorithm };
+
+		if ( envelopeKey === null ) { data.kid = this.#secureDataKeyId; }
+
+		if ( this.isAEAD(algorithm) ) { data.tag = cipher.getAuthTag().toString(this.CRYPT_ENCODING); }
+
+		return data;
+	};
+	
+	/**
+	 * Decrypt data encrypted by _encrypt(). Data encrypted before the algorithm
+	 * was stored with it is decrypted using the legacySecureDataAlgorithm,
+	 * and data encrypted before the key id was stored is decrypted using the
+	 * key with the id "default".
+	 * For AEAD algorithms the auth tag and idHash are verified and an error
+	 * is thrown if the data was altered or belongs to another record.
+	 * The algorithm stored with the data is only trusted if it is the
+	 * secureDataAlgorithm or legacySecureDataAlgorithm. Otherwise a record
+	 * encrypted with an AEAD algorithm could be relabeled as a non-AEAD
+	 * algorithm (without a tag) to get around the tamper check.
+	 * @param {{iv: string, encryptedData: string, algorithm: string, kid: string, tag: string}} data Data to decrypt
+	 * @param {string} idHash The id_hash of the record the data was read from
+	 * @param {Buffer} envelopeKey The unwrapped data key if the data was encrypted using envelope encryption
+	 * @returns {string} Decrypted data
+	 */
+	static _decrypt (data, idHash = null, envelopeKey = null) {
+		
+		const kid = ( envelopeKey !== null ) ? "envelope" : ("kid" in data) ? data.kid : "default";
+		const dataKey = ( envelopeKey !== null ) ? envelopeKey : this.getSecureDataKey(kid);
+		const algorithm = ("algorithm" in data) ? data.algorithm : this.#legacySecureDataAlgorithm;
+
+		if ( algorithm !== this.#secureDataAlgorithm && algorithm !== this.#legacySecureDataAlgorithm ) {
+			throw new Error(`Encrypted data uses ${algorithm} which is not the secureDataAlgorithm or legacySecureDataAlgorithm`);
+		}
+
+		if ( dataKey === null ) { throw new Error(`Unable to obtain secureDataKey "${kid}"`); }
+
+		tools.DebugAndLog.debug(`Decrypting cache using ${algorithm} with secureDataKey ${kid} ... `);
+
+		let plainEncoding = ("plainEncoding" in data) ? data.plainEncoding : this.PLAIN_ENCODING;
+		let cryptEncoding = ("cryptEncoding" in data) ? data.cryptEncoding : this.CRYPT_ENCODING;
+
+		let iv = Buffer.from(data.iv, cryptEncoding);
+		let decipher = crypto.createDecipheriv(algorithm, Buffer.from(dataKey), iv, this.#cipherOptions(algorithm));
+
+		if ( this.isAEAD(algorithm) ) {
+			if ( !("tag" in data) ) { throw new Error(`Encrypted data is missing the auth tag required by ${algorithm}`); }
+			decipher.setAuthTag(Buffer.from(data.tag, cryptEncoding));
+			if ( idHash !== null ) { decipher.setAAD(Buffer.from(idHash, this.PLAIN_ENCODING)); }
+		}
+
+		let decrypted = decipher.update(data.encryptedData, cryptEncoding, plainEncoding);
+		decrypted += decipher.final(plainEncoding); // for AEAD algorithms this throws if the auth tag does not verify
+
+		// reverse the substitute for null that _encrypt() used
+		if ( decrypted === "{{{null}}}") { decrypted = null; }
+
+		return decrypted;
+	};
+
+	// utility functions
+	/**
+	 * Generate an eTag hash
+	 * 
+	 * This is very basic as there is no specification for doing this.
+	 * All an eTag needs to be is a unique hash for a particular request.
+	 * We already have a unique ID for the request, so it's not like we
+	 * need to make sure the content matches (or does not match) any content
+	 * throughout the rest of the world. We are just doing a quick check
+	 * at this exact endpoint. So we pair the idHash (this exact endpoint)
+	 * with it's content.
+	 * @param {string} idHash The id of the endpoint
+	 * @param {string} content The string to generate an eTag for
+	 * @returns {string} 10 character ETag hash
+	 */
+	static generateEtag (idHash, content) {
+		const hasher = crypto.createHash('sha1');
+		if ( Buffer.isBuffer(content) ) {
+			hasher.update(idHash);
+			hasher.update(content);
+		} else {
+			hasher.update(idHash+content);
+		}
+		return hasher.digest('hex').slice(0, 10); // we'll only take 10 characters
+		// again, we aren't comparing the hash to the rest of the world
+	};
+
+	/**
+	 * Generate an internet formatted date such as those used in headers.
+	 * 
+	 * Example: "Wed, 28 Jul 2021 12:24:11 GMT"
+	 * 
+	 * The timestamp passed is expected to be in seconds. If it is in
+	 * milliseconds then inMilliSeconds parameter needs to be set to
+	 * true.
+	 * @param {number} timestamp If in milliseconds, inMilliseconds parameter MUST be set to true
+	 * @param {boolean} inMilliSeconds Set to true if timestamp passed is in milliseconds. Default is false
+	 * @returns {string} An internet formatted date such as Wed, 28 Jul 2021 12:24:11 GMT
+	 */
+	static generateInternetFormattedDate (timestamp, inMilliSeconds = false) {
+
+		if ( !inMilliSeconds ) {
+			timestamp = CacheData.convertTimestampFromSecondsToMilli(timestamp);
+		}
+
+		return new Date(timestamp).toUTCString();
+	};
+
+	/**
+	 * Returns an object with lowercase keys. Note that if after
+	 * lowercasing the keys there is a collision one will be
+	 * over-written.
+	 * Can be used for headers, response, or more.
+	 * @param {Object} objectWithKeys 
+	 * @returns {Object} Same object but with lowercase keys
+	 */
+	static lowerCaseKeys (objectWithKeys) {
+		let objectWithLowerCaseKeys = {};
+		if ( objectWithKeys !== null ) {
+			let keys = Object.keys(objectWithKeys); 
+			// move each value from objectWithKeys to objectWithLowerCaseKeys
+			keys.forEach( function( k ) { 
+				objectWithLowerCaseKeys[k.toLowerCase()] = objectWithKeys[k]; 
+			});            
+		}
+		return objectWithLowerCaseKeys;
+	}
+
+	/**
+	 * Calculate the number of Kilobytes in memory a String takes up.
+	 * This function first calculates the number of bytes in the String using
+	 * Buffer.byteLength() and then converts it to KB = (bytes / 1024)
+	 * @param {string} aString A string to calculate on
+	 * @param {string} encode What character encoding should be used? Default is "utf8"
+	 * @returns {number} String size in estimated KB
+	 */
+	static calculateKBytes ( aString, encode = CacheData.PLAIN_ENCODING ) {
+		let kbytes = 0;		
+	
+		if ( aString !== null ) {
+			//https://www.jacklmoore.com/notes/rounding-in-javascript/
+
+			kbytes = Number(Math.round((Buffer.byteLength(aString, encode) / 1024)+'e3')+'e-3');  ; // size in KB (rounded to 3 decimals)
+			// 3 decimals is good as 1 byte = .0009KB (rounded to .001) and 5bytes = .0048KB (rounded to .005)
+			// Otherwise .0009KB would be rounded to .00 and .0048 rounded to .00			
+		}
+
+		return kbytes;
+	};
+
+	/**
+	 * We can set times and expirations on intervals, such as every
+	 * 15 seconds (mm:00, mm:15, mm:30, mm:45), every half hour 
+	 * (hh:00:00, hh:30:00), every hour (T00:00:00, T01:00:00), etc.
+	 * In some cases such as every 2 hours, the interval is calculated
+	 * from midnight in the timezone specified in timeZoneForInterval 
+	 * Spans of days (such as every two days (48 hours) or every three
+	 * days (72 hours) are calculated from midnight of the UNIX epoch
+	 * (January 1, 1970).
+	 * 
+	 * When a timezone is set in timeZoneForInterval, then there is
+	 * a slight adjustment made so that the interval lines up with
+	 * midnight of the "local" time. For example, if an organization
+	 * is primarily located in the Central Time Zone (or their 
+	 * nightly batch jobs occur at GMT-05:00) then timeZoneForInterval
+	 * may be set to "America/Chicago" so that midnight in 
+	 * "America/Chicago" may be used for calculations. That keeps
+	 * every 4 hours on hours 00, 04, 08, 12, 16, etc.
+	 * @param {number} intervalInSeconds 
+	 * @param {number} timestampInSeconds 
+	 * @returns {number} Next interval in seconds
+	 */
+	static nextIntervalInSeconds(intervalInSeconds, timestampInSeconds = 0 ) {
+
+		// if no timestamp given, the default timestamp is now()
+		if ( timestampInSeconds === 0 ) {
+			timestampInSeconds = CacheData.convertTimestampFromMilliToSeconds(Date.now());
+		}
+
+		/* We do an offset conversion by adjusting the timestamp to a "local"
+		time. This is purely for calculations and is not used as a "date".
+		*/
+
+		// Add in offset so we can calculate from midnight local time
+		let offset = (CacheData.getOffsetInMinutes() * 60 ); // convert to seconds
+		timestampInSeconds += offset;
+
+		// convert the seconds into a date
+		let date = new Date( CacheData.convertTimestampFromSecondsToMilli(timestampInSeconds) );
+
+		// https://stackoverflow.com/questions/10789384/round-a-date-to-the-nearest-5-minutes-in-javascript
+		let coeff = CacheData.convertTimestampFromSecondsToMilli(intervalInSeconds);
+		let rounded = new Date(Math.ceil(date.getTime() / coeff) * coeff);
+		let nextInSeconds = CacheData.convertTimestampFromMilliToSeconds(rounded.getTime());
+
+		// revert the offset so we are looking at UTC
+		nextInSeconds -= offset;
+
+		return nextInSeconds;
+	};
+
+	/**
+	 * If no parameter is passed, Date.now() is used.
+	 * @param {number} timestampInMillseconds The timestamp in milliseconds to convert to seconds
+	 * @returns {number} The timestamp in seconds
+	 */
+	static convertTimestampFromMilliToSeconds (timestampInMillseconds = 0) {
+		if (timestampInMillseconds === 0) { timestampInMillseconds = Date.now().getTime(); }
+		return Math.ceil(timestampInMillseconds / 1000);
+	};
+
+	/**
+	 * If no parameter is passed, Date.now() is used.
+	 * @param {number} timestampInSeconds 
+	 * @returns {number} Timestamp in milliseconds
+	 */
+	static convertTimestampFromSecondsToMilli (timestampInSeconds = 0) {
+		let timestampInMilli = 0;
+
+		if (timestampInSeconds === 0) { 
+			timestampInMilli = Date.now().getTime(); 
+		} else {
+			timestampInMilli = timestampInSeconds * 1000;
+		}
+
+		return timestampInMilli;
+	};
+
+};
+
+
+
+
+/**
+ * The Cache object handles reads and writes from the cache. 
+ * It also acts as a proxy between the app and CacheData which is a private class.
+ * This is the actual data object our application can work with and is returned
+ * from CachableDataAccess.
+ * 
+ * Before using it must be initialized
+ * 
+ * Cache.init({parameters});
+ * 
+ * Then you can create new objects:
+ * 
+ * const cacheObject = new Cache({id}, {parameters});
+ */
+class Cache {
+
+	static PUBLIC = CacheData.PUBLIC;
+	static PRIVATE = CacheData.PRIVATE;
+
+	static CRYPT_ENCODING = CacheData.CRYPT_ENCODING;
+	static PLAIN_ENCODING = CacheData.PLAIN_ENCODING;
+
+	static STATUS_NO_CACHE = "original";
+	static STATUS_EXPIRED = "original:cache-expired";
+	static STATUS_CACHE_SAME = "cache:original-same-as-cache";
+	static STATUS_CACHE = "cache";
+	static STATUS_CACHE_ERROR = "error:cache"
+	static STATUS_ORIGINAL_NOT_MODIFIED = "cache:original-not-modified";
+	static STATUS_ORIGINAL_ERROR = "error:original";
+	static STATUS_FORCED = "original:cache-update-forced";
+	static STATUS_STALE_REVALIDATING = "cache:stale-revalidating";
+	static STATUS_REFRESH_IN_PROGRESS = "cache:refresh-in-progress";
+	static STATUS_WRITE_ERROR = "error:cache-write";
+	static STATUS_CIRCUIT_OPEN = "cache:circuit-open";
+	static STATUS_CIRCUIT_OPEN_ERROR = "error:circuit-open";
+
+	// headers always removed from the idHash by the stripAuthentication rule
+	static ID_HASH_AUTHENTICATION_HEADERS = ["authorization", "proxy-authorization", "cookie", "x-api-key"];
+
+	static #idHashAlgorithm = null;
+	static #useToolsHash = false;
+	static #cacheNamespace = null;
+	static #cacheVersion = null;
+
+	#syncedNowTimestampInSeconds = 0; // consistent time base for calculations
+	#syncedLaterTimestampInSeconds = 0; // default expiration if not adjusted
+	#idHash = "";
+	#status = null;
+	#errorCode = 0;
+	#store = null;
+	#write = null;
+
+	#overrideOriginHeaderExpiration = false;
+	#defaultExpirationInSeconds = 60;
+	#defaultExpirationExtensionOnErrorInSeconds = 3600;
+	#expirationIsOnInterval = false;
+	#staleWhileRevalidateInSeconds = 0;
+	#refreshLockInSeconds = 0;
+	#refreshLockWaitInMilliseconds = 1000;
+	#headersToRetain = [];
+	#tags = [];
+	#streamBody = false;
+	#profileCacheNamespace = null;
+	#profileCacheVersion = null;
+	#negativeCacheExpirationInSeconds = {};
+	#vary = [];
+	#idHashRules = null;
+	#preparedIdObject = null;
+	#circuitBreaker = null;
+
+	#hostId = "notset";
+	#pathId = "notset";
+	#encrypt = true;
+
+	/**
+	 * Create a new Cache object
+	 * @param {object} connection An object that contains data location and connection details. Typically a connection object. It may be of any format with any keys as long as they can uniquely identify this cashed object from others
+	 * @param {object} cacheProfile An object with some or all of the available parameter settings listed above.
+	 * @param {boolean} cacheProfile.overrideOriginHeaderExpiration Will we ignore and replace the expires header from origin or will we create our own? Defalue: false
+	 * @param {number} cacheProfile.defaultExpirationInSeconds In seconds, how long is the default expiration? Default: 60 (60 seconds)
+	 * @param {number} cacheProfile.defaultExpirationExtensionOnErrorInSeconds In seconds, if there is an error, how long until the error expires from cache? Default: 3600 (5 minutes)
+	 * @param {boolean} cacheProfile.expirationIsOnInterval Does the cache expires timer reset on first request, or is the expires set to the clock? (ex. every 10 seconds, every hour, etc) Default: false
+	 * @param {Array|string} cacheProfile.headersToRetain Array or comma deliminated string of header keys to keep from the original source to cache and pass to client. Note that there are certain headers such as content type that are always retained. Default: [] (none)
+	 * @param {string} cacheProfile.hostId Used for logging. Does not need to be a valid internet host. Any identifier is valid. Default: "notset"
+	 * @param {string} cacheProfile.pathId Used for logging. Does not need to be a valid internet path. Should not contain sensitive information. For example, /record/user/488322 should just be /record/user/ to denote a user record was accessed. Default: "notset"
+	 * @param {boolean} cacheProfile.encrypt When at rest is the data encrypted? This also corresponds to "public" (encrypted: false) or "private" (encrypted: true) in the cache-control header. Default: true
+	 * @param {number} cacheProfile.staleWhileRevalidateSeconds In seconds, how long after expiration may the cached data be returned while it is refreshed in the background? Default: 0 (disabled)
+	 * @param {number} cacheProfile.refreshLockSeconds In seconds, how long a refresh lock is held so only one instance calls the origin when the cache expires. Default: 0 (disabled)
+	 * @param {number} cacheProfile.refreshLockWaitMilliseconds When there is no cached data to serve and another instance holds the refresh lock, how long to wait for it to write the cache before calling the origin anyway. Default: 1000
+	 * @param {Array|string} cacheProfile.tags Array or comma deliminated string of tags (such as "catalog") stored with the cached data so that it can be purged in bulk using Cache.purge(). Default: [] (none)
+	 * @param {boolean} cacheProfile.streamBody When unexpired cached data has a body stored apart from the record (see rawBodyThreshold_kb in Cache.init()) do not load the body. Use getBodyStream() to read it. Default: false
+	 * @param {string} cacheProfile.cacheNamespace Used in place of the cacheNamespace set in Cache.init() when generating the idHash. Default: null (use Cache.init())
+	 * @param {string|number} cacheProfile.cacheVersion Used in place of the cacheVersion set in Cache.init() when generating the idHash. Change it to stop using all data cached using this profile. Default: null (use Cache.init())
+	 * @param {Object} cacheProfile.negativeCacheExpirationInSeconds In seconds, how long to cache responses from the original source with these (non-success) status codes, such as { 404: 60, 410: 3600 }. Other non-success responses are not cached. Default: {} (none)
+	 * @param {Array|string} cacheProfile.vary Array or comma deliminated string of client request header keys (such as accept-language) whose values are used by CacheableDataAccess.getData() to generate the idHash. They are also added to the vary header of the cached data. Default: [] (none)
+	 * @param {Object} cacheProfile.idHashRules Rules applied to the connection and data before generating the idHash such as { ignoreParameters: ["cb"], sortArrays: true }. See Cache.parseIdHashRules(). Default: null (none)
+	 * @param {Object} cacheProfile.circuitBreaker Stop calling the original source after repeated failures such as { failureThreshold: 5, windowInSeconds: 60, openInSeconds: 30, scope: "host", shared: false }. See CacheableDataAccess.getData(). Default: null (disabled)
+	 */
+	constructor(connection, cacheProfile = null) {
+
+		// set cacheProfile first - these come from files and fields, so we need to cast them
+		if (cacheProfile !== null) {
+
+			// There is some documentation and template code that uses different names for these cacheProfile - offda - sorry - chadkluck 2023-08-04
+			// https://github.com/chadkluck/npm-chadkluck-cache-data/issues/71
+			if ( "expiresIsOnInterval" in cacheProfile ) { this.#expirationIsOnInterval = Cache.bool(cacheProfile.expiresIsOnInterval); } // we'll accept this for backwards compatibility - chadkluck 2023-08-05
+			if ( "expirationIsOnInterval" in cacheProfile ) { this.#expirationIsOnInterval = Cache.bool(cacheProfile.expirationIsOnInterval); }
+
+			if ( "defaultExpiresInSeconds" in cacheProfile ) { this.#defaultExpirationInSeconds = parseInt(cacheProfile.defaultExpiresInSeconds, 10); } // we'll accept this for backwards compatibility - chadkluck 2023-08-05
+			if ( "defaultExpirationInSeconds" in cacheProfile ) { this.#defaultExpirationInSeconds = parseInt(cacheProfile.defaultExpirationInSeconds, 10); }
+
+			// Host and Path can be confusing as these aren't actually used in the cache, but are used for logging - chadkluck 2023-08-05
+			if ( "host" in cacheProfile ) { this.#hostId = cacheProfile.host; } // we'll accept host for backwards compatibility - chadkluck 2023-08-05
+			if ( "hostId" in cacheProfile ) { this.#hostId = cacheProfile.hostId; } // changed from host to hostId chadkluck 2023-08-05
+			if ( "path" in cacheProfile ) { this.#pathId = cacheProfile.path; } // we'll accept path for backwards compatibility - chadkluck 2023-08-05
+			if ( "pathId" in cacheProfile ) { this.#pathId = cacheProfile.pathId; } // changed from path to pathId chadkluck 2023-08-05
+
+			// Documentation uses a better term of Override rather than ignore - chadkluck 2023-08-05
+			if ( "ignoreOriginHeaderExpires" in cacheProfile ) { this.#overrideOriginHeaderExpiration = Cache.bool(cacheProfile.ignoreOriginHeaderExpires); } // we'll accept this for backwards compatibility - chadkluck 2023-08-05
+			if ( "ignoreOriginHeaderExpiration" in cacheProfile ) { this.#overrideOriginHeaderExpiration = Cache.bool(cacheProfile.ignoreOriginHeaderExpiration); } // we'll accept this for backwards compatibility - chadkluck 2023-08-05
+			if ( "overrideOriginHeaderExpiration" in cacheProfile ) { this.#overrideOriginHeaderExpiration = Cache.bool(cacheProfile.overrideOriginHeaderExpiration); }
+			
+			// We are using expiration rather than expires - chadkluck 2023-08-05
+			if ( "defaultExpiresExtensionOnErrorInSeconds" in cacheProfile ) { this.#defaultExpirationExtensionOnErrorInSeconds = parseInt(cacheProfile.defaultExpiresExtensionOnErrorInSeconds, 10); }
+			if ( "defaultExpirationExtensionOnErrorInSeconds" in cacheProfile ) { this.#defaultExpirationExtensionOnErrorInSeconds = parseInt(cacheProfile.defaultExpirationExtensionOnErrorInSeconds, 10); }
+
+			// set cacheProfile using the accepted property names
+			if ( "headersToRetain" in cacheProfile ) { this.#headersToRetain = this.#parseHeadersToRetain(cacheProfile.headersToRetain); }
+			if ( "encrypt" in cacheProfile ) { this.#encrypt = Cache.bool(cacheProfile.encrypt); }
+			if ( "staleWhileRevalidateSeconds" in cacheProfile ) { this.#staleWhileRevalidateInSeconds = parseInt(cacheProfile.staleWhileRevalidateSeconds, 10) || 0; }
+			if ( "refreshLockSeconds" in cacheProfile ) { this.#refreshLockInSeconds = parseInt(cacheProfile.refreshLockSeconds, 10) || 0; }
+			if ( "tags" in cacheProfile ) { this.#tags = Cache.convertToLowerCaseArray(cacheProfile.tags).map( (t) => t.trim() ).filter( (t) => t !== "" ); }
+			if ( "refreshLockWaitMilliseconds" in cacheProfile ) { this.#refreshLockWaitInMilliseconds = parseInt(cacheProfile.refreshLockWaitMilliseconds, 10) || 0; }
+			if ( "streamBody" in cacheProfile ) { this.#streamBody = Cache.bool(cacheProfile.streamBody); }
+			if ( "cacheNamespace" in cacheProfile ) { this.#profileCacheNamespace = Cache.#scopeValue(cacheProfile.cacheNamespace); }
+			if ( "cacheVersion" in cacheProfile ) { this.#profileCacheVersion = Cache.#scopeValue(cacheProfile.cacheVersion); }
+			if ( "vary" in cacheProfile ) { this.#vary = Cache.parseVary(cacheProfile.vary); }
+			if ( "negativeCacheExpirationInSeconds" in cacheProfile ) { this.#negativeCacheExpirationInSeconds = Cache.#parseNegativeCacheExpiration(cacheProfile.negativeCacheExpirationInSeconds); }
+			if ( "idHashRules" in cacheProfile ) { this.#idHashRules = Cache.parseIdHashRules(cacheProfile.idHashRules); }
+			if ( "circuitBreaker" in cacheProfile ) { this.#circuitBreaker = CircuitBreaker.parseOptions(cacheProfile.circuitBreaker); }
+
+		}
+		
+		// now set cache info
+		this.#preparedIdObject = Cache.#prepareIdObject(connection, this.#idHashScope());
+		this.#idHash = Cache.#hashIdObject(this.#preparedIdObject);
+		this.#syncedNowTimestampInSeconds = CacheData.convertTimestampFromMilliToSeconds(Date.now());
+		this.#syncedLaterTimestampInSeconds = this.#syncedNowTimestampInSeconds + this.#defaultExpirationInSeconds; // now + default cache time
+
+	};
+
+	/**
+	 * Initialize all data common to all Cache objects. 
+	 * Needs to be used at the application boot, 
+	 * NOT per request or after new Cache().
+	 * Environment variables can be used to set the S3 bucket, DynamoDb location, etc.
+	 * Use Cache.info() to check init values.
+	 * 
+	 * Sample param object:
+	 * @example
+	 * cache.Cache.init({
+	 *		dynamoDbTable: process.env.CACHE_DATA_DYNAMO_DB_TABLE,
+	 *		s3Bucket: process.env.CACHE_DATA_S3_BUCKET,
+	 *		secureDataAlgorithm: process.env.CACHE_DATA_SECURE_DATA_ALGORITHM,
+	 *		secureDataKey: Buffer.from(params.app.crypt_secureDataKey, cache.Cache.CRYPT_ENCODING),
+	 *		idHashAlgorithm: process.env.CACHE_DATA_ID_HASH_ALGORITHM, // sha1, sha256, sha512, etc.
+	 *		DynamoDbMaxCacheSize_kb: parseInt(process.env.CACHE_DATA_DYNAMO_DB_MAX_CACHE_SIZE_KB, 10),
+	 *		purgeExpiredCacheEntriesAfterXHours: parseInt(process.env.CACHE_DATA_PURGE_EXPIRED_CACHE_ENTRIES_AFTER_X_HRS, 10),
+	 * 		timeZoneForInterval: process.env.CACHE_DATA_TIME_ZONE_FOR_INTERVAL // if caching on interval, we need a timezone to account for calculating hours, days, and weeks. List: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
+	 *	});
+	 * 
+	 * For local development and tests the cache may be stored in memory or in
+	 * a local directory instead of DynamoDb and S3:
+	 * @example
+	 * cache.Cache.init({ ...parameters, storage: "memory" });
+	 * cache.Cache.init({ ...parameters, storage: "filesystem", storageDirectory: "/tmp/my-app-cache" });
+	 * 
+	 * @param {Object} parameters
+	 * @param {string} parameters.dynamoDbTable
+	 * @param {string} parameters.s3Bucket
+	 * @param {string} parameters.secureDataAlgorithm Use an authenticated (AEAD) algorithm such as aes-256-gcm or chacha20-poly1305 to detect tampering
+	 * @param {string} parameters.legacySecureDataAlgorithm When changing secureDataAlgorithm, set to the previous algorithm so records encrypted before upgrading can still be decrypted. Default: secureDataAlgorithm
+	 * @param {string} parameters.secureDataKey
+	 * @param {string} parameters.secureDataKeyId An id for secureDataKey that is stored with the data it encrypts. Change it along with secureDataKey when rotating keys. Default: "default"
+	 * @param {Object} parameters.previousSecureDataKeys Previous keys by id, such as { "default": oldKey }, used to decrypt data encrypted before the key was rotated
+	 * @param {boolean} parameters.reEncryptOnRead When data encrypted with a previous key (or legacySecureDataAlgorithm) is read, re-encrypt it using the current key. Default: false
+	 * @param {boolean} parameters.envelopeEncryption Encrypt each private record using its own random data key which is wrapped by the keyWrapProvider and stored with the record. Default: false
+	 * @param {KeyWrapProvider} parameters.keyWrapProvider Wraps data keys for envelope encryption, such as KmsKeyWrapProvider. Default: LocalKeyWrapProvider which uses secureDataKey
+	 * @param {number} parameters.DynamoDbMaxCacheSize_kb
+	 * @param {number} parameters.purgeExpiredCacheEntriesAfterXHours
+	 * @param {string} parameters.timeZoneForInterval
+	 * @param {string|CacheStorage} parameters.storage "dynamodb" (default, uses dynamoDbTable and s3Bucket), "memory", "filesystem", or an instance of a class extending CacheStorage
+	 * @param {string} parameters.storageDirectory Directory used when storage is "filesystem". Default: cache-data directory in the OS temp directory
+	 * @param {string} parameters.dynamoDbPurgeIndex Name of a global secondary index on host_id (partition key) and path_id (sort key) so that Cache.purge() by hostId can query rather than scan the table. Default: null
+	 * @param {number} parameters.memoryCacheMaxEntries Keep up to this many unexpired records in memory so warm containers can skip the round trip to storage. Default: 0 (disabled)
+	 * @param {number} parameters.memoryCacheMaxBytes Maximum size of the in-memory cache in bytes. Default: 10485760 (10MB)
+	 * @param {number} parameters.memoryCacheMaxAgeInSeconds Read a record from storage again after it has been in memory this long, even if it has not expired. Invalidate, expire, and purge only clear the in-memory cache of the instance that called them, so this limits how long other warm instances serve the old data. 0 keeps records until they expire. Default: 60
+	 * @param {boolean|Object} parameters.metrics Emit hit, miss, and latency metrics in CloudWatch Embedded Metric Format. true, or { namespace: "CacheData", dimensions: [["hostId", "pathId"]], dimensionValues: {} }. Default: false
+	 * @param {Object} parameters.retry Retry calls to DynamoDb and S3 that were throttled or had a service error. { maxAttempts: 3, baseDelayInMilliseconds: 50, maxDelayInMilliseconds: 1000, jitter: "full" } with optional dynamoDb and s3 objects to use different settings for each. Default: the values shown
+	 * @param {string} parameters.compression Compress bodies using "gzip" or "br" (brotli) before they are encrypted and stored so more records fit in DynamoDb. Default: "none"
+	 * @param {number} parameters.compressionThreshold_kb Bodies smaller than this are not compressed. Default: 1
+	 * @param {number} parameters.rawBodyThreshold_kb Store public bodies of at least this size (after compression) as their own object in S3 rather than in the JSON record, so they can be read as a stream. Default: 0 (disabled)
+	 * @param {string} parameters.cacheNamespace Mixed into every idHash so applications sharing a table and bucket do not share cached data. Default: null
+	 * @param {string|number} parameters.cacheVersion Mixed into every idHash. Change it (such as when the format of cached data changes) to stop using everything cached before without touching storage. Default: null
+	 */
+	static init(parameters) {
+		if ( "idHashAlgorithm" in parameters ) { this.#idHashAlgorithm = parameters.idHashAlgorithm; } else { tools.DebugAndLog.error("parameters.idHashAlgorithm not set in Cache.init()")};
+		if ("useToolsHash" in parameters ) { this.#useToolsHash = Boolean(parameters.useToolsHash); }
+		if ("cacheNamespace" in parameters ) { this.#cacheNamespace = this.#scopeValue(parameters.cacheNamespace); }
+		if ("cacheVersion" in parameters ) { this.#cacheVersion = this.#scopeValue(parameters.cacheVersion); }
+		
+		CacheData.init(parameters);
+	};
+
+	/**
+	 * Returns all the common information such as hash algorithm, s3 bucket, 
+	 * dynamo db location, etc.
+	 * @returns {{
+	 * 		idHashAlgorithm: string,
+	 * 		cacheNamespace: string,
+	 * 		cacheVersion: string,
+	 * 		dynamoDbTable: string, 
+	 * 		s3Bucket: string,
+	 * 		secureDataAlgorithm: string,
+	 * 		secureDataKey: string,
+	 * 		DynamoDbMaxCacheSize_kb: number,
+	 * 		purgeExpiredCacheEntriesAfterXHours: number,
+	 * 		timeZoneForInterval: string,
+	 * 		offsetInMinutes: number,
+	 * 		storage: object,
+	 * 		memoryCache: object,
+	 * 		metrics: object
+	 * }}
+	 */
+	static info() {
+		return Object.assign({ idHashAlgorithm: this.#idHashAlgorithm, cacheNamespace: this.#cacheNamespace, cacheVersion: this.#cacheVersion }, CacheData.info()); // merge into 1 object and return
+	};
+
+	/**
+	 * Namespaces and versions are compared as strings so 2 and "2" are the same
+	 * @param {string|number} value 
+	 * @returns {string|null} null if not set
+	 */
+	static #scopeValue(value) {
+		return ( value === null || typeof value === "undefined" || String(value).trim() === "" ) ? null : String(value).trim();
+	};
+
+	/**
+	 * The cacheNamespace and cacheVersion mixed into the idHash. Values from
+	 * the cache profile are used in place of those set in Cache.init()
+	 * @param {{cacheNamespace: string, cacheVersion: string}} profileScope Values from the cache profile
+	 * @returns {{cacheNamespace: string, cacheVersion: string}|null} null if neither is set
+	 */
+	static getIdHashScope({ cacheNamespace = null, cacheVersion = null } = {}) {
+		const scope = {
+			cacheNamespace: ( this.#scopeValue(cacheNamespace) !== null ) ? this.#scopeValue(cacheNamespace) : this.#cacheNamespace,
+			cacheVersion: ( this.#scopeValue(cacheVersion) !== null ) ? this.#scopeValue(cacheVersion) : this.#cacheVersion
+		};
+		return ( scope.cacheNamespace === null && scope.cacheVersion === null ) ? null : scope;
+	};
+
+	/**
+	 * Remove cached data so the next request goes to the original source.
+	 * Both the record and any S3 object it points to are deleted. Other warm
+	 * instances may serve it from their in-memory cache for up to
+	 * memoryCacheMaxAgeInSeconds.
+	 * To invalidate using the same cachePolicy, connection, and data passed to
+	 * CacheableDataAccess.getData() use CacheableDataAccess.invalidate()
+	 * @param {string} idHash The id of the cached data (see getIdHash())
+	 * @returns {Promise<boolean>} Whether or not the cached data was removed
+	 */
+	static async invalidate(idHash) {
+		return CacheData.invalidate(idHash);
+	};
+
+	/**
+	 * Expire cached data now, but keep it so it may still be used as a
+	 * fallback if the original source is in error or not modified. Other warm
+	 * instances may serve it from their in-memory cache for up to
+	 * memoryCacheMaxAgeInSeconds.
+	 * To expire using the same cachePolicy, connection, and data passed to
+	 * CacheableDataAccess.getData() use CacheableDataAccess.expire()
+	 * @param {string} idHash The id of the cached data (see getIdHash())
+	 * @returns {Promise<boolean>} Whether or not the cached data existed and was expired
+	 */
+	static async expire(idHash) {
+		return CacheData.expire(idHash);
+	};
+
+	/**
+	 * Remove all cached data for a hostId, pathId, and/or tag (as set in the
+	 * cache profile) so the next requests go to the original source. Use
+	 * after the original source has made corrections to its data. Other warm
+	 * instances may serve purged data from their in-memory cache for up to
+	 * memoryCacheMaxAgeInSeconds.
+	 * 
+	 * @example
+	 * await cache.Cache.purge({ hostId: "api.example.com" }); // everything from a host
+	 * await cache.Cache.purge({ hostId: "api.example.com", pathId: "/games/" }); // a path on a host
+	 * await cache.Cache.purge({ tag: "catalog" }); // everything tagged catalog
+	 * 
+	 * @param {{hostId: string, pathId: string, tag: string}} filter Cached data must match every property given. At least one is required
+	 * @returns {Promise<{matched: number, purged: number, failed: number}>} Counts of cached records found, removed, and that could not be removed
+	 */
+	static async purge(filter) {
+		return CacheData.purge(filter);
+	};
+
+	/**
+	 * Wait for pending writes to storage to complete. Writes are not waited
+	 * on when cached data is updated so the response is not delayed, but
+	 * Lambda freezes the execution environment once the handler returns
+	 * and writes that have not completed may be lost. Use
+	 * CacheableDataAccess.flush() to also wait for background refreshes.
+	 * 
+	 * @example
+	 * const report = await cache.Cache.flush(2000);
+	 * 
+	 * @param {number} timeoutInMilliseconds Stop waiting after this many milliseconds. Default: 0 (wait until complete)
+	 * @returns {Promise<{complete: boolean, written: number, failed: number, pending: number}>} Counts of the writes waited on. complete is false if the timeout was reached first
+	 */
+	static async flush(timeoutInMilliseconds = 0) {
+		return CacheData.flush(timeoutInMilliseconds);
+	};
+
+	/**
+	 * Remove cached data left behind in storage. For the default DynamoDb
+	 * and S3 storage, S3 objects no longer referenced by a live DynamoDb
+	 * record (such as when the record expired or was overwritten by one
+	 * small enough to stay in DynamoDb) and records past their purge_ts the
+	 * DynamoDb TTL has not removed yet. Only data last written more than
+	 * purgeExpiredCacheEntriesAfterXHours ago is removed.
+	 * 
+	 * @example
+	 * const report = await cache.Cache.collectGarbage({ dryRun: true });
+	 * 
+	 * @param {Object} options
+	 * @param {boolean} options.dryRun Count (and log at debug) what would be removed without removing it. Default: false
+	 * @param {number} options.timeBudgetInMilliseconds Stop after this many milliseconds. The report has complete set to false. Default: 0 (no limit)
+	 * @returns {Promise<{dryRun: boolean, complete: boolean, checkedObjects: number, orphanedObjects: number, deletedObjects: number, expiredItems: number, deletedItems: number, orphanedBytes: number, reclaimedBytes: number, failed: number, elapsed: number}>} Counts and bytes found and reclaimed
+	 */
+	static async collectGarbage(options = {}) {
+		return CacheData.collectGarbage(options);
+	};
+
+	/**
+	 * Create a Lambda handler that runs collectGarbage(), such as for an
+	 * EventBridge scheduled event. The time budget is limited to the time
+	 * remaining in the invocation. If the event has dryRun set it overrides
+	 * the option.
+	 * 
+	 * @example
+	 * // a Lambda function scheduled to run daily
+	 * exports.handler = cache.Cache.collectGarbageHandler({ dryRun: false });
+	 * 
+	 * @param {Object} options The options for collectGarbage() along with:
+	 * @param {number} options.reserveMilliseconds Time to leave in the invocation after collecting. Default: 500
+	 * @returns {Function} async (event, context) => report from collectGarbage()
+	 */
+	static collectGarbageHandler(options = {}) {
+
+		return async (event = {}, context = null) => {
+
+			const { reserveMilliseconds = 500, ...gcOptions } = options;
+
+			if ( typeof event?.dryRun === "boolean" ) { gcOptions.dryRun = event.dryRun; }
+
+			if ( typeof context?.getRemainingTimeInMillis === "function" ) {
+				const remaining = Math.max(1, context.getRemainingTimeInMillis() - reserveMilliseconds);
+				const budget = parseInt(gcOptions.timeBudgetInMilliseconds, 10) || 0;
+				gcOptions.timeBudgetInMilliseconds = ( budget > 0 ) ? Math.min(budget, remaining) : remaining;
+			}
+
+			return this.collectGarbage(gcOptions);
+		};
+	};
+
+	/**
+	 * 
+	 * @returns {object} Test data of nextIntervalInSeconds method
+	 */
+	static testInterval () {
+		let ts = CacheData.convertTimestampFromMilliToSeconds(Date.now());
+		return { 
+			"info": Cache.info(),
+			"tests": {
+				"start":  (new Date( CacheData.convertTimestampFromSecondsToMilli(ts))),
+				"sec_15": (new Date(Cache.nextIntervalInSeconds(15, ts)*1000)),
+				"sec_30": (new Date(Cache.nextIntervalInSeconds(30, ts)*1000)),
+				"sec_60": (new Date(Cache.nextIntervalInSeconds(60, ts)*1000)),
+				"min_05": (new Date(Cache.nextIntervalInSeconds(5*60, ts)*1000)),
+				"min_10": (new Date(Cache.nextIntervalInSeconds(10*60, ts)*1000)),
+				"min_15": (new Date(Cache.nextIntervalInSeconds(15*60, ts)*1000)),
+				"min_30": (new Date(Cache.nextIntervalInSeconds(30*60, ts)*1000)),
+				"min_60": (new Date(Cache.nextIntervalInSeconds(60*60, ts)*1000)),
+				"hrs_02": (new Date(Cache.nextIntervalInSeconds(2*60*60, ts)*1000)),
+				"hrs_03": (new Date(Cache.nextIntervalInSeconds(3*60*60, ts)*1000)),
+				"hrs_04": (new Date(Cache.nextIntervalInSeconds(4*60*60, ts)*1000)),
+				"hrs_05": (new Date(Cache.nextIntervalInSeconds(5*60*60, ts)*1000)),
+				"hrs_06": (new Date(Cache.nextIntervalInSeconds(6*60*60, ts)*1000)),
+				"hrs_08": (new Date(Cache.nextIntervalInSeconds(8*60*60, ts)*1000)),
+				"hrs_12": (new Date(Cache.nextIntervalInSeconds(12*60*60, ts)*1000)),
+				"hrs_24": (new Date(Cache.nextIntervalInSeconds(24*60*60, ts)*1000)),
+				"hrs_48": (new Date(Cache.nextIntervalInSeconds(48*60*60, ts)*1000)),
+				"hrs_72": (new Date(Cache.nextIntervalInSeconds(72*60*60, ts)*1000)),
+				"hrs_96": (new Date(Cache.nextIntervalInSeconds(96*60*60, ts)*1000)),
+				"hrs_120": (new Date(Cache.nextIntervalInSeconds(120*60*60, ts)*1000))
+			}
+		};
+	};
+
+	/**
+	 * When testing a variable as a boolean, 0, false, and null are false,
+	 * but the string "false" is true. Since we can be dealing with JSON data,
+	 * query parameters, and strings coded as "false" we want to include the
+	 * string "false" as false.
+	 * This function only adds "false" to the list of values already considered
+	 * false by JavaScript
+	 * @param {*} value A value you want to turn to boolean
+	 * @returns {boolean} Does the value equal false according to JavaScript evaluation rules?
+	 */
+	static bool (value) {
+
+		if ( typeof value === 'string') { value = value.toLowerCase(); }
+
+		// Boolean("false") is true so we need to code for it. As long as it is not "false", trust Boolean()
+		return  (( value !== "false") ? Boolean(value) : false ); 
+	};
+	
+	/**
+	 * Generate an etag based on an id and content body
+	 * @param {string} idHash Hashed content identifier. For web pages this a hash of host, path, query, etc.
+	 * @param {string} content Content. usually body and static headers
+	 * @returns {string} An etag specific to that content and id
+	 */
+	static generateEtag(idHash, content) {
+		return CacheData.generateEtag(idHash, content);
+	};
+
+	/**
+	 * To make submitted key comparison easier against a standard set of keys,
+	 * lowercase keys in the object.
+	 * @param {object} objectWithKeys Object we want to lowercase keys on
+	 * @returns {object} Object with lowercase keys
+	 */
+	static lowerCaseKeys(objectWithKeys) {
+		return CacheData.lowerCaseKeys(objectWithKeys);
+	};
+
+	/**
+	 * Generate an internet formatted date such as those used in headers.
+	 * 
+	 * Example: "Wed, 28 Jul 2021 12:24:11 GMT"
+	 * 
+	 * @param {number} timestamp Unix timestamp in seconds or milliseconds. 
+	 * @param {boolean} inMilliseconds Set to true if timestamp is in milliseconds. Default is false.
+	 * @returns {string} Formatted date/time such as Wed, 28 Jul 2021 12:24:11 GMT
+	 */
+	static generateInternetFormattedDate(timestamp, inMilliseconds = false) {
+		return CacheData.generateInternetFormattedDate(timestamp, inMilliseconds);
+	};
+
+	/**
+	 * Uses object-hash to create a hash of an object passed to it
+	 * Object-hash respects object structures and arrays and performs a sort to
+	 * normalize objects so that objects with the same key/value structure are
+	 * identified as such. For example:
+	 * {host: "example.com", path: "/api"} === {path: "/api", host: "example.com"}
+	 * 
+	 * You can also pass in a string such as "MYID-03-88493" if your id is not
+	 * query based.
+	 * 
+	 * Note: Arrays are sorted alphabetically. So [1,2,3] will be same as 
+	 * [3,1,2] and ["A","B","C"] will be same as ["B","C","A"] so if the order
+	 * of the array matters it is recommended to perform a .join prior. This is 
+	 * so that:
+	 * 	{query: {types: "db,contact,guides"} } === {query: {types: "contact,guides,db"} }
+	 * 	example.com/?types=db,contact,guides === example.com/?types=contact,guides,db
+	 * 
+	 * You can pass in an object containing request header and query param 
+	 * represented as objects.
+	 * 
+	 * As an example, CacheableDataAccess() combines 3 of the parameter objects
+	 * passed to it.
+	 * query, connection, and cachePolicy are pased as an object by 
+	 * CacheableDataAccess() for Cache() to create a hashed id: 
+	 * { query: query, connection: connection, cachePolicy: cachePolicy };
+	 * 
+	 * Passing an array of objects such as:
+	 * [ query, connection, cachePolicy ]
+	 * also works. object-hash is REALLY cool and magical
+	 * 
+	 * Uses object-hash: https://www.npmjs.com/package/object-hash
+	 * Git: https://github.com/puleos/object-hash
+	 * 
+	 * Make sure it is installed in app/node_modules with an entry in app/package.json
+	 *   "dependencies": {
+	 * 		"object-hash": "^2.2.0"
+	 *   }
+	 * 
+	 * The cacheNamespace and cacheVersion (see getIdHashScope()) are mixed
+	 * in when set. When neither is set the hash is the same as in previous
+	 * versions of cache-data.
+	 * 
+	 * The idHashRules (see parseIdHashRules()) are applied to the connection
+	 * and data before hashing.
+	 * 
+	 * @param {Object|Array|string} idObject Object, Array, or string to hash. Object may contain a single value with a text string, or complex http request broken down into parts
+	 * @param {{cacheNamespace: string, cacheVersion: string, idHashRules: Object}} profileScope cacheNamespace, cacheVersion, and idHashRules from the cache profile, if any
+	 * @returns {string} A hash representing the object (Algorithm used is set in Cache object constructor)
+	 */
+	static generateIdHash(idObject, profileScope = {}) {
+		return this.#hashIdObject(this.#prepareIdObject(idObject, profileScope));
+	};
+
+	/**
+	 * Explain what went into an idHash so cache misses and collisions can be
+	 * diagnosed. The object that was hashed (after idHashRules, and with the
+	 * cacheNamespace and cacheVersion scope) is passed through tools.sanitize()
+	 * so secrets are obfuscated. Even so, it may hold request details and
+	 * should only be logged in non-production environments.
+	 * 
+	 * @example
+	 * tools.DebugAndLog.debug("Cache id", Cache.explainIdHash(idObject, cacheProfile));
+	 * 
+	 * @param {Object|Array|string} idObject Same as generateIdHash()
+	 * @param {{cacheNamespace: string, cacheVersion: string, idHashRules: Object}} profileScope Same as generateIdHash()
+	 * @returns {{idHash: string, algorithm: string, library: string, salt: string, scope: object, idHashRules: object, hashed: object}}
+	 */
+	static explainIdHash(idObject, profileScope = {}) {
+		return this.#explainIdObject(this.#prepareIdObject(idObject, profileScope), profileScope);
+	};
+
+	/**
+	 * @param {Object} preparedIdObject From #prepareIdObject()
+	 * @param {{cacheNamespace: string, cacheVersion: string, idHashRules: Object}} profileScope
+	 * @returns {{idHash: string, algorithm: string, library: string, salt: string, scope: object, idHashRules: object, hashed: object}}
+	 */
+	static #explainIdObject(preparedIdObject, profileScope) {
+		return {
+			idHash: this.#hashIdObject(preparedIdObject),
+			algorithm: this.#idHashAlgorithm,
+			library: ( this.#useToolsHash ) ? "tools.hashThisData" : "object-hash",
+			salt: ( process.env?.AWS_LAMBDA_FUNCTION_NAME ) ? "process.env.AWS_LAMBDA_FUNCTION_NAME" : "none",
+			scope: this.getIdHashScope(profileScope || {}),
+			idHashRules: this.parseIdHashRules(profileScope?.idHashRules ?? null),
+			hashed: tools.sanitize(preparedIdObject)
+		};
+	};
+
+	/**
+	 * Apply the idHashRules, remove functions and connection.options, and add
+	 * the scope to a copy of the idObject.
+	 * @param {Object|Array|string} idObject 
+	 * @param {{cacheNamespace: string, cacheVersion: string, idHashRules: Object}} profileScope 
+	 * @returns {Object} The object to hash
+	 */
+	static #prepareIdObject(idObject, profileScope = {}) {
+
+		// Helper function to remove functions from an object
+		const removeFunctions = (obj) => {
+			const newObj = {};
+			for (const [key, value] of Object.entries(obj)) {
+				if (typeof value === 'function') {
+					continue; // skip functions
+				}
+				if (typeof value === 'object' && value !== null) {
+					newObj[key] = removeFunctions(value); // recursively handle nested objects
+				} else {
+					newObj[key] = value;
+				}
+			}
+			return newObj;
+		};
+	
+		// apply the rules before functions are removed as that turns arrays into objects
+		const rules = this.parseIdHashRules(profileScope?.idHashRules ?? null);
+
+		// Create clean object without functions first
+		const cleanObject = removeFunctions(this.#applyIdHashRules(idObject, rules));
+		
+		// Now safe to use structuredClone - deep clone idObject so we don't change the original
+		let clonedIdObject = structuredClone(cleanObject);
+
+		// remove connection.options from clonedIdObject
+		if ( clonedIdObject.connection?.options ) { delete clonedIdObject.connection.options; }
+
+		// only wrap when there is a scope so existing idHashes do not change
+		const scope = this.getIdHashScope(profileScope || {});
+		if ( scope !== null ) { clonedIdObject = { id: clonedIdObject, scope: scope }; }
+
+		return clonedIdObject;
+	};
+
+	/**
+	 * @param {Object} preparedIdObject From #prepareIdObject(). It is not changed
+	 * @returns {string} The idHash
+	 */
+	static #hashIdObject(preparedIdObject) {
+
+		// set salt to process.env.AWS_LAMBDA_FUNCTION_NAME if it exists, otherwise use ""
+		const salt = process.env?.AWS_LAMBDA_FUNCTION_NAME || "";
+
+		// use the built-in hashing from CacheData tools
+		if ( this.#useToolsHash ) { return tools.hashThisData(this.#idHashAlgorithm, preparedIdObject, {salt}); }
+
+		// use the external package object-hash settings
+		const objHashSettings = {
+			algorithm: this.#idHashAlgorithm,
+			encoding: "hex", // default, but we'll list it here anyway as it is important for this use case
+			respectType: true, // default, but we'll list it here anyway as it is important for this use case
+			unorderedSets: true, // default, but we'll list it here anyway as it is important for this use case
+			unorderedObjects: true, // default, but we'll list it here anyway as it is important for this use case
+			unorderedArrays: true // default is false but we want true - would be a problem if array sequence mattered, but not in this use case
+		};
+
+		// there is no salt in object-hash, so we add it to a property that would be least likely to conflict
+		return objHash(Object.assign({}, preparedIdObject, { THIS_IS_SALT_FOR_CK_CACHE_DATA_ID_HASH: salt }), objHashSettings);
+
+	};
+
+	/**
+	 * Converts an array to a string using a join. However, it is fluid in case
+	 * we might also be passed an id that is already a string.
+	 * @param {Array|string} identifierArrayOrString An array we wish to join together as an id. (also could be a string which we won't touch)
+	 * @param {string} glue The glue or delimiter to place between the array elements once it is in string form
+	 * @returns {string} The array in string form delimited by the glue.
+	 */
+	static multipartId (identifierArrayOrString, glue = "-") {
+		let id = null;
+		if ( Array.isArray(identifierArrayOrString) || typeof identifierArrayOrString === 'string') {
+			id = ( Array.isArray(identifierArrayOrString) ) ? identifierArrayOrString.join(glue) : identifierArrayOrString;
+		}
+		return id;
+	};
+
+	/**
+	 * Uses Date.parse() but returns seconds instead of milliseconds.
+	 * Takes a date string (such as "2011-10-10T14:48:00") and returns the number of seconds since January 1, 1970, 00:00:00 UTC
+	 * @param {string} date 
+	 * @returns {number} The date in seconds since January 1, 1970, 00:00:00 UTC
+	*/
+	static parseToSeconds(date) {
+		let timestampInSeconds = 0;
+		try {
+			timestampInSeconds = CacheData.convertTimestampFromMilliToSeconds( Date.parse(date) );
+		} catch (error) {
+			tools.DebugAndLog.error(`Cannot parse date/time: ${date} ${error.message}`, error.stack);
+		}
+		return timestampInSeconds;
+	};
+
+	/**
+	 * We can set times and expirations on intervals, such as every
+	 * 15 seconds (mm:00, mm:15, mm:30, mm:45), every half hour 
+	 * (hh:00:00, hh:30:00), every hour (T00:00:00, T01:00:00), etc.
+	 * In some cases such as every 2 hours, the interval is calculated
+	 * from midnight in the timezone specified in timeZoneForInterval 
+	 * Spans of days (such as every two days (48 hours) or every three
+	 * days (72 hours) are calculated from midnight of the UNIX epoch
+	 * (January 1, 1970).
+	 * 
+	 * When a timezone is set in timeZoneForInterval, then there is
+	 * a slight adjustment made so that the interval lines up with
+	 * midnight of the "local" time. For example, if an organization
+	 * is primarily located in the Central Time Zone (or their 
+	 * nightly batch jobs occur at GMT-05:00) then timeZoneForInterval
+	 * may be set to "America/Chicago" so that midnight in 
+	 * "America/Chicago" may be used for calculations. That keeps
+	 * every 4 hours on hours 00, 04, 08, 12, 16, etc.
+	 * @param {number} intervalInSeconds 
+	 * @param {number} timestampInSeconds 
+	 * @returns {number} Next interval in seconds
+	 */
+	static nextIntervalInSeconds(intervalInSeconds, timestampInSeconds = 0) {
+		return CacheData.nextIntervalInSeconds(intervalInSeconds, timestampInSeconds);
+	};
+
+
+	/**
+	 * Calculate the number of Kilobytes in memory a String takes up.
+	 * This function first calculates the number of bytes in the String using
+	 * Buffer.byteLength() and then converts it to KB = (bytes / 1024)
+	 * @param {string} aString A string to calculate on
+	 * @param {string} encode What character encoding should be used? Default is "utf8"
+	 * @returns String size in estimated KB
+	 */
+	static calculateKBytes ( aString, encode = CacheData.PLAIN_ENCODING ) {
+		return CacheData.calculateKBytes( aString, encode);
+	};
+
+	/**
+	 * Converts a comma delimited string or an array to an array with all
+	 * lowercase values. Can be used to pass a comma delimited string
+	 * for conversion to an array that will then be used as (lowercase) keys.
+	 * @param {string|Array} list 
+	 * @returns Array with lowercase values
+	 */
+	static convertToLowerCaseArray(list) {
+
+		// if it is an array, we'll convert to csv string
+		if (Array.isArray(list)) {
+			list = list.join(',');
+		}
+
+		// lowercase the string and then convert to an array
+		return list.toLowerCase().split(',');
+	};
+
+	/**
+	 * Takes either a csv string or an Array. It will return an array
+	 * with lowercase values to be used as header keys
+	 * @param {string|Array} list 
+	 * @returns Array with lowercase values
+	 */
+	#parseHeadersToRetain (list) {
+		return Cache.convertToLowerCaseArray(list);
+	};
+
+	/**
+	 * Parse the vary list from a cache profile
+	 * @param {string|Array} list Array or comma deliminated string of header keys
+	 * @returns {Array<string>} Unique, lowercase header keys
+	 */
+	static parseVary (list) {
+		if ( list === null || typeof list === "undefined" ) { return []; }
+		return [...new Set(Cache.convertToLowerCaseArray(list).map( (key) => key.trim() ).filter( (key) => key !== "" ))];
+	};
+
+	/**
+	 * Get the normalized values of the vary headers from the client
+	 * request. Values are lowercased and whitespace is removed around
+	 * delimiters so "en-US, en;q=0.9" and "en-us,en;q=0.9" are the same.
+	 * Headers the client did not send have a value of "".
+	 * @param {string|Array} vary Header keys (see parseVary())
+	 * @param {ClientRequest|RequestInfo|Object} clientRequest A ClientRequest (or RequestInfo), or an object of client request headers
+	 * @returns {Object|null} Normalized values by header key, or null if vary is empty
+	 */
+	static getVaryValues (vary, clientRequest = null) {
+
+		const keys = Cache.parseVary(vary);
+
+		if ( keys.length === 0 ) { return null; }
+
+		let headers = {};
+		if ( clientRequest !== null && typeof clientRequest?.getClientHeaders === "function" ) {
+			headers = clientRequest.getClientHeaders() || {};
+		} else if ( clientRequest !== null && typeof clientRequest === "object" ) {
+			headers = clientRequest;
+		}
+		headers = Cache.lowerCaseKeys(headers);
+
+		const values = {};
+		keys.forEach( (key) => {
+			const value = ( key in headers && headers[key] !== null && typeof headers[key] !== "undefined" ) ? String(headers[key]) : "";
+			values[key] = value.toLowerCase().trim().replace(/\s*([,;=])\s*/g, "$1").replace(/\s+/g, " ");
+		});
+
+		return values;
+	};
+
+	/**
+	 * Parse the idHashRules from a cache profile. Names of parameters and
+	 * headers to ignore are lowercased as they are matched without regard
+	 * to case.
+	 * @param {Object} rules
+	 * @param {Array|string} rules.ignoreParameters Parameter keys to remove from connection.parameters
+	 * @param {Array|string} rules.ignoreHeaders Header keys to remove from connection.headers
+	 * @param {boolean} rules.sortArrays Sort the values of arrays in connection.parameters and data
+	 * @param {Array|string} rules.lowercase Dot paths (such as "connection.parameters.q") of values to lowercase
+	 * @param {boolean} rules.stripAuthentication Remove authentication and credentials from the connection
+	 * @returns {{ignoreParameters: Array<string>, ignoreHeaders: Array<string>, sortArrays: boolean, lowercase: Array<string>, stripAuthentication: boolean}|null} Parsed rules, or null if there are none
+	 */
+	static parseIdHashRules (rules) {
+
+		if ( rules === null || typeof rules !== "object" ) { return null; }
+
+		const list = (value) => ( value === null || typeof value === "undefined" ) ? [] : [...new Set(Cache.convertToLowerCaseArray(value).map( (v) => v.trim() ).filter( (v) => v !== "" ))];
+
+		const parsed = {
+			ignoreParameters: list(rules.ignoreParameters),
+			ignoreHeaders: list(rules.ignoreHeaders),
+			sortArrays: Cache.bool(rules.sortArrays),
+			lowercase: ( Array.isArray(rules.lowercase) ? rules.lowercase : String(rules.lowercase ?? "").split(",") ).map( (v) => String(v).trim() ).filter( (v) => v !== "" ),
+			stripAuthentication: Cache.bool(rules.stripAuthentication)
+		};
+
+		const hasRules = parsed.ignoreParameters.length > 0 || parsed.ignoreHeaders.length > 0 || parsed.sortArrays || parsed.lowercase.length > 0 || parsed.stripAuthentication;
+
+		return ( hasRules ) ? parsed : null;
+	};
+
+	/**
+	 * Apply idHashRules (see parseIdHashRules()) to a copy of the idObject.
+	 * Only the parts that are changed are copied, the idObject is left as is.
+	 * @param {Object} idObject
+	 * @param {Object} rules Parsed rules
+	 * @returns {Object} The idObject to hash
+	 */
+	static #applyIdHashRules (idObject, rules) {
+
+		if ( rules === null || idObject === null || typeof idObject !== "object" || Array.isArray(idObject) ) { return idObject; }
+
+		const omit = (obj, keys) => {
+			if ( obj === null || typeof obj !== "object" || keys.length === 0 ) { return obj; }
+			return Object.fromEntries(Object.entries(obj).filter( ([key]) => !keys.includes(key.toLowerCase()) ));
+		};
+
+		const sort = (value) => {
+			if ( Array.isArray(value) ) {
+				return value.map(sort).sort( (a, b) => {
+					const x = JSON.stringify(a), y = JSON.stringify(b);
+					return ( x < y ) ? -1 : ( x > y ) ? 1 : 0;
+				});
+			}
+			if ( value !== null && typeof value === "object" ) {
+				return Object.fromEntries(Object.entries(value).map( ([key, v]) => [key, sort(v)] ));
+			}
+			return value;
+		};
+
+		const obj = { ...idObject };
+
+		if ( obj.connection !== null && typeof obj.connection === "object" ) {
+			const connection = { ...obj.connection };
+			let ignoreHeaders = rules.ignoreHeaders;
+			let ignoreParameters = rules.ignoreParameters;
+
+			if ( rules.stripAuthentication ) {
+				const auth = connection.authentication || {};
+				ignoreHeaders = [...ignoreHeaders, ...Cache.ID_HASH_AUTHENTICATION_HEADERS, ...Object.keys(auth.headers || {}).map( (k) => k.toLowerCase() )];
+				ignoreParameters = [...ignoreParameters, ...Object.keys(auth.parameters || {}).map( (k) => k.toLowerCase() )];
+				if ( "body" in auth ) { delete connection.body; }
+				delete connection.authentication;
+			}
+
+			if ( "headers" in connection ) { connection.headers = omit(connection.headers, ignoreHeaders); }
+			if ( "parameters" in connection ) { connection.parameters = omit(connection.parameters, ignoreParameters); }
+			if ( rules.sortArrays && "parameters" in connection ) { connection.parameters = sort(connection.parameters); }
+
+			obj.connection = connection;
+		}
+
+		if ( rules.sortArrays && "data" in obj ) { obj.data = sort(obj.data); }
+
+		// lowercase the string values at each path, copying each object along the way
+		rules.lowercase.forEach( (path) => {
+			const keys = path.split(".");
+			let target = obj;
+			for (let i = 0; i < keys.length - 1; i++) {
+				if ( target[keys[i]] === null || typeof target[keys[i]] !== "object" ) { return; }
+				target[keys[i]] = Array.isArray(target[keys[i]]) ? [...target[keys[i]]] : { ...target[keys[i]] };
+				target = target[keys[i]];
+			}
+			const last = keys[keys.length - 1];
+			if ( typeof target[last] === "string" ) {
+				target[last] = target[last].toLowerCase();
+			} else if ( Array.isArray(target[last]) ) {
+				target[last] = target[last].map( (v) => ( typeof v === "string" ) ? v.toLowerCase() : v );
+			}
+		});
+
+		return obj;
+	};
+
+	/**
+	 * @param {Object} expirations Seconds by status code, such as { 404: 60, 410: 3600 }
+	 * @returns {Object} Seconds (greater than 0) by status code
+	 */
+	static #parseNegativeCacheExpiration (expirations) {
+		const parsed = {};
+		if ( expirations !== null && typeof expirations === "object" ) {
+			for (const [statusCode, seconds] of Object.entries(expirations)) {
+				const value = parseInt(seconds, 10);
+				if ( value > 0 && parseInt(statusCode, 10) >= 400 ) { parsed[parseInt(statusCode, 10)] = value; }
+			}
+		}
+		return parsed;
+	};
+
+	/**
+	 * How long a non-success response from the original source with this
+	 * status code is cached (see negativeCacheExpirationInSeconds in the
+	 * cache profile)
+	 * @param {number|string} statusCode 
+	 * @returns {number} Seconds, or 0 if responses with this status code are not cached
+	 */
+	getNegativeCacheExpirationInSeconds (statusCode) {
+		return this.#negativeCacheExpirationInSeconds[parseInt(statusCode, 10)] || 0;
+	};
+
+	profile () {
+		return {
+			overrideOriginHeaderExpiration: this.#overrideOriginHeaderExpiration,
+			defaultExpirationInSeconds: this.#defaultExpirationInSeconds,
+			defaultExpirationExtensionOnErrorInSeconds: this.#defaultExpirationExtensionOnErrorInSeconds,
+			expirationIsOnInterval: this.#expirationIsOnInterval,
+			headersToRetain: this.#headersToRetain,
+			hostId: this.#hostId,
+			pathId: this.#pathId,
+			encrypt: this.#encrypt,
+			staleWhileRevalidateSeconds: this.#staleWhileRevalidateInSeconds,
+			refreshLockSeconds: this.#refreshLockInSeconds,
+			refreshLockWaitMilliseconds: this.#refreshLockWaitInMilliseconds,
+			tags: this.#tags,
+			streamBody: this.#streamBody,
+			cacheNamespace: this.#profileCacheNamespace,
+			cacheVersion: this.#profileCacheVersion,
+			negativeCacheExpirationInSeconds: this.#negativeCacheExpirationInSeconds,
+			vary: this.#vary,
+			idHashRules: this.#idHashRules,
+			circuitBreaker: this.#circuitBreaker
+		}
+	};
+
+	/**
+	 * 
+	 * @param {boolean|null} streamBody Override the streamBody setting of the cache profile. Default: null (use the cache profile)
+	 * @returns {Promise<CacheDataFormat>}
+	 */
+	async read (streamBody = null) {
+
+		return new Promise(async (resolve, reject) => {
+
+			if ( this.#store !== null ) {
+				resolve(this.#store);
+			} else {
+				try {
+					this.#store = await CacheData.read(this.#idHash, this.#syncedLaterTimestampInSeconds, ( streamBody === null ) ? this.#streamBody : streamBody);
+					this.#status = ( this.#store.cache.statusCode === null ) ? Cache.STATUS_NO_CACHE : Cache.STATUS_CACHE;
+
+					tools.DebugAndLog.debug(`Cache Read status: ${this.#status}`);
+
+					resolve(this.#store);
+				} catch (error) {
+					this.#store = CacheData.format(this.#syncedLaterTimestampInSeconds);
+					this.#status = Cache.STATUS_CACHE_ERROR;
+
+					tools.DebugAndLog.error(`Cache Read: Cannot read cached data for ${this.#idHash}: ${error.message}`, error.stack);
 
 					reject(this.#store);
 				};
@@ -1418,480 +4548,1255 @@ class Cache {
 
 	};
 
-	test() {
+	test() {
+		return {
+			get: this.get(),
+			getStatus: this.getStatus(),
+			getETag: this.getETag(),
+			getLastModified: this.getLastModified(),
+			getExpires: this.getExpires(),
+			getExpiresGMT: this.getExpiresGMT(),
+			getHeaders: this.getHeaders(),
+			getSyncedNowTimestampInSeconds: this.getSyncedNowTimestampInSeconds(),
+			getBody: this.getBody(),
+			getIdHash: this.getIdHash(),
+			getClassification: this.getClassification(),
+			needsRefresh: this.needsRefresh(),
+			isExpired: this.isExpired(),
+			isEmpty: this.isEmpty(),
+			isPrivate: this.isPrivate(),
+			isPublic: this.isPublic(),
+			currentStatus: this.getStatus(),
+			calculateDefaultExpires: this.calculateDefaultExpires()
+		};
+	};
+
+	/**
+	 * 
+	 * @returns {CacheDataFormat}
+	 */
+	get() {
+		return this.#store;
+	};
+
+	/**
+	 * 
+	 * @returns {string}
+	 */
+	getSourceStatus() {
+		return this.#status;
+	};
+
+	/**
+	 * 
+	 * @returns {string}
+	 */
+	getETag() {
+		return this.getHeader("etag");
+	};
+
+	/**
+	 * 
+	 * @returns {string} The falue of the cached header field last-modified
+	 */
+	getLastModified() {
+		return this.getHeader("last-modified");
+	};
+
+	/**
+	 * 
+	 * @returns {number} Expiration timestamp in seconds
+	 */
+	getExpires() {
+		let exp = (this.#store !== null) ? this.#store.cache.expires : 0;
+		return exp;
+	};
+
+	/**
+	 * Get the expiration as an internet formatted date used in headers.
+	 * 
+	 * Example: "Wed, 28 Jul 2021 12:24:11 GMT"
+	 * 
+	 * @returns {string} The expiration formated for use in headers. Same as expires header.
+	 */
+	getExpiresGMT() {
+		return this.getHeader("expires");
+	};
+
+	/**
+	 * 
+	 * @returns {number} The calculated number of seconds from now until expires
+	 */
+	calculateSecondsLeftUntilExpires() {
+		let secondsLeftUntilExpires = this.getExpires() - CacheData.convertTimestampFromMilliToSeconds( Date.now() );
+		if (secondsLeftUntilExpires < 0) { secondsLeftUntilExpires = 0; }
+
+		return secondsLeftUntilExpires;
+	};
+
+	/**
+	 * Example: public, max-age=123456
+	 * @returns {string} The value for cache-control header
+	 */
+	getCacheControlHeaderValue() {
+		return this.getClassification() +", max-age="+this.calculateSecondsLeftUntilExpires();
+	};
+
+	/**
+	 * 
+	 * @returns {object|null} All the header key/value pairs for the cached object
+	 */
+	getHeaders() {
+		return (this.#store !== null && "headers" in this.#store.cache) ? this.#store.cache.headers : null;
+	};
+
+	/**
+	 * 
+	 * @returns {string|null} The status code of the cache object
+	 */
+	getStatusCode() {
+		return (this.#store !== null && "statusCode" in this.#store.cache) ? this.#store.cache.statusCode : null;
+	};
+
+	/**
+	 * 
+	 * @returns {number} Current error code for this cache
+	 */
+	getErrorCode() {
+		return this.#errorCode;
+	};
+
+	/**
+	 * Classification is used in the cache header to note how the data returned
+	 * should be treated in the cache. If it is private then it should be 
+	 * protected.
+	 * @returns {string} Based on whether the cache is stored as encrypted, returns "private" (encrypted) or "public" (not encrypted)
+	 */
+	getClassification() {
+		return (this.#encrypt ? Cache.PRIVATE : Cache.PUBLIC );
+	};
+
+	/**
+	 * 
+	 * @returns {number} The timestamp in seconds of when the object was created and used for currency logic of the cache. (used as comparasion against expiration and for creating new expirations)
+	 */
+	getSyncedNowTimestampInSeconds() {
+		return this.#syncedNowTimestampInSeconds;
+	};
+
+	/**
+	 * 
+	 * @param {string} key The header key to access
+	 * @returns {string|number|null} The value assigned to the provided header key. null if it doesn't exist
+	 */
+	getHeader(key) {
+		let headers = this.getHeaders();
+		return ( headers !== null && key in headers) ? headers[key] : null
+	};
+
+	/**
+	 * 
+	 * @param {boolean} parseBody If set to true then JSON decode will be used on the body before returning.
+	 * @returns {string|object|Buffer|null} A string (as is) which could be encoded JSON but we want to leave it that way, an object if parseBody is set to true and it is parsable by JSON, a Buffer if the content is binary, or null if body is null
+	 */
+	getBody(parseBody = false) {
+		let body = (this.#store !== null) ? this.#store.cache.body : null;
+		let bodyToReturn = null;
+
+		try {
+			bodyToReturn = (typeof body === "string" && parseBody) ? JSON.parse(body) : body;
+		} catch (error) {
+			tools.DebugAndLog.error(`Cache.getBody() parse error: ${error.message}`, error.stack);
+			tools.DebugAndLog.debug("Error parsing body", body);
+		};
+
+		return (( bodyToReturn !== null) ? bodyToReturn : body );
+	};
+
+	/**
+	 * Was the body left in storage to be read using getBodyStream()? Only
+	 * when the cacheProfile has streamBody set. getBody() returns null.
+	 * @returns {boolean}
+	 */
+	isBodyStreamed() {
+		return ( this.#store !== null && "bodyStream" in this.#store.cache );
+	};
+
+	/**
+	 * Returns the body as a readable stream that can be piped to a response.
+	 * If the body was left in storage it is streamed from storage without
+	 * being loaded into memory, otherwise the body already in memory is used.
+	 * @returns {Promise<Readable|null>} The body, or null if there is no body
+	 */
+	async getBodyStream() {
+		if ( this.isBodyStreamed() ) {
+			return CacheData.readBodyStream(this.#idHash, this.#store.cache.bodyStream.compression);
+		}
+
+		const body = this.getBody();
+		if ( body === null ) { return null; }
+		return Readable.from([ ( Buffer.isBuffer(body) ) ? body : Buffer.from(body, Cache.PLAIN_ENCODING) ]);
+	};
+
+	/**
+	 * Returns a plain data response in the form of an object. If a full HTTP
+	 * response is needed use generateResponseForAPIGateway()
+	 * @param {boolean} parseBody If true we'll return body as object
+	 * @returns {{statusCode: string, headers: object, body: string|object|Buffer}} a plain data response in the form of an object. The body is a Buffer when the content is binary
+	 */
+	getResponse(parseBody = false) {
+		let response = null;
+
+		if (this.#store !== null) {
+			response = {
+				statusCode: this.getStatusCode(),
+				headers: this.getHeaders(),
+				body: ( this.getBody(parseBody))
+			};
+		}
+
+		return response;
+	};
+
+	/**
+	 * Binary bodies are base64 encoded and isBase64Encoded is set to true so
+	 * API Gateway (or a Lambda function URL) decodes them for the client.
+	 * @param {object} parameters
+	 * @returns {{statusCode: string, headers: object, body: string, isBase64Encoded: boolean}}
+	 */
+	generateResponseForAPIGateway( parameters ) {
+
+		const ifNoneMatch = ( ("ifNoneMatch" in parameters) ? parameters.ifNoneMatch : null);
+		const ifModifiedSince = ( ("ifModifiedSince" in parameters) ? parameters.ifModifiedSince : null);
+
+		const response = this.getResponse(false);
+
+		const additionalHeaders = {
+            "access-control-allow-origin": "*", // we've already checked referer access, and since this can only list one host it presents issues if it can be used across a set of hosts
+            "cache-control": this.getCacheControlHeaderValue(),
+            "x-cprxy-data-source": this.getSourceStatus()
+        };
+
+        // see if the client sent conditionals to elicit a 304 not modified and respond accordingly
+        if ( 
+			(ifNoneMatch !== null && "etag" in response.headers && ifNoneMatch === response.headers.etag) 
+            || (ifModifiedSince !== null &&  "last-modified" in response.headers && Date.parse(ifModifiedSince) >= Date.parse(response.headers['last-modified']) )
+		) {
+            // etag and last-modified match, so the client has the most recent copy in it's cache
+            response.statusCode = "304"; // return a Not Modified
+            response.body = null;
+        }
+
+        /*
+        Note: The response for an OK (200) status can be empty ("")
+        However, if a response code is not allowed to return a body, it is set
+        to null to signify that it should not be included in the response and 
+        filtered out at this step.
+        */
+
+        // set the statusCode if null
+        if (response.statusCode === null) { 
+			response.statusCode = "200";
+		}
+
+		response.headers = Object.assign(response.headers, additionalHeaders);
+
+		response.isBase64Encoded = Buffer.isBuffer(response.body);
+		if ( response.isBase64Encoded ) {
+			response.body = response.body.toString(CacheData.BINARY_ENCODING);
+		}
+
+		return response;
+
+	};
+
+	/**
+	 * 
+	 * @returns {string}
+	 */
+	getIdHash() {
+		return this.#idHash;
+	};
+
+	/**
+	 * Wait for the write to storage made when this Cache object was updated.
+	 * If the write failed the status is changed to Cache.STATUS_WRITE_ERROR
+	 * (the data is still available from this object).
+	 * @returns {Promise<boolean|null>} Whether or not the write was successful, or null if nothing was written
+	 */
+	async written() {
+		return ( this.#write === null ) ? null : this.#write;
+	};
+
+	/**
+	 * Explain what went into the idHash of this Cache object. See
+	 * Cache.explainIdHash()
+	 * @returns {{idHash: string, algorithm: string, library: string, salt: string, scope: object, idHashRules: object, hashed: object}}
+	 */
+	explainIdHash() {
+		return Cache.#explainIdObject(this.#preparedIdObject, this.#idHashScope());
+	};
+
+	/**
+	 * @returns {{cacheNamespace: string, cacheVersion: string, idHashRules: Object}} The settings from the cache profile used to generate the idHash
+	 */
+	#idHashScope() {
+		return { cacheNamespace: this.#profileCacheNamespace, cacheVersion: this.#profileCacheVersion, idHashRules: this.#idHashRules };
+	};
+
+	/**
+	 * 
+	 * @returns {boolean}
+	 */
+	needsRefresh() {
+		return (this.isExpired() || this.isEmpty());
+	};
+
+	/**
+	 * 
+	 * @returns {boolean}
+	 */
+	isExpired() {
+		return ( CacheData.convertTimestampFromSecondsToMilli(this.getExpires()) <= Date.now());
+	};
+
+	/**
+	 * Expired cache data may still be returned while it is refreshed in the
+	 * background if it expired less than staleWhileRevalidateSeconds ago.
+	 * @returns {boolean} Whether or not the expired cache data may be returned while it is refreshed
+	 */
+	isStaleWhileRevalidate() {
+		return ( this.#staleWhileRevalidateInSeconds > 0
+			&& !this.isEmpty()
+			&& this.isExpired()
+			&& CacheData.convertTimestampFromSecondsToMilli(this.getExpires() + this.#staleWhileRevalidateInSeconds) > Date.now()
+		);
+	};
+
+	/**
+	 * Mark the cache data as being returned while a refresh is performed
+	 * in the background. Status will be Cache.STATUS_STALE_REVALIDATING
+	 */
+	setStaleRevalidating() {
+		this.#status = Cache.STATUS_STALE_REVALIDATING;
+	};
+
+	/**
+	 * Mark the cache data as being returned because another instance holds
+	 * the refresh lock. Status will be Cache.STATUS_REFRESH_IN_PROGRESS
+	 */
+	setRefreshInProgress() {
+		this.#status = Cache.STATUS_REFRESH_IN_PROGRESS;
+	};
+
+	/**
+	 * Mark the cache data as being returned without calling the original
+	 * source because its circuit breaker is open. Status will be
+	 * Cache.STATUS_CIRCUIT_OPEN, or Cache.STATUS_CIRCUIT_OPEN_ERROR if there
+	 * was no cached data to return
+	 * @param {boolean} hadData Whether or not there was cached data to return
+	 */
+	setCircuitOpen(hadData) {
+		this.#status = ( hadData ) ? Cache.STATUS_CIRCUIT_OPEN : Cache.STATUS_CIRCUIT_OPEN_ERROR;
+	};
+
+	/**
+	 * 
+	 * @returns {boolean}
+	 */
+	isEmpty() {
+		return (this.#store.cache.statusCode === null);
+	};
+
+	/**
+	 * 
+	 * @returns {boolean}
+	 */
+	isPrivate() {
+		return this.#encrypt;
+	};
+
+	/**
+	 * 
+	 * @returns {boolean}
+	 */
+	isPublic() {
+		return !this.#encrypt;
+	};
+
+	/**
+	 * 
+	 * @param {string} reason Reason for extending, either Cache.STATUS_ORIGINAL_ERROR or Cache.STATUS_ORIGINAL_NOT_MODIFIED
+	 * @param {number} seconds 
+	 * @param {number} errorCode
+	 */
+	extendExpires(reason, seconds = 0, errorCode = 0) {
+
+		try {
+			
+			let cache = this.#store.cache;
+
+			// we will extend based on error extention if in error, we'll look at passed seconds and non-error default later
+			if (seconds === 0 && reason === Cache.STATUS_ORIGINAL_ERROR) {
+				seconds = this.#defaultExpirationExtensionOnErrorInSeconds;
+			}
+
+			// if the cache exists, we'll extend it
+			if ( cache !== null ) {
+				// statusCode
+				let statusCode = (cache.statusCode !== null) ? cache.statusCode : errorCode ; 
+
+				// we are going to create a new expires header, so delete it if it exists so we start from now()
+				if (cache.headers !== null && "expires" in cache.headers) { delete cache.headers.expires; }
+
+				// calculate the new expires based on default (seconds === 0) or now() + seconds passed to this function
+				let expires = (seconds === 0) ? this.calculateDefaultExpires() : this.#syncedNowTimestampInSeconds + seconds;
+
+				// if a reason was passed, use it only if it is a valid reason for extending. Otherwise null
+				let status = (reason === Cache.STATUS_ORIGINAL_ERROR || reason === Cache.STATUS_ORIGINAL_NOT_MODIFIED) ? reason : null;
+
+				// if we received an error, add it in in case we want to evaluate further
+				if (errorCode >= 400) { this.#errorCode = errorCode; }
+
+				// perform the update with existing info, but new expires and status
+				this.update( cache.body,  cache.headers, statusCode, expires, status);
+			} else {
+				tools.DebugAndLog.debug("Cache is null. Nothing to extend.");
+			}
+
+		} catch (error) {
+			tools.DebugAndLog.error(`Unable to extend cache: ${error.message}`, error.stack);
+		};
+
+	};
+
+	/**
+	 * 
+	 * @returns {number}
+	 */
+	calculateDefaultExpires() {
+		return (this.#expirationIsOnInterval) ? Cache.nextIntervalInSeconds(this.#defaultExpirationInSeconds, this.#syncedNowTimestampInSeconds) : this.#syncedLaterTimestampInSeconds;
+	};
+
+	/**
+	 * 
+	 * @returns {string}
+	 */
+	getStatus() {
+		return this.#status;
+	};
+
+	/**
+	 * Store data in cache. Returns a representation of data stored in the cache
+	 * @param {object} body 
+	 * @param {object} headers Any headers you want to pass along, including last-modified, etag, and expires. Note that if expires is included as a header here, then it will override the expires paramter passed to .update()
+	 * @param {number} statusCode Status code of original request
+	 * @param {number} expires Expiration unix timestamp in seconds
+	 * @returns {CacheDataFormat} Representation of data stored in cache
+	 */
+	update (body, headers, statusCode = 200, expires = 0, status = null) {
+
+		const prev = {
+			eTag: this.getETag(),
+			modified: this.getLastModified(),
+			expired: this.isExpired(),
+			empty: this.isEmpty()
+		};
+
+		// lowercase all the header keys so we can evaluate each
+		headers = Cache.lowerCaseKeys(headers);
+
+		/* Bring in headers
+		We'll keep the etag and last-modified. Also any specified
+		*/
+		let defaultHeadersToRetain = [
+			"content-type",
+			"etag",
+			"last-modified",
+			"ratelimit-limit",
+			"ratelimit-remaining",
+			"ratelimit-reset",
+			"x-ratelimit-limit",
+			"x-ratelimit-remaining",
+			"x-ratelimit-reset",
+			"retry-after"
+		];
+
+		// combine the standard headers with the headers specified for endpoint in custom/policies.json
+		let ptHeaders = [].concat(this.#headersToRetain, defaultHeadersToRetain);
+
+		// lowercase the headers we are looking for
+		let passThrough = ptHeaders.map(element => {
+			return element.toLowerCase();
+		});
+
+		let headersForCache = {};
+
+		// retain specified headers
+		passThrough.forEach(function( key ) {
+			if (key in headers) { headersForCache[key] = headers[key]; }
+		});
+
+		// let downstream caches know the response depends on these client request headers
+		if ( this.#vary.length > 0 ) {
+			const vary = ( "vary" in headers ) ? Cache.parseVary(headers.vary) : [];
+			headersForCache.vary = [...new Set(vary.concat(this.#vary))].join(", ");
+		}
+
+		// we'll set the default expires, in case the expires in header does not work out, or we don't use the header expires
+		if ( isNaN(expires) || expires === 0) {
+			expires = this.calculateDefaultExpires();
+		}
+		
+		// get the expires and max age (as timestamp)from headers if we don't insist on overriding
+		// unlike etag and last-modified, we won't move them over, but let the expires param in .update() do the talking
+		if ( !this.#overrideOriginHeaderExpiration && ("expires" in headers || ("cache-control" in headers && headers['cache-control'].includes("max-age") ))) { 
+
+			let age = this.#syncedNowTimestampInSeconds;
+			let exp = this.#syncedNowTimestampInSeconds;
+
+			if ("cache-control" in headers && headers['cache-control'].includes("max-age")) {
+				// extract max-age
+				let cacheControl = headers['cache-control'].split(",");
+				for(const p of cacheControl) {
+					if(p.trim().startsWith("max-age")) {
+						let maxage = parseInt(p.trim().split("=")[1], 10);
+						age = this.#syncedNowTimestampInSeconds + maxage; // convert to timestamp
+						break; // break out of for
+					}
+				}
+			}
+
+			if ("expires" in headers) {
+				exp = Cache.parseToSeconds(headers.expires);
+			}
+
+			// we will take the greater of max-age or expires, and if they are not 0 and not past, use it as expTimestamp
+			let max = ( exp > age ) ? exp : age;
+			if ( max !== 0 && expires > this.#syncedNowTimestampInSeconds) { expires = max; }
+
+		}
+
+		/* Write to Cache
+		We are now ready to write to the cache
+		*/
+		try {
+			this.#store = CacheData.write(this.#idHash, this.#syncedNowTimestampInSeconds, body, headersForCache, this.#hostId, this.#pathId, expires, statusCode, this.#encrypt, this.#tags);
+
+			// the write to storage completes in the background (see Cache.flush())
+			this.#write = CacheData.getWrite(this.#store);
+			if ( this.#write !== null ) {
+				this.#write.then( (written) => { if ( !written ) { this.#status = Cache.STATUS_WRITE_ERROR; } });
+			}
+
+			if (status === null) {
+				if (prev.empty) {
+					status = Cache.STATUS_NO_CACHE;
+				} else if (this.getETag() === prev.eTag || this.getLastModified() === prev.modified) {
+					status = Cache.STATUS_CACHE_SAME;
+				} else if (prev.expired) {
+					status = Cache.STATUS_EXPIRED;
+				} else {
+					status = Cache.STATUS_FORCED;
+				}					
+			}
+
+			this.#status = status; 
+
+			tools.DebugAndLog.debug("Cache Updated "+this.getStatus()+": "+this.#idHash);
+			
+		} catch (error) {
+			tools.DebugAndLog.error(`Cannot copy cached data to local store for evaluation: ${this.#idHash} ${error.message}`, error.stack);
+			if ( this.#store === null ) {
+				this.#store = CacheData.format(this.#syncedLaterTimestampInSeconds);
+			}
+			this.#status = Cache.STATUS_CACHE_ERROR;
+		};
+
+		return this.#store;
+			
+	};
+
+};
+
+/**
+ * Per host (or host and path) circuit breaker around calls to the original
+ * source made by CacheableDataAccess.getData().
+ * 
+ * Closed: calls are made. Failures (no response, 429, or 5xx) within
+ * windowInSeconds are counted and once failureThreshold is reached the
+ * breaker opens.
+ * Open: calls are skipped for openInSeconds and cached data is served.
+ * Half-open: after openInSeconds one call is let through to probe the
+ * original source. If it succeeds the breaker closes, otherwise it opens
+ * again.
+ * 
+ * State is kept per execution environment (container). When shared is set
+ * the time the breaker is open until is also written to the cache storage
+ * so other containers skip calls too.
+ */
+class CircuitBreaker {
+
+	static CLOSED = "closed";
+	static OPEN = "open";
+	static HALF_OPEN = "half-open";
+
+	static SHARED_STATE_TTL_IN_SECONDS = 5; // how long the shared state read from storage is used before reading it again
+
+	static #breakers = new Map();
+
+	#key = "";
+	#options = {};
+	#failures = [];
+	#openUntil = 0;
+	#probing = false;
+	#sharedStateReadAt = 0;
+
+	/**
+	 * @param {string} key 
+	 * @param {{failureThreshold: number, windowInSeconds: number, openInSeconds: number, scope: string, shared: boolean}} options From parseOptions()
+	 */
+	constructor (key, options) {
+		this.#key = key;
+		this.#options = options;
+	};
+
+	/**
+	 * Parse the circuitBreaker setting from a cache profile
+	 * @param {Object} options
+	 * @param {number} options.failureThreshold Failures within the window that open the breaker. Default: 5
+	 * @param {number} options.windowInSeconds Failures older than this are not counted. Default: 60
+	 * @param {number} options.openInSeconds How long calls are skipped before a probe is let through. Default: 30
+	 * @param {string} options.scope "host" for a breaker per hostId, or "path" for a breaker per hostId and pathId. Default: "host"
+	 * @param {boolean} options.shared Share the open state with other containers through the cache storage. Default: false
+	 * @returns {{failureThreshold: number, windowInSeconds: number, openInSeconds: number, scope: string, shared: boolean}|null} null if disabled
+	 */
+	static parseOptions (options) {
+		if ( options === null || typeof options !== "object" || options.enabled === false ) { return null; }
 		return {
-			get: this.get(),
-			getStatus: this.getStatus(),
-			getETag: this.getETag(),
-			getLastModified: this.getLastModified(),
-			getExpires: this.getExpires(),
-			getExpiresGMT: this.getExpiresGMT(),
-			getHeaders: this.getHeaders(),
-			getSyncedNowTimestampInSeconds: this.getSyncedNowTimestampInSeconds(),
-			getBody: this.getBody(),
-			getIdHash: this.getIdHash(),
-			getClassification: this.getClassification(),
-			needsRefresh: this.needsRefresh(),
-			isExpired: this.isExpired(),
-			isEmpty: this.isEmpty(),
-			isPrivate: this.isPrivate(),
-			isPublic: this.isPublic(),
-			currentStatus: this.getStatus(),
-			calculateDefaultExpires: this.calculateDefaultExpires()
+			failureThreshold: Math.max(1, parseInt(options.failureThreshold, 10) || 5),
+			windowInSeconds: Math.max(1, parseInt(options.windowInSeconds, 10) || 60),
+			openInSeconds: Math.max(1, parseInt(options.openInSeconds, 10) || 30),
+			scope: ( String(options.scope).toLowerCase() === "path" ) ? "path" : "host",
+			shared: Cache.bool(options.shared)
 		};
 	};
 
 	/**
-	 * 
-	 * @returns {CacheDataFormat}
+	 * Get the breaker for a cache profile. Profiles with the same hostId
+	 * (and pathId when the scope is path) share a breaker.
+	 * @param {Object} profile From Cache.profile()
+	 * @returns {CircuitBreaker|null} null if the profile does not use a circuit breaker
 	 */
-	get() {
-		return this.#store;
+	static forProfile (profile) {
+		const options = profile?.circuitBreaker || null;
+		if ( options === null ) { return null; }
+
+		const key = ( options.scope === "path" ) ? JSON.stringify([profile.hostId, profile.pathId]) : profile.hostId;
+
+		let breaker = this.#breakers.get(key);
+		if ( breaker === undefined ) {
+			breaker = new CircuitBreaker(key, options);
+			this.#breakers.set(key, breaker);
+		} else {
+			breaker.#options = options;
+		}
+		return breaker;
 	};
 
 	/**
-	 * 
-	 * @returns {string}
+	 * @returns {Array<{key: string, state: string, failures: number, openUntil: number}>} The state of each breaker in this container
 	 */
-	getSourceStatus() {
-		return this.#status;
+	static info () {
+		return [...this.#breakers.values()].map( (breaker) => breaker.info() );
 	};
 
 	/**
-	 * 
-	 * @returns {string}
+	 * Was the call to the original source a failure that counts towards
+	 * opening the breaker? Client errors (such as 404) are not.
+	 * @param {{success: boolean, statusCode: number}} originalSource The response from apiCallFunction
+	 * @returns {boolean}
 	 */
-	getETag() {
-		return this.getHeader("etag");
+	static isFailure (originalSource) {
+		if ( originalSource?.success ) { return false; }
+		const statusCode = parseInt(originalSource?.statusCode, 10) || 0;
+		return ( statusCode === 0 || statusCode === 429 || statusCode >= 500 );
 	};
 
 	/**
-	 * 
-	 * @returns {string} The falue of the cached header field last-modified
+	 * @returns {string} CircuitBreaker.CLOSED, OPEN, or HALF_OPEN
 	 */
-	getLastModified() {
-		return this.getHeader("last-modified");
+	getState () {
+		if ( this.#openUntil === 0 ) { return CircuitBreaker.CLOSED; }
+		return ( Date.now() < this.#openUntil ) ? CircuitBreaker.OPEN : CircuitBreaker.HALF_OPEN;
 	};
 
 	/**
-	 * 
-	 * @returns {number} Expiration timestamp in seconds
+	 * @returns {number} Seconds until a probe is let through, or 0 if the breaker is not open
 	 */
-	getExpires() {
-		let exp = (this.#store !== null) ? this.#store.cache.expires : 0;
-		return exp;
+	getSecondsUntilHalfOpen () {
+		return ( this.getState() === CircuitBreaker.OPEN ) ? Math.ceil((this.#openUntil - Date.now()) / 1000) : 0;
 	};
 
 	/**
-	 * Get the expiration as an internet formatted date used in headers.
-	 * 
-	 * Example: "Wed, 28 Jul 2021 12:24:11 GMT"
-	 * 
-	 * @returns {string} The expiration formated for use in headers. Same as expires header.
+	 * @returns {{key: string, state: string, failures: number, openUntil: number}} openUntil is a timestamp in seconds, or 0
 	 */
-	getExpiresGMT() {
-		return this.getHeader("expires");
+	info () {
+		return {
+			key: this.#key,
+			state: this.getState(),
+			failures: this.#failures.length,
+			openUntil: ( this.#openUntil > 0 ) ? CacheData.convertTimestampFromMilliToSeconds(this.#openUntil) : 0
+		};
 	};
 
 	/**
-	 * 
-	 * @returns {number} The calculated number of seconds from now until expires
+	 * May a call be made to the original source? When half-open only one
+	 * call (the probe) is allowed until it is recorded.
+	 * @returns {Promise<boolean>}
 	 */
-	calculateSecondsLeftUntilExpires() {
-		let secondsLeftUntilExpires = this.getExpires() - CacheData.convertTimestampFromMilliToSeconds( Date.now() );
-		if (secondsLeftUntilExpires < 0) { secondsLeftUntilExpires = 0; }
+	async allowRequest () {
+
+		// another container may have opened the breaker. The state is kept for a few seconds so we don't read storage before every call
+		const now = Date.now();
+		if ( this.#options.shared && this.getState() === CircuitBreaker.CLOSED && now - this.#sharedStateReadAt >= CircuitBreaker.SHARED_STATE_TTL_IN_SECONDS * 1000 ) {
+			this.#sharedStateReadAt = now;
+			const openUntil = await CacheData.readCircuitState(this.#key);
+			if ( openUntil > 0 ) {
+				this.#openUntil = CacheData.convertTimestampFromSecondsToMilli(openUntil);
+				tools.DebugAndLog.warn(`Circuit for ${this.#key} was opened by another instance. Skipping calls to the original source until ${CacheData.generateInternetFormattedDate(openUntil)}`);
+			}
+		}
 
-		return secondsLeftUntilExpires;
+		switch (this.getState()) {
+			case CircuitBreaker.CLOSED:
+				return true;
+			case CircuitBreaker.OPEN:
+				return false;
+			default:
+				if ( this.#probing ) { return false; }
+				this.#probing = true;
+				tools.DebugAndLog.log(`Circuit for ${this.#key} is half-open. Probing the original source`, "CIRCUIT");
+				return true;
+		}
 	};
 
 	/**
-	 * Example: public, max-age=123456
-	 * @returns {string} The value for cache-control header
+	 * Record a successful call. Closes the breaker if it was probing.
 	 */
-	getCacheControlHeaderValue() {
-		return this.getClassification() +", max-age="+this.calculateSecondsLeftUntilExpires();
+	async recordSuccess () {
+		const wasOpen = ( this.#openUntil > 0 );
+		this.#failures = [];
+		this.#openUntil = 0;
+		this.#probing = false;
+		if ( wasOpen ) {
+			tools.DebugAndLog.log(`Circuit for ${this.#key} is closed`, "CIRCUIT");
+			if ( this.#options.shared ) { await CacheData.writeCircuitState(this.#key, 0); }
+		}
 	};
 
 	/**
-	 * 
-	 * @returns {object|null} All the header key/value pairs for the cached object
+	 * Record a failed call. Opens the breaker if it was probing or the
+	 * failure threshold was reached.
 	 */
-	getHeaders() {
-		return (this.#store !== null && "headers" in this.#store.cache) ? this.#store.cache.headers : null;
+	async recordFailure () {
+		const now = Date.now();
+		const probe = this.#probing;
+
+		this.#probing = false;
+		this.#failures = this.#failures.filter( (t) => t > now - (this.#options.windowInSeconds * 1000) );
+		this.#failures.push(now);
+
+		if ( probe || ( this.#openUntil === 0 && this.#failures.length >= this.#options.failureThreshold ) ) {
+			this.#openUntil = now + (this.#options.openInSeconds * 1000);
+			tools.DebugAndLog.warn(`Circuit for ${this.#key} is open after ${(probe ? "a failed probe" : `${this.#failures.length} failures`)}. Skipping calls to the original source for ${this.#options.openInSeconds} seconds`);
+			CacheData.emitMetrics({}, { CircuitOpened: 1 }, null, { circuit: this.#key });
+			if ( this.#options.shared ) { await CacheData.writeCircuitState(this.#key, CacheData.convertTimestampFromMilliToSeconds(this.#openUntil)); }
+		}
 	};
+};
 
-	/**
-	 * 
-	 * @returns {string|null} The status code of the cache object
-	 */
-	getStatusCode() {
-		return (this.#store !== null && "statusCode" in this.#store.cache) ? this.#store.cache.statusCode : null;
+class CacheableDataAccess {
+	constructor() { };
+
+	static #prevId = -1;
+	static #pending = new Set();
+	static #inFlight = new Map();
+	static #revalidating = new Set();
+	static #refreshJobs = new Map();
+
+	static #getNextId() {
+		this.#prevId++;
+		return ""+this.#prevId;
+	};
+
+	static async prime() {
+		return CacheData.prime();
 	};
 
 	/**
-	 * 
-	 * @returns {number} Current error code for this cache
+	 * Get the idHash getData() would use for the cachePolicy, connection,
+	 * and data
+	 * @param {object} cachePolicy The same cache policy passed to getData()
+	 * @param {object} connection The same connection passed to getData()
+	 * @param {object} data The same data passed to getData()
+	 * @param {ClientRequest|Object} clientRequest The same clientRequest passed to getData(). Only used if the cache policy has vary
+	 * @returns {string} The idHash
 	 */
-	getErrorCode() {
-		return this.#errorCode;
+	static getIdHash(cachePolicy, connection, data = null, clientRequest = null) {
+		const idToHash = this.#getIdToHash(cachePolicy, connection, data, clientRequest);
+		return (new Cache(idToHash, cachePolicy)).getIdHash();
 	};
 
 	/**
-	 * Classification is used in the cache header to note how the data returned
-	 * should be treated in the cache. If it is private then it should be 
-	 * protected.
-	 * @returns {string} Based on whether the cache is stored as encrypted, returns "private" (encrypted) or "public" (not encrypted)
+	 * Explain what went into the idHash getData() would use for the
+	 * cachePolicy, connection, and data. Secrets are obfuscated using
+	 * tools.sanitize() but it should only be logged in non-production
+	 * environments. See Cache.explainIdHash()
+	 * @param {object} cachePolicy The same cache policy passed to getData()
+	 * @param {object} connection The same connection passed to getData()
+	 * @param {object} data The same data passed to getData()
+	 * @param {ClientRequest|Object} clientRequest The same clientRequest passed to getData(). Only used if the cache policy has vary
+	 * @returns {{idHash: string, algorithm: string, library: string, salt: string, scope: object, idHashRules: object, hashed: object}}
 	 */
-	getClassification() {
-		return (this.#encrypt ? Cache.PRIVATE : Cache.PUBLIC );
+	static explainIdHash(cachePolicy, connection, data = null, clientRequest = null) {
+		const idToHash = this.#getIdToHash(cachePolicy, connection, data, clientRequest);
+		return (new Cache(idToHash, cachePolicy)).explainIdHash();
 	};
 
 	/**
-	 * 
-	 * @returns {number} The timestamp in seconds of when the object was created and used for currency logic of the cache. (used as comparasion against expiration and for creating new expirations)
+	 * The object hashed to create the idHash. The normalized values of the
+	 * cache policy's vary headers are only included when it has them so
+	 * existing idHashes do not change.
+	 * @param {object} cachePolicy 
+	 * @param {object} connection 
+	 * @param {object} data 
+	 * @param {ClientRequest|Object} clientRequest 
+	 * @returns {{data: object, connection: object, cachePolicy: object, vary: object}}
 	 */
-	getSyncedNowTimestampInSeconds() {
-		return this.#syncedNowTimestampInSeconds;
+	static #getIdToHash(cachePolicy, connection, data, clientRequest) {
+		const idToHash = { data: data, connection: connection, cachePolicy: cachePolicy };
+		const vary = Cache.getVaryValues(cachePolicy?.vary, clientRequest);
+		if ( vary !== null ) { idToHash.vary = vary; }
+		return idToHash;
 	};
 
 	/**
-	 * 
-	 * @param {string} key The header key to access
-	 * @returns {string|number|null} The value assigned to the provided header key. null if it doesn't exist
+	 * Send the client's values for the vary headers to the original source
+	 * unless the connection already has them. The connection passed in is
+	 * not changed.
+	 * @param {object} connection 
+	 * @param {object} vary Normalized values by header key from Cache.getVaryValues()
+	 * @returns {object} The connection, or a copy with the vary headers added
 	 */
-	getHeader(key) {
-		let headers = this.getHeaders();
-		return ( headers !== null && key in headers) ? headers[key] : null
+	static #addVaryHeaders(connection, vary) {
+		if ( !vary ) { return connection; }
+		const headers = Object.assign({}, connection.headers);
+		const present = Object.keys(headers).map( (key) => key.toLowerCase() );
+		for (const [key, value] of Object.entries(vary)) {
+			if ( value !== "" && !present.includes(key) ) { headers[key] = value; }
+		}
+		return Object.assign({}, connection, { headers: headers });
 	};
 
 	/**
+	 * Remove the cached data getData() would return for the cachePolicy,
+	 * connection, and data so the next request goes to the original source.
+	 * Other warm instances may still serve it from their in-memory cache
+	 * (see Cache.invalidate()).
 	 * 
-	 * @param {boolean} parseBody If set to true then JSON decode will be used on the body before returning.
-	 * @returns {string|object|null} A string (as is) which could be encoded JSON but we want to leave it that way, an object if parseBody is set to true and it is parsable by JSON, or null if body is null
+	 * @example
+	 * await cache.CacheableDataAccess.invalidate(cacheProfile, conn, null);
+	 * 
+	 * @param {object} cachePolicy The same cache policy passed to getData()
+	 * @param {object} connection The same connection passed to getData()
+	 * @param {object} data The same data passed to getData()
+	 * @param {ClientRequest|Object} clientRequest The same clientRequest passed to getData()
+	 * @returns {Promise<boolean>} Whether or not the cached data was removed
 	 */
-	getBody(parseBody = false) {
-		let body = (this.#store !== null) ? this.#store.cache.body : null;
-		let bodyToReturn = null;
-
-		try {
-			bodyToReturn = (body !== null && parseBody) ? JSON.parse(body) : body;
-		} catch (error) {
-			tools.DebugAndLog.error(`Cache.getBody() parse error: ${error.message}`, error.stack);
-			tools.DebugAndLog.debug("Error parsing body", body);
-		};
-
-		return (( bodyToReturn !== null) ? bodyToReturn : body );
+	static async invalidate(cachePolicy, connection, data = null, clientRequest = null) {
+		return Cache.invalidate(this.getIdHash(cachePolicy, connection, data, clientRequest));
 	};
 
 	/**
-	 * Returns a plain data response in the form of an object. If a full HTTP
-	 * response is needed use generateResponseForAPIGateway()
-	 * @param {boolean} parseBody If true we'll return body as object
-	 * @returns {{statusCode: string, headers: object, body: string|object}} a plain data response in the form of an object
+	 * Expire the cached data getData() would return for the cachePolicy,
+	 * connection, and data. The data is kept so it may still be used if the
+	 * original source is in error or not modified. Other warm instances may
+	 * still serve it from their in-memory cache (see Cache.expire()).
+	 * @param {object} cachePolicy The same cache policy passed to getData()
+	 * @param {object} connection The same connection passed to getData()
+	 * @param {object} data The same data passed to getData()
+	 * @param {ClientRequest|Object} clientRequest The same clientRequest passed to getData()
+	 * @returns {Promise<boolean>} Whether or not the cached data existed and was expired
 	 */
-	getResponse(parseBody = false) {
-		let response = null;
-
-		if (this.#store !== null) {
-			response = {
-				statusCode: this.getStatusCode(),
-				headers: this.getHeaders(),
-				body: ( this.getBody(parseBody))
-			};
-		}
-
-		return response;
+	static async expire(cachePolicy, connection, data = null, clientRequest = null) {
+		return Cache.expire(this.getIdHash(cachePolicy, connection, data, clientRequest));
 	};
 
 	/**
+	 * Wait for background work, such as stale-while-revalidate refreshes,
+	 * and the writes to storage it and earlier requests made (see
+	 * Cache.flush()) to complete. Lambda freezes the execution environment
+	 * once the handler returns, so call (and await) flush() before
+	 * returning a response.
 	 * 
-	 * @param {object} parameters
-	 * @returns {{statusCode: string, headers: object, body: string}}
+	 * @example
+	 * const cacheObj = await cache.CacheableDataAccess.getData(cacheProfile, endpoint.getDataDirectFromURI, conn, null);
+	 * const response = cacheObj.generateResponseForAPIGateway({});
+	 * await cache.CacheableDataAccess.flush(2000);
+	 * return response;
+	 * 
+	 * @param {number} timeoutInMilliseconds Stop waiting after this many milliseconds. Default: 0 (wait until complete)
+	 * @returns {Promise<boolean>} true if all background work completed, false if the timeout was reached first
 	 */
-	generateResponseForAPIGateway( parameters ) {
-
-		const ifNoneMatch = ( ("ifNoneMatch" in parameters) ? parameters.ifNoneMatch : null);
-		const ifModifiedSince = ( ("ifModifiedSince" in parameters) ? parameters.ifModifiedSince : null);
+	static async flush(timeoutInMilliseconds = 0) {
 
-		const response = this.getResponse(false);
-
-		const additionalHeaders = {
-            "access-control-allow-origin": "*", // we've already checked referer access, and since this can only list one host it presents issues if it can be used across a set of hosts
-            "cache-control": this.getCacheControlHeaderValue(),
-            "x-cprxy-data-source": this.getSourceStatus()
-        };
+		// background work may write to storage, so wait for it first
+		const pending = Promise.allSettled([...this.#pending]).then(() => Cache.flush()).then(() => true);
 
-        // see if the client sent conditionals to elicit a 304 not modified and respond accordingly
-        if ( 
-			(ifNoneMatch !== null && "etag" in response.headers && ifNoneMatch === response.headers.etag) 
-            || (ifModifiedSince !== null &&  "last-modified" in response.headers && Date.parse(ifModifiedSince) >= Date.parse(response.headers['last-modified']) )
-		) {
-            // etag and last-modified match, so the client has the most recent copy in it's cache
-            response.statusCode = "304"; // return a Not Modified
-            response.body = null;
-        }
+		if ( timeoutInMilliseconds <= 0 ) { return pending; }
 
-        /*
-        Note: The response for an OK (200) status can be empty ("")
-        However, if a response code is not allowed to return a body, it is set
-        to null to signify that it should not be included in the response and 
-        filtered out at this step.
-        */
+		let timeout = null;
+		const timer = new Promise((resolve) => { timeout = setTimeout(() => resolve(false), timeoutInMilliseconds); });
+		const completed = await Promise.race([pending, timer]);
+		clearTimeout(timeout);
 
-        // set the statusCode if null
-        if (response.statusCode === null) { 
-			response.statusCode = "200";
+		if ( !completed ) {
+			tools.DebugAndLog.warn(`CacheableDataAccess.flush() timed out after ${timeoutInMilliseconds}ms with ${this.#pending.size} pending`);
 		}
 
-		response.headers = Object.assign(response.headers, additionalHeaders);
-
-		return response;
-
+		return completed;
 	};
 
 	/**
+	 * Pre-populate the cache by running each job through getData(). Use at
+	 * init (cold start), after a deploy or purge, or from a scheduled event
+	 * (see warmHandler()) so the first users of an endpoint do not wait on
+	 * the original source. Cached data that has not expired is left as is.
 	 * 
-	 * @returns {string}
-	 */
-	getIdHash() {
-		return this.#idHash;
-	};
-
-	/**
+	 * Jobs are run with up to `concurrency` at a time. Once the time budget
+	 * is used up no new jobs are started, and jobs still running are
+	 * reported as "running" rather than waited on.
 	 * 
-	 * @returns {boolean}
-	 */
-	needsRefresh() {
-		return (this.isExpired() || this.isEmpty());
-	};
-
-	/**
+	 * @example
+	 * const report = await cache.CacheableDataAccess.warm([
+	 * 	{ id: "games", cachePolicy: gamesProfile, apiCallFunction: endpoint.get, connection: gamesConn },
+	 * 	{ id: "weather", cachePolicy: weatherProfile, apiCallFunction: endpoint.get, connection: weatherConn, data: null }
+	 * ], { concurrency: 4, timeBudgetInMilliseconds: 5000 });
 	 * 
-	 * @returns {boolean}
+	 * @param {Array<{id: string, cachePolicy: object, apiCallFunction: Function, connection: object, data: object, clientRequest: object}>} jobs The same parameters passed to getData(). id is optional and used in the report and logs. clientRequest (an object of request headers) is only needed if the cache policy has vary
+	 * @param {Object} options
+	 * @param {number} options.concurrency Maximum number of jobs to run at the same time. Default: 4
+	 * @param {number} options.timeBudgetInMilliseconds Stop starting jobs after this many milliseconds. Default: 0 (no limit)
+	 * @returns {Promise<{total: number, succeeded: number, failed: number, skipped: number, running: number, elapsed: number, results: Array<{id: string, idHash: string, status: string, elapsed: number, error: string}>}>} Per-job status. status is the Cache status (such as "original" or "cache"), "error", "running", or "skipped"
 	 */
-	isExpired() {
-		return ( CacheData.convertTimestampFromSecondsToMilli(this.getExpires()) <= Date.now());
+	static async warm(jobs, options = {}) {
+		return this.#runJobs(jobs, options, "WARM", (job, result) => {
+			return this.getData(job.cachePolicy, job.apiCallFunction, job.connection, ( "data" in job ) ? job.data : null, { path: "warm", id: result.id }, ( "clientRequest" in job ) ? job.clientRequest : null);
+		});
 	};
 
 	/**
-	 * 
-	 * @returns {boolean}
+	 * Run jobs with up to `concurrency` at a time until they are complete
+	 * or the time budget is used up. Used by warm() and refreshAhead()
+	 * @param {Array<object>} jobs Objects with cachePolicy, connection, and data (optional), and id (optional)
+	 * @param {Object} options
+	 * @param {number} options.concurrency Maximum number of jobs to run at the same time. Default: 4
+	 * @param {number} options.timeBudgetInMilliseconds Stop starting jobs after this many milliseconds. Default: 0 (no limit)
+	 * @param {string} label For logging
+	 * @param {Function} run async (job, result) => Cache
+	 * @returns {Promise<object>} The report
 	 */
-	isEmpty() {
-		return (this.#store.cache.statusCode === null);
-	};
+	static async #runJobs(jobs, { concurrency = 4, timeBudgetInMilliseconds = 0 } = {}, label, run) {
 
-	/**
-	 * 
-	 * @returns {boolean}
-	 */
-	isPrivate() {
-		return this.#encrypt;
-	};
+		const timer = new tools.Timer(`timerCacheJobs_${label}`, true);
+		const budget = parseInt(timeBudgetInMilliseconds, 10) || 0;
+		const outOfTime = () => ( budget > 0 && timer.elapsed() >= budget );
 
-	/**
-	 * 
-	 * @returns {boolean}
-	 */
-	isPublic() {
-		return !this.#encrypt;
+		const results = jobs.map( (job, index) => {
+			let idHash = null;
+			try { idHash = this.getIdHash(job.cachePolicy, job.connection, ( "data" in job ) ? job.data : null, ( "clientRequest" in job ) ? job.clientRequest : null); } catch (error) { /* reported when the job is run */ }
+			return { id: ( "id" in job ) ? String(job.id) : String(index), idHash: idHash, status: "skipped", elapsed: 0, error: null };
+		});
+
+		let next = 0;
+
+		const worker = async () => {
+			while ( next < jobs.length && !outOfTime() ) {
+				const index = next++;
+				const job = jobs[index];
+				const result = results[index];
+				const started = timer.elapsed();
+
+				result.status = "running";
+
+				try {
+					// tracked so flush() waits for jobs still running when the time budget is used up
+					const running = run(job, result);
+					this.#track(running);
+					const cache = await running;
+					result.status = cache.getStatus();
+					if ( result.status.startsWith("error") ) { result.error = `Cache status ${result.status}`; }
+				} catch (error) {
+					result.status = "error";
+					result.error = ( error instanceof Error ) ? error.message : "getData() failed";
+				}
+
+				result.elapsed = timer.elapsed() - started;
+			}
+		};
+
+		const workers = Promise.all(Array.from({ length: Math.max(1, Math.min(parseInt(concurrency, 10) || 1, jobs.length)) }, worker));
+
+		if ( budget > 0 ) {
+			let timeout = null;
+			await Promise.race([workers, new Promise((resolve) => { timeout = setTimeout(resolve, budget); })]);
+			clearTimeout(timeout);
+		} else {
+			await workers;
+		}
+
+		// wait for any background refreshes started by the jobs
+		await this.flush( ( budget > 0 ) ? Math.max(1, budget - timer.elapsed()) : 0 );
+
+		timer.stop();
+
+		// copy the results as jobs that are still running will continue to update them
+		const snapshot = results.map( (r) => Object.assign({}, r) );
+		const count = (fn) => snapshot.filter(fn).length;
+		const report = {
+			total: snapshot.length,
+			succeeded: count( (r) => r.error === null && !["running", "skipped"].includes(r.status) ),
+			failed: count( (r) => r.error !== null ),
+			skipped: count( (r) => r.status === "skipped" ),
+			running: count( (r) => r.status === "running" ),
+			elapsed: timer.elapsed(),
+			results: snapshot
+		};
+
+		tools.DebugAndLog.log(`${report.succeeded} succeeded | ${report.failed} failed | ${report.skipped} skipped | ${report.running} running | ${report.elapsed}`, label);
+
+		return report;
 	};
 
 	/**
+	 * Create a Lambda handler that warms the cache, such as for an
+	 * EventBridge scheduled event. The time budget is limited to the time
+	 * remaining in the invocation.
 	 * 
-	 * @param {string} reason Reason for extending, either Cache.STATUS_ORIGINAL_ERROR or Cache.STATUS_ORIGINAL_NOT_MODIFIED
-	 * @param {number} seconds 
-	 * @param {number} errorCode
+	 * @example
+	 * // a Lambda function scheduled to run every 5 minutes
+	 * exports.handler = cache.CacheableDataAccess.warmHandler(
+	 * 	(event) => hotKeys.map( (key) => { return { id: key, cachePolicy, apiCallFunction: endpoint.get, connection: connectionFor(key) }; }),
+	 * 	{ concurrency: 8 }
+	 * );
+	 * 
+	 * @param {Array<object>|Function} jobs An array of jobs for warm(), or a (async) function that is passed the event and returns them
+	 * @param {Object} options The options for warm() along with:
+	 * @param {number} options.reserveMilliseconds Time to leave in the invocation after warming. Default: 500
+	 * @returns {Function} async (event, context) => report from warm()
 	 */
-	extendExpires(reason, seconds = 0, errorCode = 0) {
-
-		try {
-			
-			let cache = this.#store.cache;
-
-			// we will extend based on error extention if in error, we'll look at passed seconds and non-error default later
-			if (seconds === 0 && reason === Cache.STATUS_ORIGINAL_ERROR) {
-				seconds = this.#defaultExpirationExtensionOnErrorInSeconds;
-			}
+	static warmHandler(jobs, options = {}) {
 
-			// if the cache exists, we'll extend it
-			if ( cache !== null ) {
-				// statusCode
-				let statusCode = (cache.statusCode !== null) ? cache.statusCode : errorCode ; 
+		return async (event = {}, context = null) => {
 
-				// we are going to create a new expires header, so delete it if it exists so we start from now()
-				if (cache.headers !== null && "expires" in cache.headers) { delete cache.headers.expires; }
+			const list = ( typeof jobs === "function" ) ? await jobs(event) : jobs;
 
-				// calculate the new expires based on default (seconds === 0) or now() + seconds passed to this function
-				let expires = (seconds === 0) ? this.calculateDefaultExpires() : this.#syncedNowTimestampInSeconds + seconds;
+			return this.warm(list, this.#optionsForContext(options, context));
+		};
+	};
 
-				// if a reason was passed, use it only if it is a valid reason for extending. Otherwise null
-				let status = (reason === Cache.STATUS_ORIGINAL_ERROR || reason === Cache.STATUS_ORIGINAL_NOT_MODIFIED) ? reason : null;
+	/**
+	 * Register a getData() request to be kept warm by refreshAhead(). The
+	 * cache does not store how to re-fetch its data, so the job (including
+	 * the apiCallFunction and connection, which may contain secrets) is kept
+	 * in memory only. Register jobs during init of the function that runs
+	 * refreshAhead(), such as a scheduled Lambda (see refreshAheadHandler()).
+	 * 
+	 * @example
+	 * cache.CacheableDataAccess.registerRefreshJob("games", {
+	 * 	cachePolicy: gamesProfile, apiCallFunction: endpoint.get, connection: gamesConn
+	 * });
+	 * 
+	 * @param {string} id Name of the job. Used in the report and logs. Registering the same id again replaces the job
+	 * @param {{cachePolicy: object, apiCallFunction: Function, connection: object, data: object, clientRequest: object}} job The same parameters passed to getData(). clientRequest (an object of request headers) is only needed if the cache policy has vary
+	 * @returns {string} The idHash of the cache the job refreshes
+	 */
+	static registerRefreshJob(id, { cachePolicy, apiCallFunction, connection, data = null, clientRequest = null } = {}) {
 
-				// if we received an error, add it in in case we want to evaluate further
-				if (errorCode >= 400) { this.#errorCode = errorCode; }
+		if ( typeof id !== "string" || id === "" ) {
+			throw new Error("CacheableDataAccess.registerRefreshJob(): id must be a non-empty string");
+		}
 
-				// perform the update with existing info, but new expires and status
-				this.update( cache.body,  cache.headers, statusCode, expires, status);
-			} else {
-				tools.DebugAndLog.debug("Cache is null. Nothing to extend.");
-			}
+		if ( typeof apiCallFunction !== "function" || typeof cachePolicy !== "object" || cachePolicy === null || typeof connection !== "object" || connection === null ) {
+			throw new Error(`CacheableDataAccess.registerRefreshJob(): ${id} requires cachePolicy, apiCallFunction, and connection`);
+		}
 
-		} catch (error) {
-			tools.DebugAndLog.error(`Unable to extend cache: ${error.message}`, error.stack);
-		};
+		this.#refreshJobs.set(id, { id: id, cachePolicy: cachePolicy, apiCallFunction: apiCallFunction, connection: connection, data: data, clientRequest: clientRequest });
 
+		return this.getIdHash(cachePolicy, connection, data, clientRequest);
 	};
 
 	/**
-	 * 
-	 * @returns {number}
+	 * Remove a job added by registerRefreshJob()
+	 * @param {string} id Name of the job
+	 * @returns {boolean} Whether or not the job was registered
 	 */
-	calculateDefaultExpires() {
-		return (this.#expirationIsOnInterval) ? Cache.nextIntervalInSeconds(this.#defaultExpirationInSeconds, this.#syncedNowTimestampInSeconds) : this.#syncedLaterTimestampInSeconds;
+	static unregisterRefreshJob(id) {
+		return this.#refreshJobs.delete(id);
 	};
 
 	/**
-	 * 
-	 * @returns {string}
+	 * @returns {Array<{id: string, idHash: string}>} The jobs added by registerRefreshJob()
 	 */
-	getStatus() {
-		return this.#status;
+	static getRefreshJobs() {
+		return [...this.#refreshJobs.values()].map( (job) => {
+			return { id: job.id, idHash: this.getIdHash(job.cachePolicy, job.connection, job.data, job.clientRequest) };
+		});
 	};
 
 	/**
-	 * Store data in cache. Returns a representation of data stored in the cache
-	 * @param {object} body 
-	 * @param {object} headers Any headers you want to pass along, including last-modified, etag, and expires. Note that if expires is included as a header here, then it will override the expires paramter passed to .update()
-	 * @param {number} statusCode Status code of original request
-	 * @param {number} expires Expiration unix timestamp in seconds
-	 * @returns {CacheDataFormat} Representation of data stored in cache
+	 * Refresh the cache of registered jobs (see registerRefreshJob()) that
+	 * expire within the window, so users are served from the cache rather
+	 * than waiting on the original source after it expires. Jobs without
+	 * any cached data are left for getData() (or warm()) to fill.
+	 * 
+	 * Refreshes use the same If-None-Match/If-Modified-Since headers,
+	 * refresh lock, and single-flight as getData().
+	 * 
+	 * @example
+	 * const report = await cache.CacheableDataAccess.refreshAhead({ windowInSeconds: 120, concurrency: 4 });
+	 * 
+	 * @param {Object} options
+	 * @param {number} options.windowInSeconds Refresh cache that expires within this many seconds (or already has). Default: 300
+	 * @param {number} options.concurrency Maximum number of refreshes to run at the same time. Default: 4
+	 * @param {number} options.timeBudgetInMilliseconds Stop starting refreshes after this many milliseconds. Default: 0 (no limit)
+	 * @returns {Promise<object>} The same report as warm() for the jobs that were due, along with `checked`, the number of registered jobs
 	 */
-	update (body, headers, statusCode = 200, expires = 0, status = null) {
+	static async refreshAhead({ windowInSeconds = 300, ...options } = {}) {
 
-		const prev = {
-			eTag: this.getETag(),
-			modified: this.getLastModified(),
-			expired: this.isExpired(),
-			empty: this.isEmpty()
-		};
+		const jobs = [...this.#refreshJobs.values()];
+		const now = CacheData.convertTimestampFromMilliToSeconds(Date.now());
+		const storage = CacheData.getStorage();
 
-		// lowercase all the header keys so we can evaluate each
-		headers = Cache.lowerCaseKeys(headers);
+		const due = (await Promise.all(jobs.map( async (job) => {
+			try {
+				const record = await storage.head(this.getIdHash(job.cachePolicy, job.connection, job.data, job.clientRequest));
+				return ( record !== null && record.expires - now <= windowInSeconds ) ? job : null;
+			} catch (error) {
+				tools.DebugAndLog.error(`Unable to check cache for refresh-ahead job ${job.id}: ${error?.message}`, error?.stack);
+				return null;
+			}
+		}))).filter( (job) => job !== null );
 
-		/* Bring in headers
-		We'll keep the etag and last-modified. Also any specified
-		*/
-		let defaultHeadersToRetain = [
-			"content-type",
-			"etag",
-			"last-modified",
-			"ratelimit-limit",
-			"ratelimit-remaining",
-			"ratelimit-reset",
-			"x-ratelimit-limit",
-			"x-ratelimit-remaining",
-			"x-ratelimit-reset",
-			"retry-after"
-		];
+		tools.DebugAndLog.debug(`Refresh-ahead: ${due.length} of ${jobs.length} jobs expire within ${windowInSeconds} seconds`);
 
-		// combine the standard headers with the headers specified for endpoint in custom/policies.json
-		let ptHeaders = [].concat(this.#headersToRetain, defaultHeadersToRetain);
+		const report = await this.#runJobs(due, options, "REFRESH-AHEAD", (job, result) => this.#refreshAheadJob(job, result.id, windowInSeconds));
 
-		// lowercase the headers we are looking for
-		let passThrough = ptHeaders.map(element => {
-			return element.toLowerCase();
-		});
+		return Object.assign({ checked: jobs.length }, report);
+	};
 
-		let headersForCache = {};
+	/**
+	 * Create a Lambda handler that runs refreshAhead(), such as for an
+	 * EventBridge scheduled event. The time budget is limited to the time
+	 * remaining in the invocation. Schedule it to run more often than the
+	 * window so entries are refreshed before they expire.
+	 * 
+	 * @example
+	 * // a Lambda function scheduled to run every minute
+	 * cache.CacheableDataAccess.registerRefreshJob("games", { cachePolicy: gamesProfile, apiCallFunction: endpoint.get, connection: gamesConn });
+	 * exports.handler = cache.CacheableDataAccess.refreshAheadHandler({ windowInSeconds: 120 });
+	 * 
+	 * @param {Object} options The options for refreshAhead() along with:
+	 * @param {number} options.reserveMilliseconds Time to leave in the invocation after refreshing. Default: 500
+	 * @returns {Function} async (event, context) => report from refreshAhead()
+	 */
+	static refreshAheadHandler(options = {}) {
+		return async (event = {}, context = null) => {
+			return this.refreshAhead(this.#optionsForContext(options, context));
+		};
+	};
 
-		// retain specified headers
-		passThrough.forEach(function( key ) {
-			if (key in headers) { headersForCache[key] = headers[key]; }
-		});
+	/**
+	 * Limit the time budget of warm() or refreshAhead() options to the time
+	 * remaining in the Lambda invocation
+	 * @param {object} options Options passed to the handler
+	 * @param {object} context Lambda context
+	 * @returns {object} Options without reserveMilliseconds
+	 */
+	static #optionsForContext(options, context) {
 
-		// we'll set the default expires, in case the expires in header does not work out, or we don't use the header expires
-		if ( isNaN(expires) || expires === 0) {
-			expires = this.calculateDefaultExpires();
+		const { reserveMilliseconds = 500, ...jobOptions } = options;
+
+		if ( typeof context?.getRemainingTimeInMillis === "function" ) {
+			const remaining = Math.max(1, context.getRemainingTimeInMillis() - reserveMilliseconds);
+			const budget = parseInt(jobOptions.timeBudgetInMilliseconds, 10) || 0;
+			jobOptions.timeBudgetInMilliseconds = ( budget > 0 ) ? Math.min(budget, remaining) : remaining;
 		}
-		
-		// get the expires and max age (as timestamp)from headers if we don't insist on overriding
-		// unlike etag and last-modified, we won't move them over, but let the expires param in .update() do the talking
-		if ( !this.#overrideOriginHeaderExpiration && ("expires" in headers || ("cache-control" in headers && headers['cache-control'].includes("max-age") ))) { 
 
-			let age = this.#syncedNowTimestampInSeconds;
-			let exp = this.#syncedNowTimestampInSeconds;
+		return jobOptions;
+	};
 
-			if ("cache-control" in headers && headers['cache-control'].includes("max-age")) {
-				// extract max-age
-				let cacheControl = headers['cache-control'].split(",");
-				for(const p of cacheControl) {
-					if(p.trim().startsWith("max-age")) {
-						let maxage = parseInt(p.trim().split("=")[1], 10);
-						age = this.#syncedNowTimestampInSeconds + maxage; // convert to timestamp
-						break; // break out of for
-					}
-				}
-			}
+	/**
+	 * Refresh the cache for a registered job. If a getData() request for
+	 * the same idHash is in flight, its result is used instead.
+	 * @param {object} job A job added by registerRefreshJob()
+	 * @param {string} id For logging
+	 * @param {number} windowInSeconds Skip the refresh if another instance already refreshed past the window
+	 * @returns {Promise<Cache>}
+	 */
+	static async #refreshAheadJob(job, id, windowInSeconds) {
 
-			if ("expires" in headers) {
-				exp = Cache.parseToSeconds(headers.expires);
-			}
+		const { cachePolicy, apiCallFunction, data } = job;
+		const tags = { path: "refresh-ahead", id: id };
+		const idToHash = this.#getIdToHash(cachePolicy, job.connection, data, job.clientRequest);
+		const cache = new Cache(idToHash, cachePolicy);
+		const idHash = cache.getIdHash();
 
-			// we will take the greater of max-age or expires, and if they are not 0 and not past, use it as expTimestamp
-			let max = ( exp > age ) ? exp : age;
-			if ( max !== 0 && expires > this.#syncedNowTimestampInSeconds) { expires = max; }
+		let flight = this.#inFlight.get(idHash);
 
+		if ( flight !== undefined ) {
+			tools.DebugAndLog.debug(`Refresh-ahead joining in-flight request for ${idHash} (${tags.path}/${tags.id})`);
+			return flight;
 		}
 
-		/* Write to Cache
-		We are now ready to write to the cache
-		*/
-		try {
-			this.#store = CacheData.write(this.#idHash, this.#syncedNowTimestampInSeconds, body, headersForCache, this.#hostId, this.#pathId, expires, statusCode, this.#encrypt);
-
-			if (status === null) {
-				if (prev.empty) {
-					status = Cache.STATUS_NO_CACHE;
-				} else if (this.getETag() === prev.eTag || this.getLastModified() === prev.modified) {
-					status = Cache.STATUS_CACHE_SAME;
-				} else if (prev.expired) {
-					status = Cache.STATUS_EXPIRED;
-				} else {
-					status = Cache.STATUS_FORCED;
-				}					
+		flight = (async () => {
+			// the body is loaded even if the profile streams it as a 304 or error from the origin rewrites the record with it (see extendExpires())
+			await cache.read(false);
+			// another instance may have refreshed it already
+			if ( !cache.needsRefresh() && cache.calculateSecondsLeftUntilExpires() > windowInSeconds ) {
+				return cache;
 			}
+			// the job's connection is reused so send a copy that #refresh() can add headers to
+			const connection = this.#addVaryHeaders(Object.assign({}, job.connection, { headers: Object.assign({}, job.connection.headers) }), idToHash.vary);
+			return this.#refreshWithLock(cache, idToHash, cachePolicy, apiCallFunction, connection, data, tags);
+		})();
 
-			this.#status = status; 
+		this.#inFlight.set(idHash, flight);
+		flight.catch(() => {}).finally(() => this.#inFlight.delete(idHash));
 
-			tools.DebugAndLog.debug("Cache Updated "+this.getStatus()+": "+this.#idHash);
-			
-		} catch (error) {
-			tools.DebugAndLog.error(`Cannot copy cached data to local store for evaluation: ${this.#idHash} ${error.message}`, error.stack);
-			if ( this.#store === null ) {
-				this.#store = CacheData.format(this.#syncedLaterTimestampInSeconds);
-			}
-			this.#status = Cache.STATUS_CACHE_ERROR;
-		};
+		const result = await flight;
+		tools.DebugAndLog.log(`${idHash} | ${tags.path}/${tags.id} | ${result.getStatus()}`, "REFRESH-AHEAD");
 
-		return this.#store;
-			
+		return result;
 	};
 
-};
-
-class CacheableDataAccess {
-	constructor() { };
-
-	static #prevId = -1;
-
-	static #getNextId() {
-		this.#prevId++;
-		return ""+this.#prevId;
+	/**
+	 * The state of the circuit breakers used by cache profiles with
+	 * circuitBreaker set, in this execution environment
+	 * @returns {Array<{key: string, state: string, failures: number, openUntil: number}>} openUntil is a timestamp in seconds, or 0
+	 */
+	static getCircuitBreakers() {
+		return CircuitBreaker.info();
 	};
 
-	static async prime() {
-		return CacheData.prime();
+	/**
+	 * Track background work so that flush() can wait for it
+	 * @param {Promise} promise 
+	 */
+	static #track(promise) {
+		this.#pending.add(promise);
+		promise.catch(() => {}).finally(() => this.#pending.delete(promise));
 	};
 
 	/**
@@ -1927,6 +5832,12 @@ class CacheableDataAccess {
 	 * @param {string} cachePolicy.hostId
 	 * @param {string} cachePolicy.pathId
 	 * @param {boolean} cachePolicy.encrypt
+	 * @param {number} cachePolicy.refreshLockSeconds If greater than 0, a refresh lock (lease) held for this many seconds is stored with the cache so only one instance calls the origin when the cache expires. Others return the expired cache with status Cache.STATUS_REFRESH_IN_PROGRESS. Default: 0 (disabled)
+	 * @param {number} cachePolicy.refreshLockWaitMilliseconds If there is no cache to return while another instance holds the refresh lock, wait this long for it before calling the origin. Default: 1000
+	 * @param {Array|string} cachePolicy.vary Client request header keys (such as accept-language) whose values from clientRequest are used to generate the idHash. Default: [] (none)
+	 * @param {number} cachePolicy.staleWhileRevalidateSeconds If the cache expired less than this many seconds ago, return it with status Cache.STATUS_STALE_REVALIDATING and refresh in the background. Use CacheableDataAccess.flush() before the handler returns. Default: 0 (disabled)
+	 * @param {Object} cachePolicy.negativeCacheExpirationInSeconds Cache non-success responses with these status codes for the given seconds, such as { 404: 60 }. Default: {} (none)
+	 * @param {Object} cachePolicy.circuitBreaker After failureThreshold failures (no response, 429, or 5xx) from the original source within windowInSeconds, stop calling it for openInSeconds and return the cached data with status Cache.STATUS_CIRCUIT_OPEN (Cache.STATUS_CIRCUIT_OPEN_ERROR if there is none). Such as { failureThreshold: 5, windowInSeconds: 60, openInSeconds: 30, scope: "host", shared: false }. Default: null (disabled)
 	 * @param {object} apiCallFunction The function to call in order to make the request. This function can call ANY datasource (file, http endpoint, etc) as long as it returns a DAO object
 	 * @param {object} connection A connection object that specifies an id, location, and connectin details for the apiCallFunction to access data. If you have a Connection object pass conn.toObject()
 	 * @param {string} connection.method
@@ -1940,9 +5851,10 @@ class CacheableDataAccess {
 	 * @param {number} connection.options.timeout Number in ms for request to time out
 	 * @param {object} data An object passed to the apiCallFunction as a parameter. Set to null if the apiCallFunction does not require a data param
 	 * @param {object} tags For logging. Do not include sensitive information.
-	 * @returns {Promise<Cache>} A Cache object with either cached or fresh data.
+	 * @param {ClientRequest|Object} clientRequest The ClientRequest (or an object of request headers) to take the values of the cache policy's vary headers from. They are used to generate the idHash and are sent to the original source unless the connection has them. Default: null
+	 * @returns {Promise<Cache>} A Cache object with either cached or fresh data. Concurrent calls resolving to the same idHash share one read and one call to apiCallFunction and receive the same Cache object.
 	 */
-	static async getData(cachePolicy, apiCallFunction, connection, data = null, tags = {} ) {
+	static async getData(cachePolicy, apiCallFunction, connection, data = null, tags = {}, clientRequest = null ) {
 
 		return new Promise(async (resolve, reject) => {
 
@@ -1956,69 +5868,261 @@ class CacheableDataAccess {
 			tags.id = Cache.multipartId(tags.id, "/");
 
 			const timer = new tools.Timer(`timerGetCacheableData_${tags.path}::${tags.id}`, true);
-			const idToHash = { data: data, connection: connection, cachePolicy: cachePolicy };
+			const idToHash = this.#getIdToHash(cachePolicy, connection, data, clientRequest);
 			const cache = new Cache(idToHash, cachePolicy);
 			const idHash = cache.getIdHash();
 
+			/* Concurrent calls for the same idHash share a single read and
+			request to the original source (single-flight). Calls that join
+			an in-flight request receive the same Cache object. */
+			let flight = this.#inFlight.get(idHash);
+
+			if ( flight === undefined ) {
+				flight = this.#readAndRefresh(cache, idToHash, cachePolicy, apiCallFunction, this.#addVaryHeaders(connection, idToHash.vary), data, tags);
+				this.#inFlight.set(idHash, flight);
+				flight.catch(() => {}).finally(() => this.#inFlight.delete(idHash));
+			} else {
+				tools.DebugAndLog.debug(`Joining in-flight request for ${idHash} (${tags.path}/${tags.id})`);
+			}
+
 			try {
 				
-				await cache.read();
+				const result = await flight;
 
-				if ( cache.needsRefresh() ) {
+				timer.stop();
+				tools.DebugAndLog.log(`${idHash} | ${tags.path} | ${result.getStatus()} | ${timer.elapsed()}`, "CACHE");
 
-					tools.DebugAndLog.debug("Cache needs refresh.");
+				const profile = cache.profile();
+				CacheData.emitMetrics(
+					{ hostId: profile.hostId, pathId: profile.pathId, status: result.getStatus() },
+					CacheMetrics.countsForStatus(result.getStatus()),
+					timer.elapsed(),
+					{ idHash: idHash, requestId: `${tags.path}/${tags.id}` }
+				);
 
-					// add etag and last modified to connection
-					if ( !("headers" in connection)) { connection.headers = {}; }
-					if ( !("if-none-match" in connection.headers) && cache.getETag() !== null) { 
-						connection.headers['if-none-match'] = cache.getETag();
-					}
-					if (!("if-modified-since" in connection.headers) && cache.getLastModified() !== null) { 
-						connection.headers['if-modified-since'] = cache.getLastModified(); 
-					}
+				resolve(result);
 
-					// request data from original source
-					let originalSource = await apiCallFunction(connection, data);
-					
-					if ( originalSource.success ) {
+			} catch (error) {
+				timer.stop();
+				tools.DebugAndLog.error(`Error while getting data: (${tags.path}/${tags.id}) ${error?.message}`, error?.stack);
+				reject(cache);
+			};
+		});
+	};
 
-						try {
-							// check header and status for 304 not modified
-							if (originalSource.statusCode === 304) {
-                                tools.DebugAndLog.debug("Received 304 Not Modified. Extending cache");
-								cache.extendExpires(Cache.STATUS_ORIGINAL_NOT_MODIFIED, 0, originalSource.statusCode);
-							} else {
-								let body = ( typeof originalSource.body !== "object" ) ? originalSource.body : JSON.stringify(originalSource.body);
-								await CacheData.prime(); // can't proceed until we have the secrets
-								cache.update(body, originalSource.headers, originalSource.statusCode);
-							}
-							
-						} catch (error) {
-							tools.DebugAndLog.error(`Not successful in creating cache: ${idHash} (${tags.path}/${tags.id}) ${error.message}`, error.stack);
-						}
+	/**
+	 * Read the cache and, if needed, refresh it from the original source
+	 * @param {Cache} cache The Cache object to read into
+	 * @param {object} idToHash The object used to generate the idHash of cache
+	 * @param {object} cachePolicy The cache policy
+	 * @param {Function} apiCallFunction The function to call in order to make the request
+	 * @param {object} connection The connection object passed to apiCallFunction
+	 * @param {object} data The data object passed to apiCallFunction
+	 * @param {object} tags For logging
+	 * @returns {Promise<Cache>} cache with either cached or fresh data
+	 */
+	static async #readAndRefresh(cache, idToHash, cachePolicy, apiCallFunction, connection, data, tags) {
 
-					} else {
+		const idHash = cache.getIdHash();
+
+		await cache.read();
+
+		if ( cache.isStaleWhileRevalidate() ) {
 
-						tools.DebugAndLog.error(`${originalSource.statusCode} | Not successful in getting data from original source for cache. Extending cache expires. ${idHash} (${tags.path}/${tags.id})`, originalSource);
-						cache.extendExpires(Cache.STATUS_ORIGINAL_ERROR, 0, originalSource.statusCode);
+			// only one background refresh per idHash at a time
+			if ( !this.#revalidating.has(idHash) ) {
 
+				tools.DebugAndLog.debug("Cache expired but within stale-while-revalidate. Refreshing in background.");
+
+				// use a separate Cache object (and copy of connection) so the stale data we return is not changed during the refresh
+				const refreshCache = new Cache(idToHash, cachePolicy);
+				const refreshConnection = Object.assign({}, connection, { headers: Object.assign({}, connection.headers) });
+
+				this.#revalidating.add(idHash);
+				this.#track((async () => {
+					try {
+						await refreshCache.read();
+						// another instance may have refreshed it already
+						if ( refreshCache.needsRefresh() ) {
+							await this.#refreshWithLock(refreshCache, idToHash, cachePolicy, apiCallFunction, refreshConnection, data, tags);
+						}
+						tools.DebugAndLog.debug(`Background refresh complete: ${idHash} (${tags.path}/${tags.id}) ${refreshCache.getStatus()}`);
+					} catch (error) {
+						tools.DebugAndLog.error(`Error during background refresh: ${idHash} (${tags.path}/${tags.id}) ${error?.message}`, error?.stack);
+					} finally {
+						this.#revalidating.delete(idHash);
 					}
+				})());
+			}
+
+			cache.setStaleRevalidating();
+
+		} else if ( cache.needsRefresh() ) {
+			cache = await this.#refreshWithLock(cache, idToHash, cachePolicy, apiCallFunction, connection, data, tags);
+		}
+
+		return cache;
+	};
+
+	/**
+	 * If the cache profile uses a refresh lock, only refresh if the lock can
+	 * be acquired. Otherwise another instance is refreshing so we serve the
+	 * cached data we have. If there is no cached data we wait briefly for the
+	 * other instance to write it before calling the origin ourselves.
+	 * @param {Cache} cache The Cache object to update. It must already be read
+	 * @param {object} idToHash The object used to generate the idHash of cache
+	 * @param {object} cachePolicy The cache policy
+	 * @param {Function} apiCallFunction The function to call in order to make the request
+	 * @param {object} connection The connection object passed to apiCallFunction
+	 * @param {object} data The data object passed to apiCallFunction
+	 * @param {object} tags For logging
+	 * @returns {Promise<Cache>} The Cache object with either cached or fresh data. May be a different object than the one passed
+	 */
+	static async #refreshWithLock(cache, idToHash, cachePolicy, apiCallFunction, connection, data, tags) {
+
+		const idHash = cache.getIdHash();
+		const { refreshLockSeconds, refreshLockWaitMilliseconds } = cache.profile();
+
+		if ( refreshLockSeconds <= 0 ) {
+			await this.#refresh(cache, apiCallFunction, connection, data, tags);
+			return cache;
+		}
+
+		const owner = crypto.randomUUID();
+		const lockExpires = CacheData.convertTimestampFromMilliToSeconds(Date.now()) + refreshLockSeconds;
+
+		if ( await CacheData.acquireRefreshLock(idHash, owner, lockExpires) ) {
+			try {
+				await this.#refresh(cache, apiCallFunction, connection, data, tags);
+				// hold the lock until the refreshed data is in storage so other instances don't refresh as well
+				await cache.written();
+			} finally {
+				await CacheData.releaseRefreshLock(idHash, owner);
+			}
+			return cache;
+		}
+
+		tools.DebugAndLog.debug(`Refresh lock held by another instance: ${idHash} (${tags.path}/${tags.id})`);
+
+		if ( !cache.isEmpty() ) {
+			cache.setRefreshInProgress();
+			return cache;
+		}
+
+		// nothing to serve, so wait for the lock holder to write the cache
+		const waitUntil = Date.now() + refreshLockWaitMilliseconds;
+
+		while ( Date.now() < waitUntil ) {
+			await new Promise((resolve) => setTimeout(resolve, Math.min(100, Math.max(waitUntil - Date.now(), 0))));
+			const waiting = new Cache(idToHash, cachePolicy);
+			await waiting.read();
+			if ( !waiting.needsRefresh() ) {
+				waiting.setRefreshInProgress();
+				return waiting;
+			}
+		}
+
+		tools.DebugAndLog.warn(`Waited ${refreshLockWaitMilliseconds}ms for refresh lock holder. Calling origin: ${idHash} (${tags.path}/${tags.id})`);
+		await this.#refresh(cache, apiCallFunction, connection, data, tags);
+		return cache;
+	};
+
+	/**
+	 * Request data from the original source and update the cache
+	 * @param {Cache} cache The Cache object to update. It must already be read
+	 * @param {Function} apiCallFunction The function to call in order to make the request
+	 * @param {object} connection The connection object passed to apiCallFunction
+	 * @param {object} data The data object passed to apiCallFunction
+	 * @param {object} tags For logging
+	 */
+	static async #refresh(cache, apiCallFunction, connection, data, tags) {
+
+		const idHash = cache.getIdHash();
+
+		tools.DebugAndLog.debug("Cache needs refresh.");
+
+		// add etag and last modified to connection
+		if ( !("headers" in connection)) { connection.headers = {}; }
+		if ( !("if-none-match" in connection.headers) && cache.getETag() !== null) { 
+			connection.headers['if-none-match'] = cache.getETag();
+		}
+		if (!("if-modified-since" in connection.headers) && cache.getLastModified() !== null) { 
+			connection.headers['if-modified-since'] = cache.getLastModified(); 
+		}
+
+		// skip the original source while its circuit breaker is open
+		const breaker = CircuitBreaker.forProfile(cache.profile());
+
+		if ( breaker !== null && !(await breaker.allowRequest()) ) {
+			const hadData = !cache.isEmpty();
+			tools.DebugAndLog.debug(`Circuit open. Not calling original source. ${idHash} (${tags.path}/${tags.id})`);
+			// hold the cached data (or an error if there is none) until the breaker lets a probe through
+			cache.extendExpires(Cache.STATUS_ORIGINAL_ERROR, breaker.getSecondsUntilHalfOpen() || 1, 503);
+			cache.setCircuitOpen(hadData);
+			return;
+		}
+
+		// request data from original source
+		let originalSource = null;
+
+		try {
+			originalSource = await apiCallFunction(connection, data);
+		} catch (error) {
+			if ( breaker !== null ) { await breaker.recordFailure(); }
+			throw error;
+		}
+
+		if ( breaker !== null ) {
+			if ( CircuitBreaker.isFailure(originalSource) ) { await breaker.recordFailure(); } else { await breaker.recordSuccess(); }
+		}
+		
+		if ( originalSource.success ) {
+
+			try {
+				// check header and status for 304 not modified
+				if (originalSource.statusCode === 304) {
+					tools.DebugAndLog.debug("Received 304 Not Modified. Extending cache");
+					cache.extendExpires(Cache.STATUS_ORIGINAL_NOT_MODIFIED, 0, originalSource.statusCode);
+				} else {
+					let body = ( typeof originalSource.body !== "object" || Buffer.isBuffer(originalSource.body) ) ? originalSource.body : JSON.stringify(originalSource.body);
+					await CacheData.prime(); // can't proceed until we have the secrets
+					cache.update(body, originalSource.headers, originalSource.statusCode);
 				}
+				
+			} catch (error) {
+				tools.DebugAndLog.error(`Not successful in creating cache: ${idHash} (${tags.path}/${tags.id}) ${error.message}`, error.stack);
+			}
 
-				timer.stop();
-				tools.DebugAndLog.log(`${idHash} | ${tags.path} | ${cache.getStatus()} | ${timer.elapsed()}`, "CACHE");
-				resolve(cache);
+		} else if ( cache.getNegativeCacheExpirationInSeconds(originalSource.statusCode) > 0 ) {
 
+			// cache the response (such as a 404) so repeated requests for it do not go to the original source
+			tools.DebugAndLog.debug(`${originalSource.statusCode} | Caching response from original source for ${cache.getNegativeCacheExpirationInSeconds(originalSource.statusCode)} seconds. ${idHash} (${tags.path}/${tags.id})`);
+
+			try {
+				let body = ( originalSource.body === null || typeof originalSource.body === "undefined" ) ? "" : ( typeof originalSource.body !== "object" || Buffer.isBuffer(originalSource.body) ) ? originalSource.body : JSON.stringify(originalSource.body);
+				await CacheData.prime();
+				cache.update(body, originalSource.headers || {}, originalSource.statusCode, cache.getSyncedNowTimestampInSeconds() + cache.getNegativeCacheExpirationInSeconds(originalSource.statusCode));
 			} catch (error) {
-				timer.stop();
-				tools.DebugAndLog.error(`Error while getting data: (${tags.path}/${tags.id}) ${error.message}`, error.stack);
-				reject(cache);
-			};
-		});
+				tools.DebugAndLog.error(`Not successful in creating cache: ${idHash} (${tags.path}/${tags.id}) ${error.message}`, error.stack);
+			}
+
+		} else {
+
+			tools.DebugAndLog.error(`${originalSource.statusCode} | Not successful in getting data from original source for cache. Extending cache expires. ${idHash} (${tags.path}/${tags.id})`, originalSource);
+			cache.extendExpires(Cache.STATUS_ORIGINAL_ERROR, 0, originalSource.statusCode);
+
+		}
 	};
 };
 
 module.exports = {
 	Cache,
-	CacheableDataAccess
+	CacheableDataAccess,
+	CacheStorage,
+	DynamoDbS3Storage,
+	MemoryStorage,
+	FileSystemStorage,
+	KeyWrapProvider,
+	LocalKeyWrapProvider,
+	KmsKeyWrapProvider
 };
\ No newline at end of file
@@ -3,6 +3,7 @@
 const https = require('https');
 const {AWS, AWSXRay} = require('./AWS.classes.js');
 const DebugAndLog = require('./DebugAndLog.class.js');
+const { isBinaryContentType } = require('./utils.js');
 
 /* Either return an XRay segment or mock one up so we don't need much logic if xray isn't used */
 const xRayProxyFunc = {
@@ -49,7 +50,7 @@ const _httpGetExecute = async function (options, requestObject, xRaySegment = xR
 		const redirects = requestObject.getNumberOfRedirects();
 		const uri = requestObject.getURI();
 
-		let body = "";
+		let chunks = [];
 
 		/*
 		Perform the https.get()
@@ -142,12 +143,16 @@ const _httpGetExecute = async function (options, requestObject, xRaySegment = xR
 						What to do on "data", "end" and "error"
 						*/
 
-						res.on('data', (chunk) => { body += chunk; });
+						res.on('data', (chunk) => { chunks.push(chunk); });
 
 						res.on('end', () => { 
 
 							try {
 
+								// binary bodies (images, pdfs, etc) are kept as a Buffer, everything else is a string
+								const buffer = Buffer.concat(chunks);
+								const body = isBinaryContentType(res.headers['content-type']) ? buffer : buffer.toString('utf8');
+
 								let success = (res.statusCode < 400);
 
 								xRaySegment.addAnnotation('response_status', res.statusCode);
@@ -647,13 +652,13 @@ class APIRequest {
 	 * @param {number} statusCode 
 	 * @param {string} message 
 	 * @param {object} headers 
-	 * @param {string} body 
+	 * @param {string|Buffer} body A Buffer when the content-type is binary
 	 * @returns { 
 	 * 	 {
 	 *  	success: boolean
 	 *  	statusCode: number
 	 *  	headers: object
-	 *  	body: string
+	 *  	body: string|Buffer
 	 *  	message: string
 	 *   }
 	 * }
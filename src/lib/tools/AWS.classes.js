@@ -53,13 +53,16 @@ if (AWSXRay !== null) {
  * @property {object} dynamo.put function(params) Given a DynamoDb param object, uses the correct SDK version to perform a DynamoDb put command
  * @property {object} dynamo.get function(params) Given a DynamoDb param object, uses the correct SDK version to perform a DynamoDb get command
  * @property {object} dynamo.scan function(params) Given a DynamoDb param object, uses the correct SDK version to perform a DynamoDb scan command
+ * @property {object} dynamo.query function(params) Given a DynamoDb param object, uses the correct SDK version to perform a DynamoDb query command
  * @property {object} dynamo.delete function(params) Given a DynamoDb param object, uses the correct SDK version to perform a DynamoDb delete command
  * @property {object} dynamo.update function(params) Given a DynamoDb param object, uses the correct SDK version to perform a DynamoDb update command
  * @property {object} s3
  * @property {object} s3.client S3 client (either V2 or V3)
- * @property {object} s3.sdk V2: { S3 }, V3: { S3Client, GetObjectCommand, PutObjectCommand }
+ * @property {object} s3.sdk V2: { S3 }, V3: { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command }
  * @property {object} s3.put function(params) Given an S3 param object, uses the correct SDK version to perform a S3 put command
  * @property {object} s3.get function(params) Given an S3 param object, uses the correct SDK version to perform a S3 get command
+ * @property {object} s3.delete function(params) Given an S3 param object, uses the correct SDK version to perform a S3 delete command
+ * @property {object} s3.list function(params) Given an S3 param object, uses the correct SDK version to perform a S3 list objects (V2) command
  * @property {object} ssm
  * @property {object} ssm.client SSM client (either V2 or V3)
  * @property {object} ssm.sdk V2: { SSM }, V3: { SSMClient, GetParameterCommand, GetParametersByPathCommand }
@@ -141,6 +144,7 @@ class AWS {
 						put: (client, params) => client.put(params).promise(),
 						get: (client, params) => client.get(params).promise(),
 						scan: (client, params) => client.scan(params).promise(),
+						query: (client, params) => client.query(params).promise(),
 						delete: (client, params) => client.delete(params).promise(),
 						update: (client, params) => client.update(params).promise(),
 						sdk: { DynamoDB }
@@ -149,6 +153,8 @@ class AWS {
 						client: (new S3()),
 						put: (client, params) => client.putObject(params).promise(),
 						get: (client, params) => client.getObject(params).promise(),
+						delete: (client, params) => client.deleteObject(params).promise(),
+						list: (client, params) => client.listObjectsV2(params).promise(),
 						sdk: { S3 }
 					},
 					ssm: {
@@ -160,8 +166,8 @@ class AWS {
 				}
 			} else {
 				const { DynamoDBClient} = require("@aws-sdk/client-dynamodb");
-				const { DynamoDBDocumentClient, GetCommand, PutCommand, ScanCommand, DeleteCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
-				const { S3, GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+				const { DynamoDBDocumentClient, GetCommand, PutCommand, ScanCommand, QueryCommand, DeleteCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+				const { S3, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require("@aws-sdk/client-s3");
 				const { SSMClient, GetParametersByPathCommand, GetParametersCommand } = require("@aws-sdk/client-ssm");
 
 				return {
@@ -172,6 +178,7 @@ class AWS {
 						put: (client, params) => client.send(new PutCommand(params)),
 						get: (client, params) => client.send(new GetCommand(params)),
 						scan: (client, params) => client.send(new ScanCommand(params)),
+						query: (client, params) => client.send(new QueryCommand(params)),
 						delete: (client, params) => client.send(new DeleteCommand(params)),
 						update: (client, params) => client.send(new UpdateCommand(params)),
 						sdk: {
@@ -187,10 +194,14 @@ class AWS {
 							: new S3()),
 						put: (client, params) => client.send(new PutObjectCommand(params)),
 						get: (client, params) => client.send(new GetObjectCommand(params)),
+						delete: (client, params) => client.send(new DeleteObjectCommand(params)),
+						list: (client, params) => client.send(new ListObjectsV2Command(params)),
 						sdk: {
 							S3,
 							GetObjectCommand,
-							PutObjectCommand							
+							PutObjectCommand,
+							DeleteObjectCommand,
+							ListObjectsV2Command
 						}
 
 					},
@@ -217,6 +228,7 @@ class AWS {
 			put: ( params ) => this.#SDK.dynamo.put(this.#SDK.dynamo.client, params),
 			get: ( params ) => this.#SDK.dynamo.get(this.#SDK.dynamo.client, params),
 			scan: ( params ) => this.#SDK.dynamo.scan(this.#SDK.dynamo.client, params),
+			query: ( params ) => this.#SDK.dynamo.query(this.#SDK.dynamo.client, params),
 			delete: ( params ) => this.#SDK.dynamo.delete(this.#SDK.dynamo.client, params),
 			update: ( params ) => this.#SDK.dynamo.update(this.#SDK.dynamo.client, params),
 			sdk: this.#SDK.dynamo.sdk
@@ -228,6 +240,8 @@ class AWS {
 			client: this.#SDK.s3.client,
 			put: ( params ) => this.#SDK.s3.put(this.#SDK.s3.client, params),
 			get: ( params ) => this.#SDK.s3.get(this.#SDK.s3.client, params),
+			delete: ( params ) => this.#SDK.s3.delete(this.#SDK.s3.client, params),
+			list: ( params ) => this.#SDK.s3.list(this.#SDK.s3.client, params),
 			sdk: this.#SDK.s3.sdk
 		};
 	}
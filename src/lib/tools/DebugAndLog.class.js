@@ -374,6 +374,24 @@ class DebugAndLog {
 		return DebugAndLog.writeLog(tag, message, obj);
 	};
 
+	/**
+	 * Level 0 - Metrics
+	 * Writes the object as a single line of JSON without a tag so that it
+	 * can be extracted by CloudWatch as Embedded Metric Format (EMF).
+	 * The object is not sanitized, so it should only contain metric names,
+	 * dimensions, and values.
+	 * https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html
+	 * @param {object} emf An object containing the _aws metadata, dimensions, and metric values
+	 */
+	static async metric(emf) {
+		try {
+			console.log(JSON.stringify(emf));
+		} catch (error) {
+			console.error('Logging failed:', error);
+		}
+		return true;
+	};
+
 	/**
 	 * Level 0 - Warnings
 	 * Errors are handled and execution continues.
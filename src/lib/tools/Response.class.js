@@ -39,7 +39,8 @@ class Response {
 		TEXT: Response.#textResponses.contentType,
 		JAVASCRIPT: 'application/javascript',
 		CSS: 'text/css',
-		CSV: 'text/csv'
+		CSV: 'text/csv',
+		BINARY: 'application/octet-stream'
 	};
 
 	static #settings = {
@@ -139,9 +140,10 @@ class Response {
 			contentType = (result !== null) ? result : Response.#settings.contentType;
 		}
 
-		const genericResponses = Response.getGenericResponses(contentType);
+		// generic responses are only needed to fill in what was not provided (and only exist for text content types)
+		const genericResponses = ( ( obj?.headers && obj?.body ) || Buffer.isBuffer(obj?.body) ) ? null : Response.getGenericResponses(contentType);
 
-		newObj.headers = obj?.headers ?? genericResponses.response(newObj.statusCode).headers;
+		newObj.headers = obj?.headers ?? genericResponses?.response(newObj.statusCode).headers ?? {};
 		newObj.body = obj?.body ?? genericResponses.response(newObj.statusCode).body;
 
 		this.set(newObj, contentType);
@@ -234,7 +236,9 @@ class Response {
 	 */
 	static inspectBodyContentType = (body) => {
 		if (body !== null) {
-			if (typeof body === 'string') {
+			if (Buffer.isBuffer(body)) {
+				return Response.CONTENT_TYPE.BINARY;
+			} else if (typeof body === 'string') {
 				if (body.includes('</html>')) {
 					return Response.CONTENT_TYPE.HTML;
 				} else if (body.includes('</rss>')) {
@@ -408,13 +412,15 @@ class Response {
 	/**
 	 * Send the response back to the client. If the body is an object or array, it will be stringified.
 	 * If the body is a string or number and the Content-Type header is json, it will be placed as a single element in an array then stringified.
+	 * If the body is a Buffer (binary data such as an image) it will be base64 encoded and isBase64Encoded will be true.
 	 * If the body of the response is null it returns null
 	 * A response log entry is also created and sent to CloudWatch.
-	 * @returns {{statusCode: number, headers: object, body: string}} An object containing response data formatted to return from Lambda
+	 * @returns {{statusCode: number, headers: object, body: string, isBase64Encoded: boolean}} An object containing response data formatted to return from Lambda
 	 */
 	finalize = () => {
 
 		let bodyAsString = null;
+		let isBase64Encoded = false;
 
 		try {
 			// if the header response type is not set, determine from contents of body. default to json
@@ -427,7 +433,13 @@ class Response {
 				this.reset({statusCode: 500});
 			}
 
-			if (this._body !== null) { // we'll keep null as null
+			if (Buffer.isBuffer(this._body)) {
+
+				// binary data is sent base64 encoded and decoded by API Gateway
+				bodyAsString = this._body.toString('base64');
+				isBase64Encoded = true;
+
+			} else if (this._body !== null) { // we'll keep null as null
 
 				// if response type is JSON we need to make sure we respond with stringified json
 				if (this._headers['Content-Type'] === Response.CONTENT_TYPE.JSON) {
@@ -454,6 +466,7 @@ class Response {
 			DebugAndLog.error(`Error Finalizing Response: ${error.message}`, error.stack);
 			this.reset({statusCode: 500});
 			bodyAsString = JSON.stringify(this._body); // we reset to 500 so stringify it
+			isBase64Encoded = false;
 		}
 
 		try {
@@ -480,12 +493,14 @@ class Response {
 			DebugAndLog.error(`Error Finalizing Response: Header and Logging Block: ${error.message}`, error.stack);
 			this.reset({statusCode: 500});
 			bodyAsString = JSON.stringify(this._body); // we reset to 500 so stringify it
+			isBase64Encoded = false;
 		}
 
 		return {
 			statusCode: this._statusCode,
 			headers: this._headers,
-			body: bodyAsString
+			body: bodyAsString,
+			isBase64Encoded: isBase64Encoded
 		};
 		
 	};
@@ -33,7 +33,7 @@ const htmlGenericResponse = require('./generic.response.html');
 const xmlGenericResponse = require('./generic.response.xml');
 const rssGenericResponse = require('./generic.response.rss');
 const textGenericResponse = require('./generic.response.text');
-const { printMsg, sanitize, obfuscate, hashThisData} = require('./utils');
+const { printMsg, sanitize, obfuscate, hashThisData, isBinaryContentType } = require('./utils');
 const { CachedParameterSecrets, CachedParameterSecret, CachedSSMParameter, CachedSecret } = require('./CachedParametersSecrets.classes')
 const { Connections, Connection, ConnectionRequest, ConnectionAuthentication } = require('./Connections.classes')
 
@@ -314,5 +314,6 @@ module.exports = {
 	printMsg,
 	sanitize,
 	obfuscate,
-	hashThisData
+	hashThisData,
+	isBinaryContentType
 };
\ No newline at end of file
@@ -297,9 +297,52 @@ const hashThisData = function(algorithm, data, options = {}) {
 	return hashOfData;
 };
 
+/* Content types that are not text, even though they are not under image/, audio/, video/, or font/ */
+const BINARY_CONTENT_TYPES = [
+	"application/octet-stream",
+	"application/pdf",
+	"application/zip",
+	"application/gzip",
+	"application/x-gzip",
+	"application/x-tar",
+	"application/x-7z-compressed",
+	"application/wasm",
+	"application/x-protobuf",
+	"application/vnd.ms-fontobject",
+	"application/msword",
+	"application/vnd.ms-excel",
+	"application/vnd.ms-powerpoint"
+];
+
+/**
+ * Does the content type describe binary (non-text) data such as images,
+ * PDFs, and archives? Binary bodies must be kept as a Buffer and sent to
+ * API Gateway base64 encoded.
+ * 
+ * @example
+ * isBinaryContentType("image/png"); // true
+ * isBinaryContentType("image/svg+xml"); // false
+ * isBinaryContentType("application/json; charset=utf-8"); // false
+ * 
+ * @param {string} contentType The value of the content-type header. Any parameters (such as charset) are ignored
+ * @returns {boolean} true if the content type is binary
+ */
+const isBinaryContentType = function(contentType) {
+	if ( typeof contentType !== "string" ) { return false; }
+
+	const type = contentType.split(";")[0].trim().toLowerCase();
+
+	if ( type === "image/svg+xml" ) { return false; } // svg is xml
+	if ( /^(image|audio|video|font)\//.test(type) ) { return true; }
+	if ( type.startsWith("application/vnd.openxmlformats-officedocument.") ) { return true; }
+
+	return BINARY_CONTENT_TYPES.includes(type);
+};
+
 module.exports = {
 	printMsg,
 	sanitize,
 	obfuscate,
-	hashThisData
+	hashThisData,
+	isBinaryContentType
 };
\ No newline at end of file
@@ -1,32 +1,58 @@
 import { expect } from 'chai';
-import { randomBytes } from "crypto"; // included by aws so don't need to add to package
+import { randomBytes, createCipheriv, createHash } from "crypto"; // included by aws so don't need to add to package
+import { mkdtempSync, rmSync, readdirSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import sinon from 'sinon';
 
-import { Cache } from '../../src/lib/dao-cache.js';
+import { Cache, CacheableDataAccess, MemoryStorage, FileSystemStorage, DynamoDbS3Storage, KmsKeyWrapProvider } from '../../src/lib/dao-cache.js';
+import { AWS, ClientRequest } from '../../src/lib/tools/index.js';
+import { testEventA } from '../helpers/test-event.js';
+import { testContextA } from '../helpers/test-context.js';
 
 /* ****************************************************************************
  *	Cache Object
  */
 
+// Cache.init() can only be called once, so all cache tests share this storage
+const testStorage = new MemoryStorage();
+
+// CodeWhisperer prompt:
+// generate a 256-bit key for encryption in hex format
+const testKey = randomBytes(32).toString('hex');
+const dataKey = Buffer.from(testKey, Cache.CRYPT_ENCODING);
+const previousKey = randomBytes(32); // used to test key rotation
+
  describe("Cache Object", () => {
 
 
 	describe("Test Cache Settings", () => {
 
-		// CodeWhisperer prompt:
-		// generate a 256-bit key for encryption in hex format
-		const testKey = randomBytes(32).toString('hex');
-		const dataKey = Buffer.from(testKey, Cache.CRYPT_ENCODING);
-
 		const cacheInit = {
 			dynamoDbTable: "myDynamoDbTable",
 			s3Bucket: "myS3Bucket",
-			secureDataAlgorithm: "aes-256-cbc",
+			secureDataAlgorithm: "aes-256-gcm",
+			legacySecureDataAlgorithm: "aes-256-cbc",
+			secureDataKeyId: "test-2",
+			previousSecureDataKeys: { "default": previousKey.toString('hex') },
+			reEncryptOnRead: true,
+			envelopeEncryption: true,
 			secureDataKey: dataKey, // this is not a real key - NEVER STORE KEYS IN REAL CODE!
 			idHashAlgorithm: "RSA-SHA256",
+			cacheNamespace: "cache-data-tests",
+			cacheVersion: 1,
 			DynamoDbMaxCacheSize_kb: 10,
 			purgeExpiredCacheEntriesAfterXHours: 24,
 			defaultExpirationExtensionOnErrorInSeconds: 300,
-			timeZoneForInterval: "America/Chicago" // if caching on interval, we need a timezone to account for calculating hours, days, and weeks. List: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
+			timeZoneForInterval: "America/Chicago", // if caching on interval, we need a timezone to account for calculating hours, days, and weeks. List: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
+			storage: testStorage, // so we can test without DynamoDb and S3
+			memoryCacheMaxEntries: 100,
+			memoryCacheMaxBytes: 1048576,
+			compression: "gzip",
+			compressionThreshold_kb: 2,
+			rawBodyThreshold_kb: 64,
+			metrics: { namespace: "CacheDataTest", dimensions: [["hostId", "pathId"], ["service"]], dimensionValues: { service: "test" } },
+			retry: { baseDelayInMilliseconds: 1, maxDelayInMilliseconds: 5, s3: { maxAttempts: 2 } }
 		};
 
 		const connection = {
@@ -84,11 +110,26 @@ import { Cache } from '../../src/lib/dao-cache.js';
 			expect(info.s3Bucket.bucket).to.equal(cacheInit.s3Bucket);
 			expect(info.s3Bucket.path).to.equal("cache/");
 			expect(info.secureDataKey).to.equal("************** [buffer]");
+			expect(info.secureDataAlgorithm).to.equal(cacheInit.secureDataAlgorithm);
+			expect(info.legacySecureDataAlgorithm).to.equal(cacheInit.legacySecureDataAlgorithm);
+			expect(info.secureDataKeyId).to.equal("test-2");
+			expect(info.previousSecureDataKeys).to.deep.equal(["default: ************** [string]"]);
+			expect(info.reEncryptOnRead).to.equal(true);
+			expect(info.envelopeEncryption).to.deep.equal({ enabled: true, keyWrapProvider: { type: "LocalKeyWrapProvider", keyId: "test-2" } });
 			expect(info.timeZoneForInterval).to.equal(cacheInit.timeZoneForInterval);
 			expect(info.offsetInMinutes).to.equal(timezoneOffset);
 			expect(info.idHashAlgorithm).to.equal(cacheInit.idHashAlgorithm);
+			expect(info.cacheNamespace).to.equal(cacheInit.cacheNamespace);
+			expect(info.cacheVersion).to.equal("1");
 			expect(info.DynamoDbMaxCacheSize_kb).to.equal(cacheInit.DynamoDbMaxCacheSize_kb);
 			expect(info.purgeExpiredCacheEntriesAfterXHours).to.equal(cacheInit.purgeExpiredCacheEntriesAfterXHours)
+			expect(info.storage.type).to.equal("memory");
+			expect(info.memoryCache.maxEntries).to.equal(cacheInit.memoryCacheMaxEntries);
+			expect(info.memoryCache.maxBytes).to.equal(cacheInit.memoryCacheMaxBytes);
+			expect(info.memoryCache.maxAgeInSeconds).to.equal(60);
+			expect(info.compression).to.deep.equal({ algorithm: "gzip", threshold_kb: 2 });
+			expect(info.rawBodyThreshold_kb).to.equal(64);
+			expect(info.metrics).to.deep.equal(Object.assign({ enabled: true }, cacheInit.metrics));
 				
 		});
 
@@ -124,4 +165,2142 @@ import { Cache } from '../../src/lib/dao-cache.js';
 
 	});
 
+	describe("Test Storage Adapters", () => {
+
+		const now = Math.ceil(Date.now() / 1000);
+
+		const item = {
+			id_hash: "abc123",
+			expires: now + 60,
+			purge_ts: now + 3600,
+			data: {
+				info: { expires: "", host: "example", path: "test", classification: "public", size_kb: 0.01, objInS3: false },
+				headers: { "content-type": "application/json" },
+				body: '{"hello":"world"}',
+				statusCode: "200"
+			}
+		};
+
+		const testAdapter = async (storage) => {
+			expect(await storage.read(item.id_hash)).to.equal(null);
+			expect(await storage.head(item.id_hash)).to.equal(null);
+
+			expect(await storage.write(item)).to.equal(true);
+			expect(await storage.read(item.id_hash)).to.deep.equal(item);
+
+			const head = await storage.head(item.id_hash);
+			expect(head.id_hash).to.equal(item.id_hash);
+			expect(head.expires).to.equal(item.expires);
+			expect(head.info.host).to.equal("example");
+			expect(head).to.not.have.property("data");
+
+			expect(await storage.delete(item.id_hash)).to.equal(true);
+			expect(await storage.read(item.id_hash)).to.equal(null);
+
+			// items past purge_ts are treated as not found
+			await storage.write(Object.assign({}, item, { purge_ts: now - 1 }));
+			expect(await storage.read(item.id_hash)).to.equal(null);
+		};
+
+		it("MemoryStorage read, write, head, delete", async () => {
+			const storage = new MemoryStorage();
+			await testAdapter(storage);
+			expect(storage.info().type).to.equal("memory");
+		});
+
+		it("FileSystemStorage read, write, head, delete", async () => {
+			const directory = mkdtempSync(join(tmpdir(), "cache-data-test-"));
+			try {
+				const storage = new FileSystemStorage({ directory });
+				await testAdapter(storage);
+				expect(storage.info().directory).to.equal(directory);
+			} finally {
+				rmSync(directory, { recursive: true, force: true });
+			}
+		});
+
+		it("FileSystemStorage keeps ids inside its directory", async () => {
+			const parent = mkdtempSync(join(tmpdir(), "cache-data-test-"));
+			const directory = join(parent, "cache");
+			try {
+				writeFileSync(join(parent, "outside.json"), "{}");
+				const storage = new FileSystemStorage({ directory });
+				expect(await storage.write({ id_hash: "../escaped", data: {}, expires: 9999999999 })).to.equal(true);
+				expect(readdirSync(parent).sort()).to.deep.equal(["cache", "outside.json"]);
+				expect(await storage.delete("../outside")).to.equal(true);
+				expect(readdirSync(parent)).to.include("outside.json");
+				expect((await storage.read("../escaped")).id_hash).to.equal("../escaped");
+				expect((await storage.list({})).idHashes).to.deep.equal(["../escaped"]);
+			} finally {
+				rmSync(parent, { recursive: true, force: true });
+			}
+		});
+
+		it("CacheableDataAccess.getData() uses the storage adapter", async () => {
+
+			const cachePolicy = {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 60,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: "storage",
+				encrypt: true
+			};
+
+			const conn = { host: "api.example.com", path: "/storage-adapter-test", headers: {} };
+
+			let calls = 0;
+			const apiCallFunction = async () => {
+				calls++;
+				return { success: true, statusCode: 200, headers: { "content-type": "application/json" }, body: { calls } };
+			};
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(first.getStatus()).to.equal(Cache.STATUS_NO_CACHE);
+			expect(first.getBody(true).calls).to.equal(1);
+
+			// let the write settle
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.getBody(true).calls).to.equal(1);
+			expect(calls).to.equal(1);
+		});
+
+	});
+
+	describe("Test In-Memory Cache", () => {
+
+		it("Reads are served from memory after the first write", async () => {
+
+			const cachePolicy = {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 60,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: "memory",
+				encrypt: true
+			};
+
+			const conn = { host: "api.example.com", path: "/memory-cache-test", headers: {} };
+			const apiCallFunction = async () => {
+				return { success: true, statusCode: 200, headers: {}, body: "hello" };
+			};
+
+			await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			const before = Cache.info().memoryCache;
+
+			const cacheObj = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			const after = Cache.info().memoryCache;
+
+			expect(cacheObj.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(cacheObj.getBody()).to.equal("hello"); // decrypted from the stored record
+			expect(after.hits).to.equal(before.hits + 1);
+			expect(after.entries).to.be.greaterThan(0);
+			expect(after.bytes).to.be.lessThanOrEqual(after.maxBytes);
+		});
+
+		it("Expired records are not served from memory", async function () {
+
+			this.timeout(5000);
+
+			const cachePolicy = {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 1,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: "memory-expired",
+				encrypt: false
+			};
+
+			const conn = { host: "api.example.com", path: "/memory-cache-expired-test", headers: {} };
+			let calls = 0;
+			const apiCallFunction = async () => {
+				calls++;
+				return { success: true, statusCode: 200, headers: {}, body: "call "+calls };
+			};
+
+			await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			await new Promise((resolve) => setTimeout(resolve, 2100)); // timestamps are rounded up to the next second
+			const cacheObj = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+
+			expect(calls).to.equal(2);
+			expect(cacheObj.getBody()).to.equal("call 2");
+		});
+
+		it("Records are read from storage again after memoryCacheMaxAgeInSeconds", async () => {
+
+			const cachePolicy = {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 600,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: "memory-max-age",
+				encrypt: false
+			};
+
+			const conn = () => ({ host: "api.example.com", path: "/memory-cache-max-age-test", headers: {} });
+			let calls = 0;
+			const apiCallFunction = async () => {
+				calls++;
+				return { success: true, statusCode: 200, headers: {}, body: "call "+calls };
+			};
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn(), null);
+			await Cache.flush();
+
+			// another instance invalidates it, which only clears its own memory cache
+			await testStorage.delete(first.getIdHash());
+			expect((await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn(), null)).getBody()).to.equal("call 1");
+
+			const clock = sinon.useFakeTimers({ now: Date.now() + 61000, toFake: ["Date"] });
+			try {
+				const cacheObj = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn(), null);
+				expect(cacheObj.getStatus()).to.equal(Cache.STATUS_NO_CACHE);
+				expect(cacheObj.getBody()).to.equal("call 2");
+				expect(calls).to.equal(2);
+			} finally {
+				clock.restore();
+			}
+		});
+
+	});
+
+	describe("Test Stale-While-Revalidate", () => {
+
+		it("Expired cache is returned while it is refreshed in the background", async function () {
+
+			this.timeout(5000);
+
+			const cachePolicy = {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 1,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: "swr",
+				encrypt: false,
+				staleWhileRevalidateSeconds: 60
+			};
+
+			const conn = { host: "api.example.com", path: "/swr-test", headers: {} };
+			let calls = 0;
+			const apiCallFunction = async () => {
+				calls++;
+				return { success: true, statusCode: 200, headers: {}, body: "call "+calls };
+			};
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(first.profile().staleWhileRevalidateSeconds).to.equal(60);
+			expect(first.getBody()).to.equal("call 1");
+
+			await new Promise((resolve) => setTimeout(resolve, 2100)); // timestamps are rounded up to the next second
+
+			const stale = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(stale.getStatus()).to.equal(Cache.STATUS_STALE_REVALIDATING);
+			expect(stale.getBody()).to.equal("call 1");
+
+			expect(await CacheableDataAccess.flush(1000)).to.equal(true);
+			expect(calls).to.equal(2);
+			expect(stale.getBody()).to.equal("call 1"); // returned object is not changed by the refresh
+
+			const fresh = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(fresh.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(fresh.getBody()).to.equal("call 2");
+		});
+
+	});
+
+	describe("Test Single-Flight Requests", () => {
+
+		it("Concurrent calls for the same idHash share one read and one origin call", async () => {
+
+			const cachePolicy = {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 60,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: "single-flight",
+				encrypt: false
+			};
+
+			let calls = 0;
+			const apiCallFunction = async () => {
+				calls++;
+				await new Promise((resolve) => setTimeout(resolve, 20));
+				return { success: true, statusCode: 200, headers: {}, body: "call "+calls };
+			};
+
+			const conn = () => { return { host: "api.example.com", path: "/single-flight-test", headers: {} }; };
+
+			const results = await Promise.all([
+				CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn(), null),
+				CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn(), null),
+				CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn(), null)
+			]);
+
+			expect(calls).to.equal(1);
+			for (const cacheObj of results) {
+				expect(cacheObj.getStatus()).to.equal(Cache.STATUS_NO_CACHE);
+				expect(cacheObj.getBody()).to.equal("call 1");
+				expect(cacheObj.getIdHash()).to.equal(results[0].getIdHash());
+			}
+
+			// a different idHash is not coalesced
+			const other = await Promise.all([
+				CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn(), { id: 1 }),
+				CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn(), { id: 2 })
+			]);
+			expect(calls).to.equal(3);
+			expect(other[0].getIdHash()).to.not.equal(other[1].getIdHash());
+		});
+
+	});
+
+	describe("Test Refresh Lock", () => {
+
+		const now = () => Math.ceil(Date.now() / 1000);
+
+		it("Storage adapters grant a lock to only one owner until it is released or expires", async () => {
+			const directory = mkdtempSync(join(tmpdir(), "cache-data-test-"));
+			try {
+				for (const storage of [new MemoryStorage(), new FileSystemStorage({ directory })]) {
+					expect(await storage.acquireLock("lock-test", "owner-a", now() + 30)).to.equal(true);
+					expect(await storage.acquireLock("lock-test", "owner-b", now() + 30)).to.equal(false);
+					expect(await storage.releaseLock("lock-test", "owner-b")).to.equal(false);
+					expect(await storage.releaseLock("lock-test", "owner-a")).to.equal(true);
+					expect(await storage.acquireLock("lock-test", "owner-b", now() - 1)).to.equal(true); // already expired
+					expect(await storage.acquireLock("lock-test", "owner-c", now() + 30)).to.equal(true);
+				}
+			} finally {
+				rmSync(directory, { recursive: true, force: true });
+			}
+		});
+
+		it("Only the lock holder calls the origin. Others serve the expired cache", async function () {
+
+			this.timeout(5000);
+
+			const cachePolicy = {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 1,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: "refresh-lock",
+				encrypt: false,
+				refreshLockSeconds: 10
+			};
+
+			const conn = { host: "api.example.com", path: "/refresh-lock-test", headers: {} };
+			let calls = 0;
+			const apiCallFunction = async () => {
+				calls++;
+				return { success: true, statusCode: 200, headers: {}, body: "call "+calls };
+			};
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(first.profile().refreshLockSeconds).to.equal(10);
+			expect(calls).to.equal(1);
+
+			await new Promise((resolve) => setTimeout(resolve, 2100)); // timestamps are rounded up to the next second
+
+			// another instance is refreshing
+			expect(await testStorage.acquireLock(first.getIdHash(), "another-instance", now() + 10)).to.equal(true);
+
+			const locked = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(calls).to.equal(1);
+			expect(locked.getStatus()).to.equal(Cache.STATUS_REFRESH_IN_PROGRESS);
+			expect(locked.getBody()).to.equal("call 1");
+
+			await testStorage.releaseLock(first.getIdHash(), "another-instance");
+
+			const refreshed = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(calls).to.equal(2);
+			expect(refreshed.getBody()).to.equal("call 2");
+
+			// lock was released after the refresh
+			expect(await testStorage.acquireLock(first.getIdHash(), "another-instance", now() + 10)).to.equal(true);
+			await testStorage.releaseLock(first.getIdHash(), "another-instance");
+		});
+
+		it("Without cached data, waits for the lock holder before calling the origin", async () => {
+
+			const cachePolicy = {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 60,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: "refresh-lock-wait",
+				encrypt: false,
+				refreshLockSeconds: 10,
+				refreshLockWaitMilliseconds: 200
+			};
+
+			const conn = { host: "api.example.com", path: "/refresh-lock-wait-test", headers: {} };
+			let calls = 0;
+			const apiCallFunction = async () => {
+				calls++;
+				return { success: true, statusCode: 200, headers: {}, body: "call "+calls };
+			};
+
+			const idHash = new Cache({ data: null, connection: conn, cachePolicy }, cachePolicy).getIdHash();
+			await testStorage.acquireLock(idHash, "another-instance", now() + 10);
+
+			const cacheObj = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(calls).to.equal(1); // lock holder never wrote, so we called the origin after waiting
+			expect(cacheObj.getBody()).to.equal("call 1");
+
+			await testStorage.releaseLock(idHash, "another-instance");
+		});
+
+	});
+
+	describe("Test Cache Invalidation", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "invalidate",
+			encrypt: false
+		};
+
+		const counter = () => {
+			const fn = async () => {
+				fn.calls++;
+				return { success: true, statusCode: 200, headers: {}, body: "call "+fn.calls };
+			};
+			fn.calls = 0;
+			return fn;
+		};
+
+		it("invalidate() removes cached data", async () => {
+			const conn = { host: "api.example.com", path: "/invalidate-test", headers: {} };
+			const apiCallFunction = counter();
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(first.getIdHash()).to.equal(CacheableDataAccess.getIdHash(cachePolicy, conn, null));
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			expect(await CacheableDataAccess.invalidate(cachePolicy, conn, null)).to.equal(true);
+			expect(await testStorage.read(first.getIdHash())).to.equal(null);
+
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(apiCallFunction.calls).to.equal(2);
+			expect(second.getStatus()).to.equal(Cache.STATUS_NO_CACHE);
+		});
+
+		it("expire() expires cached data but keeps the body", async () => {
+			const conn = { host: "api.example.com", path: "/expire-test", headers: {} };
+			const apiCallFunction = counter();
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			expect(await Cache.expire(first.getIdHash())).to.equal(true);
+			const item = await testStorage.read(first.getIdHash());
+			expect(item.expires).to.be.lessThanOrEqual(Math.ceil(Date.now() / 1000));
+			expect(item.data.body).to.equal("call 1");
+
+			// origin is down, so the expired body is used
+			const down = async () => { return { success: false, statusCode: 500, headers: {}, body: null }; };
+			const second = await CacheableDataAccess.getData(cachePolicy, down, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_ORIGINAL_ERROR);
+			expect(second.getBody()).to.equal("call 1");
+
+			expect(await Cache.expire("does-not-exist")).to.equal(false);
+		});
+
+	});
+
+	describe("Test Bulk Purge", () => {
+
+		const policy = (hostId, pathId, tags) => {
+			return {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: 60,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: hostId,
+				pathId: pathId,
+				encrypt: false,
+				tags: tags
+			};
+		};
+
+		const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: "purge test" }; };
+
+		const load = async (cachePolicy, path) => {
+			const cacheObj = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, { host: cachePolicy.hostId, path: path, headers: {} }, null);
+			return cacheObj.getIdHash();
+		};
+
+		it("Tags are parsed from the cache profile and stored with the record", async () => {
+			const cachePolicy = policy("purge-a.example.com", "/tags/", "Catalog, featured,");
+			expect((new Cache({}, cachePolicy)).profile().tags).to.deep.equal(["catalog", "featured"]);
+
+			const idHash = await load(cachePolicy, "/tags/1");
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			const item = await testStorage.read(idHash);
+			expect(item.host_id).to.equal("purge-a.example.com");
+			expect(item.path_id).to.equal("/tags/");
+			expect(item.tags).to.deep.equal(["catalog", "featured"]);
+		});
+
+		it("purge() removes only the matching records", async () => {
+			const catalogA = await load(policy("purge-b.example.com", "/books/", ["catalog"]), "/books/1");
+			const catalogB = await load(policy("purge-c.example.com", "/games/", ["catalog"]), "/games/1");
+			const booksA = await load(policy("purge-b.example.com", "/books/", []), "/books/2");
+			const authorsA = await load(policy("purge-b.example.com", "/authors/", []), "/authors/1");
+			const other = await load(policy("purge-c.example.com", "/games/", []), "/games/2");
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			expect(await Cache.purge({ tag: "CATALOG" })).to.deep.include({ purged: 3, failed: 0 }); // includes purge-a from the previous test
+			expect(await testStorage.read(catalogA)).to.equal(null);
+			expect(await testStorage.read(catalogB)).to.equal(null);
+			expect(await testStorage.read(booksA)).to.not.equal(null);
+
+			expect(await Cache.purge({ hostId: "purge-b.example.com", pathId: "/books/" })).to.deep.equal({ matched: 1, purged: 1, failed: 0 });
+			expect(await testStorage.read(booksA)).to.equal(null);
+			expect(await testStorage.read(authorsA)).to.not.equal(null);
+
+			expect(await Cache.purge({ hostId: "purge-b.example.com" })).to.deep.equal({ matched: 1, purged: 1, failed: 0 });
+			expect(await testStorage.read(authorsA)).to.equal(null);
+			expect(await testStorage.read(other)).to.not.equal(null);
+		});
+
+		it("purge() without a filter does nothing", async () => {
+			const before = testStorage.info().items;
+			expect(await Cache.purge({})).to.deep.equal({ matched: 0, purged: 0, failed: 0 });
+			expect(await Cache.purge({ tag: " " })).to.deep.equal({ matched: 0, purged: 0, failed: 0 });
+			expect(testStorage.info().items).to.equal(before);
+		});
+
+		it("FileSystemStorage lists matching records", async () => {
+			const directory = mkdtempSync(join(tmpdir(), "cache-data-purge-"));
+			const storage = new FileSystemStorage({ directory });
+			try {
+				const expires = Math.ceil(Date.now() / 1000) + 60;
+				await storage.write({ id_hash: "fs-1", expires, purge_ts: expires, host_id: "h", path_id: "/a/", tags: ["x"], data: {} });
+				await storage.write({ id_hash: "fs-2", expires, purge_ts: expires, host_id: "h", path_id: "/b/", tags: [], data: {} });
+				expect((await storage.list({ hostId: "h" })).idHashes.sort()).to.deep.equal(["fs-1", "fs-2"]);
+				expect((await storage.list({ tag: "x" })).idHashes).to.deep.equal(["fs-1"]);
+				expect((await storage.list({ hostId: "h", pathId: "/b/" })).idHashes).to.deep.equal(["fs-2"]);
+			} finally {
+				rmSync(directory, { recursive: true, force: true });
+			}
+		});
+
+	});
+
+	describe("Test Cache Metrics", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "metrics",
+			encrypt: false
+		};
+
+		let logStub;
+
+		beforeEach(() => { logStub = sinon.stub(console, 'log'); });
+		afterEach(() => { logStub.restore(); });
+
+		const metricEntries = () => {
+			return logStub.getCalls()
+				.map( (call) => call.args[0] )
+				.filter( (line) => typeof line === "string" && line.startsWith("{") )
+				.map( (line) => JSON.parse(line) );
+		};
+
+		it("getData() emits a miss and then a hit in Embedded Metric Format", async () => {
+			const conn = { host: "api.example.com", path: "/metrics-test", headers: {} };
+			const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: "metrics" }; };
+
+			await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+
+			const entries = metricEntries();
+			expect(entries.length).to.equal(2);
+
+			const miss = entries[0];
+			expect(miss._aws.CloudWatchMetrics[0].Namespace).to.equal("CacheDataTest");
+			expect(miss._aws.CloudWatchMetrics[0].Dimensions).to.deep.equal([["hostId", "pathId"], ["service"]]);
+			expect(miss._aws.CloudWatchMetrics[0].Metrics.map( (m) => m.Name )).to.include.members(["CacheHit", "CacheMiss", "StaleServe", "OriginError", "NotModified", "Latency"]);
+			expect(miss).to.include({ hostId: "test", pathId: "metrics", service: "test", status: Cache.STATUS_NO_CACHE, CacheHit: 0, CacheMiss: 1 });
+			expect(miss.Latency).to.be.a("number");
+
+			expect(entries[1]).to.include({ status: Cache.STATUS_CACHE, CacheHit: 1, CacheMiss: 0 });
+		});
+
+		it("Origin errors and not modified responses are counted", async () => {
+			const conn = { host: "api.example.com", path: "/metrics-origin-test", headers: {} };
+
+			await CacheableDataAccess.getData(cachePolicy, async () => { return { success: false, statusCode: 500, headers: {}, body: null }; }, conn, null);
+			await Cache.expire(CacheableDataAccess.getIdHash(cachePolicy, conn, null));
+			await CacheableDataAccess.getData(cachePolicy, async () => { return { success: true, statusCode: 304, headers: {}, body: null }; }, conn, null);
+
+			const entries = metricEntries();
+			expect(entries[0]).to.include({ OriginError: 1, CacheMiss: 1 });
+			expect(entries[1]).to.include({ NotModified: 1, CacheMiss: 1 });
+		});
+
+	});
+
+	describe("Test Compression", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "compression",
+			encrypt: false
+		};
+
+		const largeBody = JSON.stringify({ items: Array.from({ length: 500 }, (v, i) => { return { id: i, name: "Item "+i, description: "A description that repeats" }; }) });
+
+		const read = async (idHash) => {
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			return testStorage.read(idHash);
+		};
+
+		it("Bodies over the threshold are stored compressed and returned decompressed", async () => {
+			const conn = { host: "api.example.com", path: "/compression-test", headers: {} };
+			const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: largeBody }; };
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(first.getBody()).to.equal(largeBody);
+
+			const item = await read(first.getIdHash());
+			expect(item.data.info.compression).to.equal("gzip");
+			expect(item.data.info.compressed_kb).to.be.lessThan(item.data.info.size_kb);
+			expect(item.data.body).to.not.equal(largeBody);
+
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.getBody()).to.equal(largeBody);
+		});
+
+		it("Private bodies are compressed before they are encrypted", async () => {
+			const conn = { host: "api.example.com", path: "/compression-private-test", headers: {} };
+			const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: largeBody }; };
+			const privatePolicy = Object.assign({}, cachePolicy, { encrypt: true });
+
+			const first = await CacheableDataAccess.getData(privatePolicy, apiCallFunction, conn, null);
+			const item = await read(first.getIdHash());
+			expect(item.data.info.compression).to.equal("gzip");
+			expect(item.data.info.classification).to.equal(Cache.PRIVATE);
+
+			const second = await CacheableDataAccess.getData(privatePolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.getBody()).to.equal(largeBody);
+		});
+
+		it("Multibyte bodies are compressed when it saves bytes", async () => {
+			const conn = { host: "api.example.com", path: "/compression-multibyte-test", headers: {} };
+			// 3 bytes each in UTF-8, but random enough that the base64 encoded gzip is longer than the string
+			const multibyteBody = Array.from(randomBytes(2000), (b) => String.fromCharCode(0x4e00 + b)).join("");
+			const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: multibyteBody }; };
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			const item = await read(first.getIdHash());
+			expect(item.data.info.compression).to.equal("gzip");
+			expect(item.data.body.length).to.be.greaterThan(multibyteBody.length);
+			expect(item.data.info.compressed_kb).to.be.lessThan(item.data.info.size_kb);
+
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.getBody()).to.equal(multibyteBody);
+		});
+
+		it("Bodies under the threshold and uncompressed records are left as is", async () => {
+			const conn = { host: "api.example.com", path: "/compression-small-test", headers: {} };
+			const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: "small" }; };
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			const item = await read(first.getIdHash());
+			expect(item.data.info).to.not.have.property("compression");
+			expect(item.data.body).to.equal("small");
+
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(second.getBody()).to.equal("small");
+		});
+
+	});
+
+	describe("Test Authenticated Encryption", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "aead",
+			encrypt: true
+		};
+
+		const counter = () => {
+			const fn = async () => {
+				fn.calls++;
+				return { success: true, statusCode: 200, headers: {}, body: "secret "+fn.calls };
+			};
+			fn.calls = 0;
+			return fn;
+		};
+
+		// create a private record the same way an earlier version would have
+		const privateItem = (idHash, body) => {
+			const now = Math.ceil(Date.now() / 1000);
+			return {
+				id_hash: idHash,
+				expires: now + 60,
+				purge_ts: now + 3600,
+				data: {
+					info: { expires: new Date((now + 60) * 1000).toUTCString(), host: "test", path: "aead", classification: Cache.PRIVATE, size_kb: 0.01, objInS3: false },
+					headers: { etag: "abc", "last-modified": new Date(now * 1000).toUTCString(), expires: new Date((now + 60) * 1000).toUTCString() },
+					body: body,
+					statusCode: "200"
+				}
+			};
+		};
+
+		it("Private data is stored with the algorithm and auth tag", async () => {
+			const conn = { host: "api.example.com", path: "/aead-test", headers: {} };
+			const apiCallFunction = counter();
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			const item = await testStorage.read(first.getIdHash());
+			expect(item.data.body.algorithm).to.equal("aes-256-gcm");
+			expect(item.data.body.tag).to.be.a("string");
+			expect(item.data.body.iv.length).to.equal(24); // 12 bytes in hex
+			expect(item.data.body.dataKey.kid).to.equal("test-2");
+			expect(item.data.body).to.not.have.property("kid");
+
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.getBody()).to.equal("secret 1");
+		});
+
+		it("Tampered data and data moved to another record are not used", async () => {
+			const connA = { host: "api.example.com", path: "/aead-source", headers: {} };
+			const connB = { host: "api.example.com", path: "/aead-moved", headers: {} };
+			const connC = { host: "api.example.com", path: "/aead-tampered", headers: {} };
+
+			const first = await CacheableDataAccess.getData(cachePolicy, counter(), connA, null);
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			const item = await testStorage.read(first.getIdHash());
+
+			// copy the encrypted body to another record
+			const moved = structuredClone(item);
+			moved.id_hash = CacheableDataAccess.getIdHash(cachePolicy, connB, null);
+			await testStorage.write(moved);
+
+			// alter the encrypted body
+			const tampered = structuredClone(item);
+			tampered.id_hash = CacheableDataAccess.getIdHash(cachePolicy, connC, null);
+			tampered.data.body.encryptedData = (tampered.data.body.encryptedData[0] === "0" ? "1" : "0") + tampered.data.body.encryptedData.slice(1);
+			await testStorage.write(tampered);
+
+			for (const conn of [connB, connC]) {
+				const apiCallFunction = counter();
+				const result = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+				expect(apiCallFunction.calls).to.equal(1);
+				expect(result.getBody()).to.equal("secret 1");
+			}
+		});
+
+		it("Data relabeled with an algorithm that is not configured is not used", async () => {
+			const connA = { host: "api.example.com", path: "/aead-relabel-source", headers: {} };
+			const connB = { host: "api.example.com", path: "/aead-relabeled", headers: {} };
+
+			const first = await CacheableDataAccess.getData(cachePolicy, counter(), connA, null);
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			const item = await testStorage.read(first.getIdHash());
+
+			// GCM is CTR mode with a tag, so as aes-256-ctr (starting at counter 2) the
+			// body decrypts without a tag and flipped bits go undetected
+			const relabeled = structuredClone(item);
+			relabeled.id_hash = CacheableDataAccess.getIdHash(cachePolicy, connB, null);
+			const body = relabeled.data.body;
+			const last = body.encryptedData.length - 2;
+			body.encryptedData = body.encryptedData.slice(0, last) + (parseInt(body.encryptedData.slice(last), 16) ^ 3).toString(16).padStart(2, "0");
+			body.iv = body.iv + "00000002";
+			body.algorithm = "aes-256-ctr";
+			delete body.tag;
+			await testStorage.write(relabeled);
+
+			const apiCallFunction = counter();
+			const result = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, connB, null);
+			expect(apiCallFunction.calls).to.equal(1);
+			expect(result.getBody()).to.equal("secret 1");
+		});
+
+		it("Data encrypted with the legacy algorithm can still be decrypted", async () => {
+			const conn = { host: "api.example.com", path: "/aead-legacy", headers: {} };
+			const idHash = CacheableDataAccess.getIdHash(cachePolicy, conn, null);
+
+			const iv = randomBytes(16);
+			const cipher = createCipheriv("aes-256-cbc", previousKey, iv);
+			const encryptedData = cipher.update("legacy secret", "utf8", "hex") + cipher.final("hex");
+			await testStorage.write(privateItem(idHash, { iv: iv.toString("hex"), encryptedData }));
+
+			const apiCallFunction = counter();
+			const result = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(apiCallFunction.calls).to.equal(0);
+			expect(result.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(result.getBody()).to.equal("legacy secret");
+		});
+
+		it("Data encrypted with a previous key is decrypted and re-encrypted with the current key", async () => {
+			const conn = { host: "api.example.com", path: "/key-rotation", headers: {} };
+			const idHash = CacheableDataAccess.getIdHash(cachePolicy, conn, null);
+
+			const iv = randomBytes(12);
+			const cipher = createCipheriv("aes-256-gcm", previousKey, iv, { authTagLength: 16 });
+			cipher.setAAD(Buffer.from(idHash, "utf8"));
+			const encryptedData = cipher.update("rotated secret", "utf8", "hex") + cipher.final("hex");
+			const body = { iv: iv.toString("hex"), encryptedData, algorithm: "aes-256-gcm", kid: "default", tag: cipher.getAuthTag().toString("hex") };
+			const item = privateItem(idHash, body);
+			await testStorage.write(item);
+
+			const apiCallFunction = counter();
+			const result = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(apiCallFunction.calls).to.equal(0);
+			expect(result.getBody()).to.equal("rotated secret");
+
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			const reEncrypted = await testStorage.read(idHash);
+			expect(reEncrypted.data.body.dataKey.kid).to.equal("test-2"); // now uses envelope encryption
+			expect(reEncrypted.data.body.encryptedData).to.not.equal(encryptedData);
+			expect(reEncrypted.expires).to.equal(item.expires);
+		});
+
+		it("Each record is encrypted using its own wrapped data key", async () => {
+			const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: "same secret" }; };
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, { host: "api.example.com", path: "/envelope-1", headers: {} }, null);
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, { host: "api.example.com", path: "/envelope-2", headers: {} }, null);
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			const a = (await testStorage.read(first.getIdHash())).data.body;
+			const b = (await testStorage.read(second.getIdHash())).data.body;
+			expect(a.dataKey.wrappedKey).to.be.a("string");
+			expect(a.dataKey.wrappedKey).to.not.equal(b.dataKey.wrappedKey);
+			expect(a.encryptedData).to.not.equal(b.encryptedData);
+		});
+
+		it("Data keys wrapped using a previous key are re-wrapped without re-encrypting the body", async () => {
+			const conn = { host: "api.example.com", path: "/envelope-rewrap", headers: {} };
+			const idHash = CacheableDataAccess.getIdHash(cachePolicy, conn, null);
+
+			// encrypt the body using a data key
+			const dataKey = randomBytes(32);
+			const iv = randomBytes(12);
+			const cipher = createCipheriv("aes-256-gcm", dataKey, iv, { authTagLength: 16 });
+			cipher.setAAD(Buffer.from(idHash, "utf8"));
+			const encryptedData = cipher.update("enveloped secret", "utf8", "hex") + cipher.final("hex");
+
+			// wrap the data key using the previous key (iv + tag + wrapped key)
+			const wrapIv = randomBytes(12);
+			const wrap = createCipheriv("aes-256-gcm", previousKey, wrapIv, { authTagLength: 16 });
+			wrap.setAAD(Buffer.from(idHash, "utf8"));
+			const wrapped = Buffer.concat([wrap.update(dataKey), wrap.final()]);
+			const wrappedKey = Buffer.concat([wrapIv, wrap.getAuthTag(), wrapped]).toString("base64");
+
+			await testStorage.write(privateItem(idHash, { iv: iv.toString("hex"), encryptedData, algorithm: "aes-256-gcm", tag: cipher.getAuthTag().toString("hex"), dataKey: { wrappedKey, kid: "default" } }));
+
+			const apiCallFunction = counter();
+			const result = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(apiCallFunction.calls).to.equal(0);
+			expect(result.getBody()).to.equal("enveloped secret");
+
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			const reWrapped = (await testStorage.read(idHash)).data.body;
+			expect(reWrapped.dataKey.kid).to.equal("test-2");
+			expect(reWrapped.dataKey.wrappedKey).to.not.equal(wrappedKey);
+			expect(reWrapped.encryptedData).to.equal(encryptedData);
+		});
+
+		it("Data encrypted with an unknown key is not used", async () => {
+			const conn = { host: "api.example.com", path: "/key-unknown", headers: {} };
+			const idHash = CacheableDataAccess.getIdHash(cachePolicy, conn, null);
+
+			const iv = randomBytes(12);
+			const cipher = createCipheriv("aes-256-gcm", randomBytes(32), iv, { authTagLength: 16 });
+			cipher.setAAD(Buffer.from(idHash, "utf8"));
+			const encryptedData = cipher.update("lost secret", "utf8", "hex") + cipher.final("hex");
+			await testStorage.write(privateItem(idHash, { iv: iv.toString("hex"), encryptedData, algorithm: "aes-256-gcm", kid: "retired", tag: cipher.getAuthTag().toString("hex") }));
+
+			const apiCallFunction = counter();
+			const result = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(apiCallFunction.calls).to.equal(1);
+			expect(result.getBody()).to.equal("secret 1");
+		});
+
+		it("KmsKeyWrapProvider passes the id_hash to KMS as the encryption context", async () => {
+			const dataKey = randomBytes(32);
+			const ciphertext = randomBytes(48);
+			const client = { send: sinon.stub() };
+			client.send.onFirstCall().resolves({ CiphertextBlob: new Uint8Array(ciphertext) });
+			client.send.onSecondCall().resolves({ Plaintext: new Uint8Array(dataKey) });
+
+			const provider = new KmsKeyWrapProvider({ keyId: "alias/cache-test", client });
+
+			const wrapped = await provider.wrap(dataKey, { id_hash: "kms-id-hash" });
+			expect(wrapped).to.deep.equal({ wrappedKey: ciphertext.toString("base64"), kid: "alias/cache-test" });
+
+			const encrypt = client.send.firstCall.args[0];
+			expect(encrypt.constructor.name).to.equal("EncryptCommand");
+			expect(encrypt.input.KeyId).to.equal("alias/cache-test");
+			expect(Buffer.from(encrypt.input.Plaintext).equals(dataKey)).to.equal(true);
+			expect(encrypt.input.EncryptionContext).to.deep.equal({ id_hash: "kms-id-hash" });
+
+			const unwrapped = await provider.unwrap(wrapped.wrappedKey, wrapped.kid, { id_hash: "kms-id-hash" });
+			expect(unwrapped.equals(dataKey)).to.equal(true);
+
+			const decrypt = client.send.secondCall.args[0];
+			expect(decrypt.constructor.name).to.equal("DecryptCommand");
+			expect(decrypt.input.KeyId).to.equal("alias/cache-test");
+			expect(Buffer.from(decrypt.input.CiphertextBlob).equals(ciphertext)).to.equal(true);
+			expect(decrypt.input.EncryptionContext).to.deep.equal({ id_hash: "kms-id-hash" });
+		});
+
+	});
+
+
+	describe("Test Streaming Large Bodies", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "streaming",
+			encrypt: false
+		};
+
+		// random data only compresses by about half so it stays over rawBodyThreshold_kb
+		const largeBody = randomBytes(100000).toString("hex");
+
+		const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: { "content-type": "text/plain" }, body: largeBody }; };
+
+		const read = async (idHash) => {
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			return testStorage.read(idHash);
+		};
+
+		const collect = async (stream) => {
+			const chunks = [];
+			for await (const chunk of stream) { chunks.push(Buffer.from(chunk)); }
+			return Buffer.concat(chunks).toString("utf8");
+		};
+
+		it("Bodies over the threshold are stored apart from the record", async () => {
+			const conn = { host: "api.example.com", path: "/streaming-test", headers: {} };
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(first.getBody()).to.equal(largeBody);
+
+			const item = await read(first.getIdHash());
+			expect(item.data.info.rawBody).to.equal(true);
+			expect(item.data.info.compression).to.equal("gzip");
+			expect(item.data.body).to.equal(null);
+
+			// without streamBody the body is loaded from storage
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.isBodyStreamed()).to.equal(false);
+			expect(second.getBody()).to.equal(largeBody);
+			expect(await collect(await second.getBodyStream())).to.equal(largeBody);
+
+			// deleting the record deletes the body
+			expect(await CacheableDataAccess.invalidate(cachePolicy, conn, null)).to.equal(true);
+			let error = null;
+			try { await testStorage.readBodyStream(first.getIdHash()); } catch (e) { error = e; }
+			expect(error).to.not.equal(null);
+		});
+
+		it("streamBody leaves the body in storage to be read as a stream", async () => {
+			const conn = { host: "api.example.com", path: "/streaming-stream-test", headers: {} };
+			const streamPolicy = Object.assign({}, cachePolicy, { streamBody: true });
+
+			const first = await CacheableDataAccess.getData(streamPolicy, apiCallFunction, conn, null);
+			expect(first.isBodyStreamed()).to.equal(false);
+			await read(first.getIdHash());
+
+			const second = await CacheableDataAccess.getData(streamPolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.profile().streamBody).to.equal(true);
+			expect(second.isBodyStreamed()).to.equal(true);
+			expect(second.getBody()).to.equal(null);
+			expect(second.getHeaders()["content-type"]).to.equal("text/plain");
+			expect(await collect(await second.getBodyStream())).to.equal(largeBody);
+		});
+
+		it("Private bodies and bodies under the threshold are kept in the record", async () => {
+			const conn = { host: "api.example.com", path: "/streaming-private-test", headers: {} };
+			const privatePolicy = Object.assign({}, cachePolicy, { encrypt: true, streamBody: true });
+
+			const first = await CacheableDataAccess.getData(privatePolicy, apiCallFunction, conn, null);
+			const item = await read(first.getIdHash());
+			expect(item.data.info).to.not.have.property("rawBody");
+			expect(item.data.body).to.not.equal(null);
+
+			const small = await CacheableDataAccess.getData(Object.assign({}, cachePolicy, { streamBody: true }), async () => { return { success: true, statusCode: 200, headers: {}, body: "small" }; }, { host: "api.example.com", path: "/streaming-small-test", headers: {} }, null);
+			expect((await read(small.getIdHash())).data.body).to.equal("small");
+			expect(await collect(await small.getBodyStream())).to.equal("small");
+		});
+
+		it("FileSystemStorage stores bodies as their own file", async () => {
+			const directory = mkdtempSync(join(tmpdir(), "cache-data-test-"));
+			try {
+				const storage = new FileSystemStorage({ directory });
+				expect(await storage.writeBody("abc123", Buffer.from("hello"), { contentType: "text/plain" })).to.equal(true);
+				expect(await collect(await storage.readBodyStream("abc123"))).to.equal("hello");
+				expect(await storage.delete("abc123")).to.equal(true);
+				let error = null;
+				try { await storage.readBodyStream("abc123"); } catch (e) { error = e; }
+				expect(error.code).to.equal("ENOENT");
+			} finally {
+				rmSync(directory, { recursive: true, force: true });
+			}
+		});
+
+	});
+
+
+	describe("Test Binary Bodies", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "binary",
+			encrypt: false
+		};
+
+		const read = async (idHash) => {
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			return testStorage.read(idHash);
+		};
+
+		const collect = async (stream) => {
+			const chunks = [];
+			for await (const chunk of stream) { chunks.push(Buffer.from(chunk)); }
+			return Buffer.concat(chunks);
+		};
+
+		const image = randomBytes(4096);
+		const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: { "content-type": "image/png" }, body: image }; };
+
+		it("Buffer bodies are stored base64 encoded and returned as a Buffer", async () => {
+			const conn = { host: "api.example.com", path: "/binary-test", headers: {} };
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(Buffer.isBuffer(first.getBody())).to.equal(true);
+			expect(first.getBody().equals(image)).to.equal(true);
+
+			const item = await read(first.getIdHash());
+			expect(item.data.info.binary).to.equal(true);
+			expect(item.data.info).to.not.have.property("compression");
+			expect(item.data.body).to.equal(image.toString("base64"));
+
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.getBody().equals(image)).to.equal(true);
+			expect(second.getBody(true).equals(image)).to.equal(true);
+			expect((await collect(await second.getBodyStream())).equals(image)).to.equal(true);
+
+			const response = second.generateResponseForAPIGateway({});
+			expect(response.isBase64Encoded).to.equal(true);
+			expect(response.body).to.equal(image.toString("base64"));
+			expect(response.headers["content-type"]).to.equal("image/png");
+		});
+
+		it("Private binary bodies are encrypted and returned as a Buffer", async () => {
+			const conn = { host: "api.example.com", path: "/binary-private-test", headers: {} };
+			const privatePolicy = Object.assign({}, cachePolicy, { encrypt: true });
+
+			const first = await CacheableDataAccess.getData(privatePolicy, apiCallFunction, conn, null);
+			const item = await read(first.getIdHash());
+			expect(item.data.info.binary).to.equal(true);
+			expect(item.data.info.classification).to.equal(Cache.PRIVATE);
+
+			const second = await CacheableDataAccess.getData(privatePolicy, apiCallFunction, conn, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.getBody().equals(image)).to.equal(true);
+		});
+
+		it("Large binary bodies are stored as raw bytes apart from the record", async () => {
+			const conn = { host: "api.example.com", path: "/binary-raw-test", headers: {} };
+			const largeImage = randomBytes(100000);
+			const largeCall = async () => { return { success: true, statusCode: 200, headers: { "content-type": "application/pdf" }, body: largeImage }; };
+			const streamPolicy = Object.assign({}, cachePolicy, { streamBody: true });
+
+			const first = await CacheableDataAccess.getData(streamPolicy, largeCall, conn, null);
+			const item = await read(first.getIdHash());
+			expect(item.data.info.rawBody).to.equal(true);
+			expect((await collect(await testStorage.readBodyStream(first.getIdHash()))).equals(largeImage)).to.equal(true);
+
+			const second = await CacheableDataAccess.getData(cachePolicy, largeCall, conn, null);
+			expect(second.getBody().equals(largeImage)).to.equal(true);
+
+			const streamed = await CacheableDataAccess.getData(streamPolicy, largeCall, conn, null);
+			expect(streamed.isBodyStreamed()).to.equal(true);
+			expect((await collect(await streamed.getBodyStream())).equals(largeImage)).to.equal(true);
+		});
+
+		it("Text bodies are not base64 encoded for API Gateway", async () => {
+			const conn = { host: "api.example.com", path: "/binary-text-test", headers: {} };
+			const textCall = async () => { return { success: true, statusCode: 200, headers: { "content-type": "text/plain" }, body: "hello" }; };
+
+			const cache = await CacheableDataAccess.getData(cachePolicy, textCall, conn, null);
+			const response = cache.generateResponseForAPIGateway({});
+			expect(response.isBase64Encoded).to.equal(false);
+			expect(response.body).to.equal("hello");
+		});
+
+	});
+
+
+	describe("Test Cache Warming", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "warm",
+			encrypt: false
+		};
+
+		const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+		const job = (id, apiCallFunction) => {
+			return { id, cachePolicy, apiCallFunction, connection: { host: "api.example.com", path: `/warm-test/${id}`, headers: {} }, data: null };
+		};
+
+		it("Jobs are run through getData() and reported", async () => {
+			const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: "warm" }; };
+			const failing = async () => { return { success: false, statusCode: 500, headers: {}, body: null }; };
+
+			const jobs = [ job("a", apiCallFunction), job("b", apiCallFunction), job("c", failing) ];
+			const report = await CacheableDataAccess.warm(jobs);
+
+			expect(report.total).to.equal(3);
+			expect(report.succeeded).to.equal(2);
+			expect(report.failed).to.equal(1);
+			expect(report.skipped).to.equal(0);
+			expect(report.results.map( (r) => r.id )).to.deep.equal(["a", "b", "c"]);
+			expect(report.results[0].status).to.equal(Cache.STATUS_NO_CACHE);
+			expect(report.results[0].idHash).to.equal(CacheableDataAccess.getIdHash(cachePolicy, jobs[0].connection, null));
+			expect(report.results[2].error).to.not.equal(null);
+
+			await delay(10);
+
+			// warmed data is served from cache
+			const cache = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, jobs[0].connection, null);
+			expect(cache.getStatus()).to.equal(Cache.STATUS_CACHE);
+
+			// and warming again leaves it as is
+			const again = await CacheableDataAccess.warm([ job("a", apiCallFunction) ]);
+			expect(again.results[0].status).to.equal(Cache.STATUS_CACHE);
+		});
+
+		it("No more than concurrency jobs run at a time", async () => {
+			let running = 0;
+			let maxRunning = 0;
+			const apiCallFunction = async () => {
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+				await delay(20);
+				running--;
+				return { success: true, statusCode: 200, headers: {}, body: "warm" };
+			};
+
+			const jobs = ["d", "e", "f", "g", "h"].map( (id) => job(`concurrency-${id}`, apiCallFunction) );
+			const report = await CacheableDataAccess.warm(jobs, { concurrency: 2 });
+
+			expect(report.succeeded).to.equal(5);
+			expect(maxRunning).to.equal(2);
+		});
+
+		it("Jobs are not started once the time budget is used", async () => {
+			const apiCallFunction = async () => {
+				await delay(100);
+				return { success: true, statusCode: 200, headers: {}, body: "warm" };
+			};
+
+			const jobs = ["i", "j", "k", "l"].map( (id) => job(`budget-${id}`, apiCallFunction) );
+			const report = await CacheableDataAccess.warm(jobs, { concurrency: 1, timeBudgetInMilliseconds: 150 });
+
+			expect(report.elapsed).to.be.lessThan(300);
+			expect(report.skipped).to.be.greaterThan(0);
+			expect(report.results[3].status).to.equal("skipped");
+			expect(report.succeeded + report.running + report.skipped).to.equal(4);
+			expect(report.running).to.equal(1);
+
+			// flush() waits for the job that was still running
+			const running = report.results.find( (r) => r.status === "running" );
+			expect(await testStorage.read(running.idHash)).to.equal(null);
+			expect(await CacheableDataAccess.flush()).to.equal(true);
+			expect((await testStorage.read(running.idHash)).data.body).to.equal("warm");
+		});
+
+		it("warmHandler() builds jobs from the event and stays within the remaining time", async () => {
+			const apiCallFunction = async () => { return { success: true, statusCode: 200, headers: {}, body: "warm" }; };
+
+			let receivedEvent = null;
+			const handler = CacheableDataAccess.warmHandler( (event) => {
+				receivedEvent = event;
+				return event.detail.keys.map( (key) => job(`handler-${key}`, apiCallFunction) );
+			}, { concurrency: 2 });
+
+			const event = { "detail-type": "Scheduled Event", detail: { keys: ["m", "n"] } };
+			const report = await handler(event, { getRemainingTimeInMillis: () => 3000 });
+
+			expect(receivedEvent).to.equal(event);
+			expect(report.total).to.equal(2);
+			expect(report.succeeded).to.equal(2);
+		});
+
+	});
+
+	describe("Test Refresh-Ahead", () => {
+
+		const cachePolicy = (pathId, defaultExpirationInSeconds) => {
+			return {
+				overrideOriginHeaderExpiration: true,
+				defaultExpirationInSeconds: defaultExpirationInSeconds,
+				expirationIsOnInterval: false,
+				headersToRetain: [],
+				hostId: "test",
+				pathId: pathId,
+				encrypt: false
+			};
+		};
+
+		const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+		const origin = () => {
+			const fn = async (connection) => {
+				fn.calls.push(Object.assign({}, connection.headers));
+				return { success: true, statusCode: 200, headers: {}, body: `body-${fn.calls.length}` };
+			};
+			fn.calls = [];
+			return fn;
+		};
+
+		afterEach(() => {
+			CacheableDataAccess.getRefreshJobs().forEach( (job) => CacheableDataAccess.unregisterRefreshJob(job.id) );
+		});
+
+		it("Only registered entries expiring within the window are refreshed", async () => {
+			const soonOrigin = origin();
+			const laterOrigin = origin();
+			const missingOrigin = origin();
+
+			const soon = { cachePolicy: cachePolicy("refresh-ahead-soon", 60), apiCallFunction: soonOrigin, connection: { host: "api.example.com", path: "/soon", headers: {} } };
+			const later = { cachePolicy: cachePolicy("refresh-ahead-later", 3600), apiCallFunction: laterOrigin, connection: { host: "api.example.com", path: "/later", headers: {} } };
+			const missing = { cachePolicy: cachePolicy("refresh-ahead-missing", 60), apiCallFunction: missingOrigin, connection: { host: "api.example.com", path: "/missing", headers: {} } };
+
+			await CacheableDataAccess.getData(soon.cachePolicy, soon.apiCallFunction, soon.connection, null);
+			await CacheableDataAccess.getData(later.cachePolicy, later.apiCallFunction, later.connection, null);
+			await delay(10);
+
+			const idHash = CacheableDataAccess.registerRefreshJob("soon", soon);
+			CacheableDataAccess.registerRefreshJob("later", later);
+			CacheableDataAccess.registerRefreshJob("missing", missing);
+
+			expect(idHash).to.equal(CacheableDataAccess.getIdHash(soon.cachePolicy, soon.connection, null));
+			expect(CacheableDataAccess.getRefreshJobs().map( (job) => job.id )).to.deep.equal(["soon", "later", "missing"]);
+
+			const before = await testStorage.read(idHash);
+			await delay(1000); // expires is in seconds
+
+			const report = await CacheableDataAccess.refreshAhead({ windowInSeconds: 120 });
+
+			expect(report.checked).to.equal(3);
+			expect(report.total).to.equal(1);
+			expect(report.succeeded).to.equal(1);
+			expect(report.results[0].id).to.equal("soon");
+			expect(report.results[0].status).to.equal(Cache.STATUS_FORCED);
+			expect(soonOrigin.calls.length).to.equal(2);
+			expect(laterOrigin.calls.length).to.equal(1);
+			expect(missingOrigin.calls.length).to.equal(0);
+
+			// the refresh sent validators without changing the registered connection
+			expect(soonOrigin.calls[1]).to.have.property("if-none-match");
+			expect(soon.connection.headers).to.deep.equal({});
+
+			await delay(10);
+			const after = await testStorage.read(idHash);
+			expect(after.expires).to.be.greaterThan(before.expires);
+
+			// and users are served the refreshed data from cache
+			const cache = await CacheableDataAccess.getData(soon.cachePolicy, soon.apiCallFunction, soon.connection, null);
+			expect(cache.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(cache.getBody()).to.equal("body-2");
+		});
+
+		it("Bodies stored apart from the record are kept when streamBody is set", async function () {
+
+			this.timeout(5000);
+
+			// random data only compresses by about half so it stays over rawBodyThreshold_kb
+			const largeBody = randomBytes(100000).toString("hex");
+			const respond = (...responses) => {
+				const fn = async () => { fn.calls++; return responses.shift(); };
+				fn.calls = 0;
+				return fn;
+			};
+
+			const notModified = { cachePolicy: Object.assign(cachePolicy("refresh-ahead-stream-304", 60), { streamBody: true }), connection: { host: "api.example.com", path: "/stream-304", headers: {} } };
+			notModified.apiCallFunction = respond({ success: true, statusCode: 200, headers: {}, body: largeBody }, { success: true, statusCode: 304, headers: {}, body: null });
+			const error = { cachePolicy: Object.assign(cachePolicy("refresh-ahead-stream-error", 60), { streamBody: true }), connection: { host: "api.example.com", path: "/stream-error", headers: {} } };
+			error.apiCallFunction = respond({ success: true, statusCode: 200, headers: {}, body: largeBody }, { success: false, statusCode: 500, headers: {}, body: null });
+
+			for (const job of [notModified, error]) {
+				await CacheableDataAccess.getData(job.cachePolicy, job.apiCallFunction, job.connection, null);
+			}
+			await delay(10);
+
+			CacheableDataAccess.registerRefreshJob("stream-304", notModified);
+			CacheableDataAccess.registerRefreshJob("stream-error", error);
+
+			const report = await CacheableDataAccess.refreshAhead({ windowInSeconds: 120 });
+			expect(report.results.map( (r) => r.status )).to.deep.equal([Cache.STATUS_ORIGINAL_NOT_MODIFIED, Cache.STATUS_ORIGINAL_ERROR]);
+			await delay(10);
+
+			for (const job of [notModified, error]) {
+				expect(job.apiCallFunction.calls).to.equal(2);
+
+				const item = await testStorage.read(CacheableDataAccess.getIdHash(job.cachePolicy, job.connection, null));
+				expect(item.data.info.rawBody).to.equal(true);
+
+				const cache = new Cache({ data: null, connection: job.connection, cachePolicy: job.cachePolicy }, job.cachePolicy);
+				await cache.read(false);
+				expect(cache.isExpired()).to.equal(false);
+				expect(cache.getBody()).to.equal(largeBody);
+			}
+		});
+
+		it("refreshAheadHandler() runs registered jobs within the remaining time", async () => {
+			const apiCallFunction = origin();
+			const job = { cachePolicy: cachePolicy("refresh-ahead-handler", 30), apiCallFunction, connection: { host: "api.example.com", path: "/handler", headers: {} } };
+
+			await CacheableDataAccess.getData(job.cachePolicy, job.apiCallFunction, job.connection, null);
+			await delay(10);
+
+			CacheableDataAccess.registerRefreshJob("handler", job);
+
+			const handler = CacheableDataAccess.refreshAheadHandler({ windowInSeconds: 60, concurrency: 2 });
+			const report = await handler({ "detail-type": "Scheduled Event" }, { getRemainingTimeInMillis: () => 3000 });
+
+			expect(report.checked).to.equal(1);
+			expect(report.succeeded).to.equal(1);
+			expect(apiCallFunction.calls.length).to.equal(2);
+		});
+
+		it("Jobs must be complete to be registered", async () => {
+			expect(() => CacheableDataAccess.registerRefreshJob("", {})).to.throw();
+			expect(() => CacheableDataAccess.registerRefreshJob("incomplete", { cachePolicy: cachePolicy("refresh-ahead-incomplete", 60), connection: {} })).to.throw();
+			expect(CacheableDataAccess.unregisterRefreshJob("incomplete")).to.equal(false);
+		});
+
+	});
+
+	describe("Test Garbage Collection", () => {
+
+		const now = Math.floor(Date.now() / 1000);
+		const dayAgo = new Date(Date.now() - (48 * 3600 * 1000));
+
+		let objects = null;
+		let items = null;
+		let stubs = [];
+
+		const fakeS3 = {
+			list: async (params) => {
+				// like S3, continue after the last key listed (in key order)
+				const keys = Object.keys(objects).sort().filter( (key) => key.startsWith(params.Prefix) && key > (params.ContinuationToken || "") );
+				const page = keys.slice(0, 3);
+				return {
+					Contents: page.map( (key) => { return { Key: key, Size: objects[key].Size, LastModified: objects[key].LastModified }; }),
+					IsTruncated: ( keys.length > 3 ),
+					NextContinuationToken: ( keys.length > 3 ) ? page[2] : undefined
+				};
+			},
+			delete: async (params) => { delete objects[params.Key]; return {}; }
+		};
+
+		const fakeDynamo = {
+			get: async (params) => { return { Item: items[params.Key.id_hash] }; },
+			scan: async (params) => {
+				return { Items: Object.values(items).filter( (i) => i.purge_ts < params.ExpressionAttributeValues[":before"] ).map( (i) => { return { id_hash: i.id_hash }; }) };
+			},
+			delete: async (params) => {
+				const item = items[params.Key.id_hash];
+				if ( "ConditionExpression" in params && !( item && item.purge_ts < params.ExpressionAttributeValues[":before"] ) ) {
+					const error = new Error("The conditional request failed");
+					error.name = "ConditionalCheckFailedException";
+					throw error;
+				}
+				delete items[params.Key.id_hash];
+				return {};
+			}
+		};
+
+		const record = (idHash, purge_ts, info) => {
+			return { id_hash: idHash, expires: purge_ts - 3600, purge_ts: purge_ts, data: { info: info } };
+		};
+
+		beforeEach(() => {
+			objects = {
+				"cache/live.json": { Size: 100, LastModified: dayAgo },
+				"cache/live.body": { Size: 200, LastModified: dayAgo },
+				"cache/expired.json": { Size: 300, LastModified: dayAgo },
+				"cache/overwritten.json": { Size: 400, LastModified: dayAgo },
+				"cache/missing.body": { Size: 500, LastModified: dayAgo },
+				"cache/new.json": { Size: 600, LastModified: new Date() },
+				"cache/notes.txt": { Size: 700, LastModified: dayAgo }
+			};
+			items = {
+				live: record("live", now + 3600, { objInS3: true, rawBody: true }),
+				expired: record("expired", now - 10, { objInS3: true }),
+				overwritten: record("overwritten", now + 3600, {})
+			};
+			stubs = [
+				sinon.stub(AWS, "s3").get(() => fakeS3),
+				sinon.stub(AWS, "dynamo").get(() => fakeDynamo)
+			];
+		});
+
+		afterEach(() => {
+			stubs.forEach( (stub) => stub.restore() );
+		});
+
+		it("Dry run reports orphaned objects and expired records without deleting them", async () => {
+			const storage = new DynamoDbS3Storage();
+			const report = await storage.collectGarbage({ olderThan: now - (24 * 3600), dryRun: true });
+
+			expect(report.dryRun).to.equal(true);
+			expect(report.complete).to.equal(true);
+			expect(report.checkedObjects).to.equal(7);
+			expect(report.orphanedObjects).to.equal(3);
+			expect(report.orphanedBytes).to.equal(1200);
+			expect(report.deletedObjects).to.equal(0);
+			expect(report.reclaimedBytes).to.equal(0);
+			expect(report.expiredItems).to.equal(1);
+			expect(report.deletedItems).to.equal(0);
+			expect(Object.keys(objects).length).to.equal(7);
+			expect(Object.keys(items).length).to.equal(3);
+		});
+
+		it("Orphaned objects older than the cutoff and expired records are deleted", async () => {
+			const storage = new DynamoDbS3Storage();
+			const report = await storage.collectGarbage({ olderThan: now - (24 * 3600) });
+
+			expect(report.dryRun).to.equal(false);
+			expect(report.deletedObjects).to.equal(3);
+			expect(report.reclaimedBytes).to.equal(1200);
+			expect(report.deletedItems).to.equal(1);
+			expect(report.failed).to.equal(0);
+			expect(Object.keys(objects).sort()).to.deep.equal(["cache/live.body", "cache/live.json", "cache/new.json", "cache/notes.txt"]);
+			expect(Object.keys(items).sort()).to.deep.equal(["live", "overwritten"]);
+		});
+
+		it("Records written again after they were listed are not deleted", async () => {
+			const storage = new DynamoDbS3Storage();
+			const scan = fakeDynamo.scan;
+			stubs.push(sinon.stub(fakeDynamo, "scan").callsFake(async (params) => {
+				const result = await scan(params);
+				items.expired = record("expired", now + 3600, {}); // refreshed by another instance
+				return result;
+			}));
+
+			const report = await storage.collectGarbage({ olderThan: now - (24 * 3600) });
+
+			expect(report.expiredItems).to.equal(1);
+			expect(report.deletedItems).to.equal(0);
+			expect(report.failed).to.equal(0);
+			expect(items).to.have.property("expired");
+		});
+
+		it("Storage without anything to collect returns an empty report", async () => {
+			const handler = Cache.collectGarbageHandler({ dryRun: false });
+			const report = await handler({ dryRun: true }, { getRemainingTimeInMillis: () => 3000 });
+
+			expect(report.dryRun).to.equal(true);
+			expect(report.complete).to.equal(true);
+			expect(report.orphanedObjects).to.equal(0);
+			expect(report.expiredItems).to.equal(0);
+			expect(report).to.have.property("elapsed");
+		});
+
+	});
+
+	describe("Test Cache Namespace and Version", () => {
+
+		const connection = { host: "api.example.com", path: "/namespace-test", headers: {} };
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "namespace",
+			encrypt: false
+		};
+
+		it("The namespace and version from Cache.init() are used unless the profile sets them", async () => {
+			expect(Cache.getIdHashScope()).to.deep.equal({ cacheNamespace: "cache-data-tests", cacheVersion: "1" });
+			expect(Cache.getIdHashScope({ cacheVersion: 2 })).to.deep.equal({ cacheNamespace: "cache-data-tests", cacheVersion: "2" });
+
+			const idHash = (new Cache(connection, cachePolicy)).getIdHash();
+
+			// setting the same values in the profile gives the same idHash
+			expect((new Cache(connection, { ...cachePolicy, cacheNamespace: "cache-data-tests", cacheVersion: 1 })).getIdHash()).to.equal(idHash);
+			expect((new Cache(connection, { ...cachePolicy, cacheVersion: "2" })).getIdHash()).to.not.equal(idHash);
+			expect((new Cache(connection, { ...cachePolicy, cacheNamespace: "another-app" })).getIdHash()).to.not.equal(idHash);
+		});
+
+		it("Changing the version stops using data cached with the previous version", async () => {
+			let calls = 0;
+			const apiCallFunction = async () => { calls++; return { success: true, statusCode: 200, headers: {}, body: `version-${calls}` }; };
+
+			const v1 = { ...cachePolicy, cacheVersion: "profile-1" };
+			const v2 = { ...cachePolicy, cacheVersion: "profile-2" };
+
+			await CacheableDataAccess.getData(v1, apiCallFunction, connection, null);
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			const cached = await CacheableDataAccess.getData(v1, apiCallFunction, connection, null);
+			expect(cached.getStatus()).to.equal(Cache.STATUS_CACHE);
+
+			const bumped = await CacheableDataAccess.getData(v2, apiCallFunction, connection, null);
+			expect(bumped.getStatus()).to.equal(Cache.STATUS_NO_CACHE);
+			expect(bumped.getBody()).to.equal("version-2");
+			expect(calls).to.equal(2);
+		});
+
+	});
+
+	describe("Test Negative Caching", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 600,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "negative",
+			encrypt: false,
+			negativeCacheExpirationInSeconds: { 404: 30, "410": "3600", 200: 60, 500: 0 }
+		};
+
+		const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+		const origin = (statusCode, body) => {
+			const fn = async () => { fn.calls++; return { success: statusCode < 400, statusCode: statusCode, headers: { "content-type": "text/plain" }, body: body }; };
+			fn.calls = 0;
+			return fn;
+		};
+
+		it("Only non-success status codes with an expiration are kept", async () => {
+			const cache = new Cache({}, cachePolicy);
+			expect(cache.profile().negativeCacheExpirationInSeconds).to.deep.equal({ 404: 30, 410: 3600 });
+			expect(cache.getNegativeCacheExpirationInSeconds("404")).to.equal(30);
+			expect(cache.getNegativeCacheExpirationInSeconds(500)).to.equal(0);
+			expect((new Cache({}, {})).getNegativeCacheExpirationInSeconds(404)).to.equal(0);
+		});
+
+		it("Responses with a listed status code are cached using their own expiration", async () => {
+			const apiCallFunction = origin(404, "Not Found");
+			const connection = { host: "api.example.com", path: "/negative-test/missing", headers: {} };
+
+			const first = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, connection, null);
+			expect(first.getStatus()).to.equal(Cache.STATUS_NO_CACHE);
+			expect(first.getStatusCode()).to.equal(404);
+			expect(first.calculateSecondsLeftUntilExpires()).to.be.within(29, 31);
+
+			await delay(10);
+
+			const second = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, connection, null);
+			expect(second.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(second.getStatusCode()).to.equal(404);
+			expect(apiCallFunction.calls).to.equal(1);
+
+			const response = second.generateResponseForAPIGateway({});
+			expect(response.statusCode).to.equal(404);
+			expect(response.body).to.equal("Not Found");
+		});
+
+		it("Listed status codes replace expired data while others extend it", async () => {
+			const connection = { host: "api.example.com", path: "/negative-test/removed", headers: {} };
+
+			await CacheableDataAccess.getData(cachePolicy, origin(200, "Found"), connection, null);
+			await delay(10);
+			await CacheableDataAccess.expire(cachePolicy, connection, null);
+
+			const error = await CacheableDataAccess.getData(cachePolicy, origin(500, "Internal Server Error"), connection, null);
+			expect(error.getStatus()).to.equal(Cache.STATUS_ORIGINAL_ERROR);
+			expect(error.getBody()).to.equal("Found");
+
+			await delay(10);
+			await CacheableDataAccess.expire(cachePolicy, connection, null);
+
+			const gone = await CacheableDataAccess.getData(cachePolicy, origin(410, "Gone"), connection, null);
+			expect(gone.getStatusCode()).to.equal(410);
+			expect(gone.getBody()).to.equal("Gone");
+			expect(gone.calculateSecondsLeftUntilExpires()).to.be.within(3599, 3601);
+		});
+
+	});
+
+	describe("Test Vary Headers", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			expirationIsOnInterval: false,
+			headersToRetain: [],
+			hostId: "test",
+			pathId: "vary",
+			encrypt: false,
+			vary: "Accept-Language, accept"
+		};
+
+		const connection = { host: "api.example.com", path: "/vary-test", headers: {} };
+
+		const clientRequest = (headers) => new ClientRequest(Object.assign({}, testEventA, { headers: Object.assign({}, testEventA.headers, headers) }), testContextA);
+
+		it("Normalized values of the vary headers are used in the idHash", async () => {
+			expect((new Cache({}, cachePolicy)).profile().vary).to.deep.equal(["accept-language", "accept"]);
+			expect(Cache.getVaryValues(cachePolicy.vary, { "Accept-Language": " en-US, en;q=0.9 " })).to.deep.equal({ "accept-language": "en-us,en;q=0.9", "accept": "" });
+
+			const english = CacheableDataAccess.getIdHash(cachePolicy, connection, null, clientRequest({ "Accept-Language": "en-US, en;q=0.9" }));
+			const spanish = CacheableDataAccess.getIdHash(cachePolicy, connection, null, clientRequest({ "Accept-Language": "es-MX" }));
+
+			expect(english).to.not.equal(spanish);
+			expect(CacheableDataAccess.getIdHash(cachePolicy, connection, null, { "accept-language": "en-us,en;q=0.9", "accept": "application/json" })).to.equal(english);
+
+			// without vary in the cache policy the client request is not used
+			const { vary, ...noVary } = cachePolicy;
+			expect(CacheableDataAccess.getIdHash(noVary, connection, null, clientRequest({ "Accept-Language": "es-MX" }))).to.equal(CacheableDataAccess.getIdHash(noVary, connection, null));
+		});
+
+		it("Each variation is cached separately with a vary header", async () => {
+			const received = [];
+			const apiCallFunction = async (conn) => {
+				received.push(conn.headers["accept-language"]);
+				return { success: true, statusCode: 200, headers: { vary: "Accept-Encoding" }, body: `body-${conn.headers["accept-language"]}` };
+			};
+
+			const english = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, connection, null, {}, clientRequest({ "Accept-Language": "en-US" }));
+			const spanish = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, connection, null, {}, clientRequest({ "Accept-Language": "es-MX" }));
+
+			expect(english.getBody()).to.equal("body-en-us");
+			expect(spanish.getBody()).to.equal("body-es-mx");
+			expect(received).to.deep.equal(["en-us", "es-mx"]);
+			expect(connection.headers).to.deep.equal({});
+
+			expect(english.generateResponseForAPIGateway({}).headers.vary).to.equal("accept-encoding, accept-language, accept");
+
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			const cached = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, connection, null, {}, clientRequest({ "Accept-Language": "es-MX" }));
+			expect(cached.getStatus()).to.equal(Cache.STATUS_CACHE);
+			expect(cached.getBody()).to.equal("body-es-mx");
+			expect(received.length).to.equal(2);
+		});
+
+	});
+
+
+	describe("Test Id Hash Rules", () => {
+
+		const idHashRules = {
+			ignoreParameters: "cb, _ts",
+			ignoreHeaders: ["X-Request-Id"],
+			sortArrays: true,
+			lowercase: ["connection.parameters.q"],
+			stripAuthentication: true
+		};
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			hostId: "test",
+			pathId: "rules",
+			encrypt: false,
+			idHashRules
+		};
+
+		const connection = (parameters, headers = {}, authentication = null) => {
+			const conn = { method: "GET", host: "api.example.com", path: "/search", parameters, headers };
+			if ( authentication !== null ) {
+				conn.authentication = authentication;
+				conn.parameters = Object.assign({}, parameters, authentication.parameters || {});
+				conn.headers = Object.assign({}, headers, authentication.headers || {});
+			}
+			return conn;
+		};
+
+		it("Parse rules from the cache profile", async () => {
+			expect(Cache.parseIdHashRules(idHashRules)).to.deep.equal({
+				ignoreParameters: ["cb", "_ts"],
+				ignoreHeaders: ["x-request-id"],
+				sortArrays: true,
+				lowercase: ["connection.parameters.q"],
+				stripAuthentication: true
+			});
+			expect(Cache.parseIdHashRules({})).to.equal(null);
+			expect(Cache.parseIdHashRules(null)).to.equal(null);
+			expect((new Cache({}, cachePolicy)).profile().idHashRules.ignoreParameters).to.deep.equal(["cb", "_ts"]);
+			expect((new Cache({}, {})).profile().idHashRules).to.equal(null);
+		});
+
+		it("Volatile parameters and headers, array order, and case do not change the idHash", async () => {
+			const a = CacheableDataAccess.getIdHash(cachePolicy, connection({ q: "Trees", ids: ["3", "1", "2"], cb: "1700000000" }, { "X-Request-Id": "abc" }));
+			const b = CacheableDataAccess.getIdHash(cachePolicy, connection({ ids: ["1", "2", "3"], q: "trees", _ts: "99" }, { "x-request-id": "def" }));
+			const c = CacheableDataAccess.getIdHash(cachePolicy, connection({ ids: ["1", "2", "3"], q: "shrubs" }));
+
+			expect(a).to.equal(b);
+			expect(a).to.not.equal(c);
+
+			// without rules each of these is a different idHash
+			const { idHashRules: rules, ...noRules } = cachePolicy;
+			expect(CacheableDataAccess.getIdHash(noRules, connection({ q: "trees", cb: "1" }))).to.not.equal(CacheableDataAccess.getIdHash(noRules, connection({ q: "trees", cb: "2" })));
+		});
+
+		it("Authentication is stripped from the idHash", async () => {
+			const a = CacheableDataAccess.getIdHash(cachePolicy, connection({ q: "trees" }, {}, { parameters: { apikey: "key-one" }, headers: { "x-custom-auth": "one" } }));
+			const b = CacheableDataAccess.getIdHash(cachePolicy, connection({ q: "trees" }, { Authorization: "Bearer two" }, { parameters: { apikey: "key-two" }, headers: { "x-custom-auth": "two" } }));
+			const c = CacheableDataAccess.getIdHash(cachePolicy, connection({ q: "trees" }));
+
+			expect(a).to.equal(b);
+			expect(a).to.equal(c);
+		});
+
+		it("The rules do not change the connection or data", async () => {
+			const conn = connection({ q: "Trees", ids: ["3", "1"], cb: "1" }, { "X-Request-Id": "abc" }, { parameters: { apikey: "key" } });
+			const data = { list: ["b", "a"] };
+			const before = JSON.stringify({ conn, data });
+
+			CacheableDataAccess.getIdHash(cachePolicy, conn, data);
+
+			expect(JSON.stringify({ conn, data })).to.equal(before);
+		});
+
+	});
+
+
+	describe("Test Id Hash Explanation", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			hostId: "test",
+			pathId: "explain",
+			encrypt: false,
+			vary: "accept-language",
+			idHashRules: { ignoreParameters: "cb" }
+		};
+
+		const connection = { method: "GET", host: "api.example.com", path: "/explain", parameters: { q: "trees", cb: "123", apikey: "EXAMPLE-1234567890abcdef" }, headers: {}, options: { timeout: 8000 } };
+
+		it("Explains the idHash with secrets obfuscated", async () => {
+			const explained = CacheableDataAccess.explainIdHash(cachePolicy, connection, null, { "accept-language": "en-US" });
+
+			expect(explained.idHash).to.equal(CacheableDataAccess.getIdHash(cachePolicy, connection, null, { "accept-language": "en-US" }));
+			expect(explained.algorithm).to.equal(Cache.info().idHashAlgorithm);
+			expect(explained.library).to.be.oneOf(["tools.hashThisData", "object-hash"]);
+			expect(explained.salt).to.be.oneOf(["process.env.AWS_LAMBDA_FUNCTION_NAME", "none"]);
+			expect(explained.scope).to.deep.equal({ cacheNamespace: "cache-data-tests", cacheVersion: "1" });
+			expect(explained.idHashRules.ignoreParameters).to.deep.equal(["cb"]);
+
+			const hashed = explained.hashed.id;
+			expect(hashed.vary).to.deep.equal({ "accept-language": "en-us" });
+			expect(hashed.connection.parameters.q).to.equal("trees");
+			expect(hashed.connection.parameters).to.not.have.property("cb");
+			expect(hashed.connection).to.not.have.property("options");
+			expect(hashed.connection.parameters.apikey).to.not.equal("EXAMPLE-1234567890abcdef");
+			expect(hashed.connection.parameters.apikey.endsWith("cdef")).to.equal(true);
+			expect(JSON.stringify(explained)).to.not.include("EXAMPLE-1234567890abcdef");
+
+			// the connection is not changed
+			expect(connection.parameters.apikey).to.equal("EXAMPLE-1234567890abcdef");
+			expect(connection.options.timeout).to.equal(8000);
+		});
+
+		it("A Cache object explains its own idHash", async () => {
+			const cacheObj = new Cache({ id: "explain-test" }, { cacheVersion: 2 });
+			const explained = cacheObj.explainIdHash();
+
+			expect(explained.idHash).to.equal(cacheObj.getIdHash());
+			expect(explained).to.deep.equal(Cache.explainIdHash({ id: "explain-test" }, { cacheVersion: 2 }));
+			expect(explained.scope).to.deep.equal({ cacheNamespace: "cache-data-tests", cacheVersion: "2" });
+			expect(explained.idHashRules).to.equal(null);
+			expect(explained.hashed).to.deep.equal({ id: { id: "explain-test" }, scope: { cacheNamespace: "cache-data-tests", cacheVersion: "2" } });
+		});
+
+	});
+
+
+	describe("Test Pending Cache Writes", () => {
+
+		const cachePolicy = {
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 60,
+			hostId: "test",
+			pathId: "writes",
+			encrypt: false
+		};
+
+		const apiCallFunction = async () => ({ success: true, statusCode: 200, headers: {}, body: "written" });
+
+		afterEach(() => { sinon.restore(); });
+
+		it("flush() waits for pending writes", async () => {
+			let release = null;
+			const gate = new Promise((resolve) => { release = resolve; });
+			const write = testStorage.write.bind(testStorage);
+			sinon.stub(testStorage, "write").callsFake(async (item) => { await gate; return write(item); });
+
+			const cacheObj = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, { host: "api.example.com", path: "/flush-wait" }, null);
+			expect(cacheObj.getStatus()).to.equal(Cache.STATUS_NO_CACHE);
+
+			const timedOut = await Cache.flush(20);
+			expect(timedOut.complete).to.equal(false);
+			expect(timedOut.pending).to.equal(1);
+			expect(await testStorage.head(cacheObj.getIdHash())).to.equal(null);
+
+			release();
+			const report = await Cache.flush();
+			expect(report).to.deep.equal({ complete: true, written: 1, failed: 0, pending: 0 });
+			expect(await cacheObj.written()).to.equal(true);
+			expect(await testStorage.head(cacheObj.getIdHash())).to.not.equal(null);
+		});
+
+		it("flush() waits for every write to the same idHash", async () => {
+			const gates = [];
+			const write = testStorage.write.bind(testStorage);
+			sinon.stub(testStorage, "write").callsFake(async (item) => { await new Promise((resolve) => gates.push(resolve)); return write(item); });
+
+			const connection = { host: "api.example.com", path: "/flush-overlap" };
+			const first = new Cache({ data: null, connection, cachePolicy }, cachePolicy);
+			await first.read();
+			first.update("first", {});
+			const second = new Cache({ data: null, connection, cachePolicy }, cachePolicy);
+			await second.read();
+			second.update("second", {});
+
+			expect(second.getIdHash()).to.equal(first.getIdHash());
+			expect(gates.length).to.equal(2);
+
+			gates[1]();
+			expect(await second.written()).to.equal(true);
+			expect(await Cache.flush(20)).to.deep.equal({ complete: false, written: 0, failed: 0, pending: 1 });
+
+			gates[0]();
+			expect(await Cache.flush()).to.deep.equal({ complete: true, written: 1, failed: 0, pending: 0 });
+			expect(await first.written()).to.equal(true);
+		});
+
+		it("A failed write changes the status of the Cache object", async () => {
+			sinon.stub(testStorage, "write").resolves(false);
+
+			const cacheObj = await CacheableDataAccess.getData(cachePolicy, apiCallFunction, { host: "api.example.com", path: "/flush-fail" }, null);
+
+			expect(await CacheableDataAccess.flush(1000)).to.equal(true);
+			expect(await cacheObj.written()).to.equal(false);
+			expect(cacheObj.getStatus()).to.equal(Cache.STATUS_WRITE_ERROR);
+			expect(cacheObj.getBody()).to.equal("written");
+		});
+
+		it("Nothing to flush", async () => {
+			expect(await Cache.flush(100)).to.deep.equal({ complete: true, written: 0, failed: 0, pending: 0 });
+			expect(await (new Cache({ id: "not-written" }, cachePolicy)).written()).to.equal(null);
+		});
+
+	});
+
+
+	describe("Test Store Retries", () => {
+
+		const throttled = () => Object.assign(new Error("Rate of requests exceeds the allowed throughput"), { name: "ProvisionedThroughputExceededException", $metadata: { httpStatusCode: 400 } });
+		const serviceError = () => Object.assign(new Error("Service Unavailable"), { name: "ServiceUnavailable", $metadata: { httpStatusCode: 503 } });
+		const notFound = () => Object.assign(new Error("The specified key does not exist."), { name: "NoSuchKey", $metadata: { httpStatusCode: 404 } });
+
+		let calls = [];
+		let failures = [];
+		const fail = async (operation) => {
+			calls.push(operation);
+			const failure = failures.shift();
+			if ( failure ) { throw failure(); }
+		};
+
+		const fakeDynamo = {
+			get: async (params) => { await fail("get"); return { Item: { id_hash: params.Key.id_hash, expires: 0, purge_ts: 0, data: { info: {} } } }; },
+			put: async () => { await fail("put"); return {}; },
+			delete: async () => { await fail("delete"); return {}; }
+		};
+
+		const fakeS3 = {
+			get: async () => { await fail("s3get"); return { Body: Buffer.from("{}") }; },
+			put: async () => { await fail("s3put"); return {}; },
+			delete: async () => { await fail("s3delete"); return {}; }
+		};
+
+		beforeEach(() => {
+			calls = [];
+			failures = [];
+			sinon.stub(AWS, "dynamo").get(() => fakeDynamo);
+			sinon.stub(AWS, "s3").get(() => fakeS3);
+		});
+
+		afterEach(() => { sinon.restore(); });
+
+		it("Retry policies are set from Cache.init()", async () => {
+			expect(Cache.info().retry).to.deep.equal({
+				dynamoDb: { maxAttempts: 3, baseDelayInMilliseconds: 1, maxDelayInMilliseconds: 5, jitter: "full" },
+				s3: { maxAttempts: 2, baseDelayInMilliseconds: 1, maxDelayInMilliseconds: 5, jitter: "full" }
+			});
+		});
+
+		it("Throttled and service errors are retried", async () => {
+			const storage = new DynamoDbS3Storage();
+
+			failures = [throttled, serviceError];
+			expect(await storage.write({ id_hash: "retry-write", expires: 0, purge_ts: 0, data: { info: { size_kb: 1 }, body: "x" } })).to.equal(true);
+			expect(calls).to.deep.equal(["put", "put", "put"]);
+
+			calls = [];
+			failures = [throttled];
+			expect((await storage.head("retry-read")).id_hash).to.equal("retry-read");
+			expect(calls).to.deep.equal(["get", "get"]);
+		});
+
+		it("Gives up after the maximum attempts", async () => {
+			const storage = new DynamoDbS3Storage();
+
+			failures = [throttled, throttled, throttled, throttled];
+			expect(await storage.write({ id_hash: "retry-give-up", expires: 0, purge_ts: 0, data: { info: { size_kb: 1 }, body: "x" } })).to.equal(false);
+			expect(calls).to.deep.equal(["put", "put", "put"]);
+
+			// S3 is set to 2 attempts
+			calls = [];
+			failures = [serviceError, serviceError, serviceError];
+			let error = null;
+			try { await storage.readBodyStream("retry-s3"); } catch (e) { error = e; }
+			expect(error?.name).to.equal("ServiceUnavailable");
+			expect(calls).to.deep.equal(["s3get", "s3get"]);
+		});
+
+		it("Other errors are not retried", async () => {
+			const storage = new DynamoDbS3Storage();
+
+			failures = [notFound];
+			expect(await storage.write({ id_hash: "retry-other", expires: 0, purge_ts: 0, data: { info: { size_kb: 1 }, body: "x" } })).to.equal(false);
+			expect(calls).to.deep.equal(["put"]);
+		});
+
+		it("A retried lock write that already succeeded acquires the lock", async () => {
+			const storage = new DynamoDbS3Storage();
+			const expires = Math.ceil(Date.now() / 1000) + 30;
+			const conditionFailed = () => Object.assign(new Error("The conditional request failed"), { name: "ConditionalCheckFailedException", $metadata: { httpStatusCode: 400 } });
+
+			const locks = {};
+			sinon.stub(fakeDynamo, "put").callsFake(async (params) => {
+				calls.push("put");
+				if ( params.Item.id_hash in locks ) { throw conditionFailed(); }
+				locks[params.Item.id_hash] = params.Item;
+				if ( calls.length === 1 ) { throw throttled(); } // the lock was written but the response was lost
+				return {};
+			});
+			sinon.stub(fakeDynamo, "get").callsFake(async (params) => {
+				calls.push("get");
+				return { Item: locks[params.Key.id_hash] };
+			});
+
+			expect(await storage.acquireLock("retry-lock", "owner-a", expires)).to.equal(true);
+			expect(calls).to.deep.equal(["put", "put", "get"]);
+
+			// the owner is only checked when the write was retried
+			calls = [];
+			expect(await storage.acquireLock("retry-lock", "owner-b", expires)).to.equal(false);
+			expect(calls).to.deep.equal(["put"]);
+		});
+
+	});
+
+
+	describe("Test Circuit Breaker", () => {
+
+		const profile = (hostId, circuitBreaker) => ({
+			overrideOriginHeaderExpiration: true,
+			defaultExpirationInSeconds: 600,
+			hostId: hostId,
+			pathId: "circuit",
+			encrypt: false,
+			circuitBreaker: Object.assign({ failureThreshold: 2, windowInSeconds: 60, openInSeconds: 30 }, circuitBreaker)
+		});
+
+		const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+		const origin = (statusCode, body = "from origin") => {
+			const fn = async () => { fn.calls++; return { success: statusCode < 400, statusCode: statusCode, headers: {}, body: body }; };
+			fn.calls = 0;
+			return fn;
+		};
+
+		const breaker = (key) => CacheableDataAccess.getCircuitBreakers().find( (b) => b.key === key );
+
+		it("Parse the circuit breaker from the cache profile", async () => {
+			expect((new Cache({}, { circuitBreaker: { failureThreshold: "3", scope: "PATH", shared: "true" } })).profile().circuitBreaker).to.deep.equal({ failureThreshold: 3, windowInSeconds: 60, openInSeconds: 30, scope: "path", shared: true });
+			expect((new Cache({}, { circuitBreaker: { enabled: false } })).profile().circuitBreaker).to.equal(null);
+			expect((new Cache({}, {})).profile().circuitBreaker).to.equal(null);
+		});
+
+		it("Opens after repeated failures and serves cached data without calling the original source", async () => {
+			const cachePolicy = profile("circuit-open.example.com");
+			// getData() adds conditional headers to the connection so use a new one each time
+			const connection = () => ({ host: "circuit-open.example.com", path: "/data" });
+
+			const ok = origin(200, "cached body");
+			await CacheableDataAccess.getData(cachePolicy, ok, connection(), null);
+
+			const down = origin(503);
+			for (let i = 0; i < 2; i++) {
+				await CacheableDataAccess.expire(cachePolicy, connection(), null);
+				const failed = await CacheableDataAccess.getData(cachePolicy, down, connection(), null);
+				expect(failed.getStatus()).to.equal(Cache.STATUS_ORIGINAL_ERROR);
+			}
+			expect(down.calls).to.equal(2);
+			expect(breaker("circuit-open.example.com").state).to.equal("open");
+
+			await CacheableDataAccess.expire(cachePolicy, connection(), null);
+			const served = await CacheableDataAccess.getData(cachePolicy, down, connection(), null);
+			expect(down.calls).to.equal(2);
+			expect(served.getStatus()).to.equal(Cache.STATUS_CIRCUIT_OPEN);
+			expect(served.getBody()).to.equal("cached body");
+			expect(served.calculateSecondsLeftUntilExpires()).to.be.within(28, 31);
+
+			// nothing cached for this path on the same host
+			const empty = await CacheableDataAccess.getData(cachePolicy, down, { host: "circuit-open.example.com", path: "/other" }, null);
+			expect(down.calls).to.equal(2);
+			expect(empty.getStatus()).to.equal(Cache.STATUS_CIRCUIT_OPEN_ERROR);
+			expect(empty.getStatusCode()).to.equal(503);
+		});
+
+		it("Half-opens to probe the original source and closes when it recovers", async function () {
+			this.timeout(5000);
+			const cachePolicy = profile("circuit-probe.example.com", { openInSeconds: 1 });
+
+			const down = origin(500);
+			await CacheableDataAccess.getData(cachePolicy, down, { host: "circuit-probe.example.com", path: "/a" }, null);
+			await CacheableDataAccess.getData(cachePolicy, down, { host: "circuit-probe.example.com", path: "/b" }, null);
+			expect(breaker("circuit-probe.example.com").state).to.equal("open");
+
+			await delay(1100);
+			expect(breaker("circuit-probe.example.com").state).to.equal("half-open");
+
+			// a failed probe opens it again
+			await CacheableDataAccess.getData(cachePolicy, down, { host: "circuit-probe.example.com", path: "/c" }, null);
+			expect(down.calls).to.equal(3);
+			expect(breaker("circuit-probe.example.com").state).to.equal("open");
+
+			await delay(1100);
+
+			const up = origin(200, "recovered");
+			const probed = await CacheableDataAccess.getData(cachePolicy, up, { host: "circuit-probe.example.com", path: "/d" }, null);
+			expect(probed.getBody()).to.equal("recovered");
+			expect(breaker("circuit-probe.example.com")).to.deep.include({ state: "closed", failures: 0, openUntil: 0 });
+		});
+
+		it("Client errors do not count as failures but thrown errors do", async () => {
+			const cachePolicy = profile("circuit-errors.example.com");
+
+			const missing = origin(404);
+			await CacheableDataAccess.getData(cachePolicy, missing, { host: "circuit-errors.example.com", path: "/a" }, null);
+			await CacheableDataAccess.getData(cachePolicy, missing, { host: "circuit-errors.example.com", path: "/b" }, null);
+			expect(breaker("circuit-errors.example.com")).to.deep.include({ state: "closed", failures: 0 });
+
+			const thrown = async () => { throw new Error("socket hang up"); };
+			for (const path of ["/c", "/d"]) {
+				try { await CacheableDataAccess.getData(cachePolicy, thrown, { host: "circuit-errors.example.com", path }, null); } catch (e) { /* rejected */ }
+			}
+			expect(breaker("circuit-errors.example.com").state).to.equal("open");
+		});
+
+		it("Shared state is written to storage", async () => {
+			const cachePolicy = profile("circuit-shared.example.com", { shared: true, scope: "path" });
+			const key = JSON.stringify(["circuit-shared.example.com", "circuit"]);
+			const id = `circuit:${createHash("sha256").update(key).digest("hex")}`;
+
+			const down = origin(502);
+			await CacheableDataAccess.getData(cachePolicy, down, { host: "circuit-shared.example.com", path: "/a" }, null);
+			await CacheableDataAccess.getData(cachePolicy, down, { host: "circuit-shared.example.com", path: "/b" }, null);
+
+			const record = await testStorage.head(id);
+			expect(breaker(key).state).to.equal("open");
+			expect(record.expires).to.equal(breaker(key).openUntil);
+			expect(record.info.circuit).to.equal(key);
+		});
+
+		it("Path scoped breakers do not collide", async () => {
+			const first = Object.assign(profile("circuit-scope.example.com", { scope: "path" }), { pathId: "b/c" });
+			const second = Object.assign(profile("circuit-scope.example.com/b", { scope: "path" }), { pathId: "c" });
+
+			const down = origin(502);
+			await CacheableDataAccess.getData(first, down, { host: "circuit-scope.example.com", path: "/a" }, null);
+			await CacheableDataAccess.getData(second, down, { host: "circuit-scope.example.com", path: "/b" }, null);
+
+			expect(breaker(JSON.stringify(["circuit-scope.example.com", "b/c"])).failures).to.equal(1);
+			expect(breaker(JSON.stringify(["circuit-scope.example.com/b", "c"])).failures).to.equal(1);
+		});
+
+		it("Shared state is not read from storage before every call", async () => {
+			const cachePolicy = profile("circuit-shared-read.example.com", { shared: true });
+			const id = `circuit:${createHash("sha256").update("circuit-shared-read.example.com").digest("hex")}`;
+			const head = sinon.spy(testStorage, "head");
+
+			try {
+				const up = origin(200);
+				for (const path of ["/a", "/b", "/c"]) {
+					await CacheableDataAccess.getData(cachePolicy, up, { host: "circuit-shared-read.example.com", path }, null);
+				}
+				expect(up.calls).to.equal(3);
+				expect(head.getCalls().filter( (call) => call.args[0] === id ).length).to.equal(1);
+			} finally {
+				head.restore();
+			}
+		});
+
+	});
+
 });
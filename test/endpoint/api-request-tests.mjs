@@ -1,6 +1,9 @@
 import { expect } from 'chai';
 
 import sinon from 'sinon';
+import https from 'https';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
 
 import { APIRequest, Connection, ConnectionAuthentication } from '../../src/lib/tools/index.js';
 
@@ -469,6 +472,50 @@ describe("Call test endpoint", () => {
 			}
 			
 		});
+
+		describe('Response bodies', () => {
+
+			// respond with the chunks without going out to the network
+			const stubResponse = (headers, chunks) => {
+				return sinon.stub(https, 'request').callsFake((uri, options, callback) => {
+					const req = new EventEmitter();
+					req.write = () => {};
+					req.end = () => {
+						const res = Readable.from(chunks);
+						res.statusCode = 200;
+						res.headers = headers;
+						callback(res);
+					};
+					return req;
+				});
+			};
+
+			afterEach(() => {
+				sinon.restore();
+			});
+
+			it('Binary responses are kept as a Buffer', async () => {
+				const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0x00, 0xfe]);
+				stubResponse({ "content-type": "image/png" }, [png.subarray(0, 5), png.subarray(5)]);
+
+				const result = await (new APIRequest({ method: "GET", uri: "https://api.chadkluck.net/image.png" })).send();
+
+				expect(result.success).to.equal(true);
+				expect(Buffer.isBuffer(result.body)).to.equal(true);
+				expect(result.body.equals(png)).to.equal(true);
+			});
+
+			it('Text responses are strings even when a character is split across chunks', async () => {
+				const text = Buffer.from('{"message":"héllo"}', 'utf8');
+				const split = text.indexOf(0xc3) + 1; // between the two bytes of é
+				stubResponse({ "content-type": "application/json" }, [text.subarray(0, split), text.subarray(split)]);
+
+				const result = await (new APIRequest({ method: "GET", uri: "https://api.chadkluck.net/text" })).send();
+
+				expect(result.body).to.equal('{"message":"héllo"}');
+			});
+
+		});
 		
 	});
 	
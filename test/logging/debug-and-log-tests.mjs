@@ -81,6 +81,13 @@ describe("DebugAndLog tests", () => {
 			expect(warnStub.callCount).to.equal(1);
 			expect(errorStub.callCount).to.equal(1);
 		});
+
+		it('Check metric writes a single line of JSON', () => {
+			DebugAndLog.metric({ _aws: { Timestamp: 0, CloudWatchMetrics: [] }, hostId: "test", CacheHit: 1 });
+
+			expect(logStub.callCount).to.equal(1);
+			expect(JSON.parse(logStub.getCall(0).args[0])).to.deep.equal({ _aws: { Timestamp: 0, CloudWatchMetrics: [] }, hostId: "test", CacheHit: 1 });
+		});
 	});
 
 });
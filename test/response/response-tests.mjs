@@ -239,6 +239,36 @@ describe("Response Class Finalize", () => {
         });
     });
 
+    describe("Test finalize with binary body", () => {
+        it("Buffer bodies are base64 encoded", () => {
+
+            const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0x00]);
+            const RESPONSE = new Response(REQ, { statusCode: 200, headers: { "Content-Type": "image/png" }, body: png });
+            const resp = RESPONSE.finalize();
+
+            expect(resp.statusCode).to.equal(200);
+            expect(resp.headers['Content-Type']).to.equal("image/png");
+            expect(resp.isBase64Encoded).to.equal(true);
+            expect(Buffer.from(resp.body, 'base64').equals(png)).to.equal(true);
+        });
+
+        it("Buffer bodies without a Content-Type are sent as application/octet-stream", () => {
+
+            const RESPONSE = new Response(REQ, { body: Buffer.from([0x00, 0x01]) });
+            const resp = RESPONSE.finalize();
+
+            expect(resp.headers['Content-Type']).to.equal(Response.CONTENT_TYPE.BINARY);
+            expect(resp.isBase64Encoded).to.equal(true);
+            expect(resp.body).to.equal("AAE=");
+        });
+
+        it("Text bodies are not base64 encoded", () => {
+
+            const resp = (new Response(REQ)).finalize();
+            expect(resp.isBase64Encoded).to.equal(false);
+        });
+    });
+
 });
 
 // Helper function to find string differences
@@ -0,0 +1,38 @@
+import { expect } from 'chai';
+import { isBinaryContentType } from '../../src/lib/tools/index.js'
+
+/* ****************************************************************************
+ * Binary Content Type
+ */
+describe("Binary Content Type", () => {
+
+	it("Images, audio, video, fonts, and documents are binary", async () => {
+		expect(isBinaryContentType("image/png")).to.equal(true);
+		expect(isBinaryContentType("image/jpeg")).to.equal(true);
+		expect(isBinaryContentType("audio/mpeg")).to.equal(true);
+		expect(isBinaryContentType("video/mp4")).to.equal(true);
+		expect(isBinaryContentType("font/woff2")).to.equal(true);
+		expect(isBinaryContentType("application/pdf")).to.equal(true);
+		expect(isBinaryContentType("application/octet-stream")).to.equal(true);
+		expect(isBinaryContentType("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")).to.equal(true);
+	});
+
+	it("Text is not binary", async () => {
+		expect(isBinaryContentType("application/json")).to.equal(false);
+		expect(isBinaryContentType("text/html; charset=utf-8")).to.equal(false);
+		expect(isBinaryContentType("application/xml")).to.equal(false);
+		expect(isBinaryContentType("image/svg+xml")).to.equal(false);
+	});
+
+	it("Parameters and case are ignored", async () => {
+		expect(isBinaryContentType("Image/PNG")).to.equal(true);
+		expect(isBinaryContentType("application/pdf; name=report.pdf")).to.equal(true);
+	});
+
+	it("Missing content type is not binary", async () => {
+		expect(isBinaryContentType(undefined)).to.equal(false);
+		expect(isBinaryContentType(null)).to.equal(false);
+		expect(isBinaryContentType("")).to.equal(false);
+	});
+
+});